@@ -4,6 +4,8 @@ import express from "express";
 import helmet from "helmet";
 import { connectDB } from "./config/database.js";
 import cacheRoutes from './routes/cache.js';
+import decayWorker from './services/decay-worker.service.js';
+import healthService from './services/health.service.js';
 import geoLife from "./routes/geoLife.js";
 import geoSpatial from "./routes/geoSpatial.js";
 
@@ -16,9 +18,27 @@ app.use(cors());
 app.use(helmet());
 app.use(express.json());
 
-// Connect to databases
+// Connect to databases. MongoDB is retried until it answers and Redis
+// reconnects by itself; meanwhile /readyz reports what is missing, and
+// queries run degraded without Redis
 connectDB();
+healthService.start();
 
+// Evict cold cached cells and extend hot ones
+decayWorker.start();
+
+
+// Liveness: the process is up and answering, whatever its dependencies
+app.get("/healthz", (req, res) => {
+  res.status(200).json({ status: "ok", uptime: process.uptime() });
+});
+
+// Readiness: MongoDB and its indexes are required. Without Redis the service
+// is degraded, still serving from MongoDB, and stays in rotation.
+app.get("/readyz", async (req, res) => {
+  const readiness = await healthService.checkReadiness();
+  res.status(readiness.status === "unavailable" ? 503 : 200).json(readiness);
+});
 
 // Routes
 app.use("/api", geoLife);
@@ -1,12 +1,26 @@
 import mongoose from 'mongoose';
 
-export const connectDB = async () => {
-  try {
-    const conn = await mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/geolife');
-    console.log(`MongoDB Connected: ${conn.connection.host}`);
-  } catch (error) {
-    console.error(`Error: ${error.message}`);
-    process.exit(1);
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * Connect to MongoDB, retrying with a growing delay. The service keeps running
+ * meanwhile: /readyz reports MongoDB as down until the connection succeeds.
+ * @param {{attempts?: number}} [options] - Scripts pass 1 to fail at once
+ * @throws {Error} When every attempt failed
+ */
+export const connectDB = async ({ attempts = Infinity } = {}) => {
+  for (let attempt = 1; ; attempt++) {
+    try {
+      const conn = await mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/geolife');
+      console.log(`MongoDB Connected: ${conn.connection.host}`);
+      return;
+    } catch (error) {
+      if (attempt >= attempts) throw error;
+
+      const retryIn = Math.min(attempt * 1000, 10000);
+      console.error(`MongoDB connection failed (attempt ${attempt}), retrying in ${retryIn / 1000}s: ${error.message}`);
+      await sleep(retryIn);
+    }
   }
 };
 
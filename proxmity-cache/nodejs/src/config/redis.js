@@ -1,15 +1,152 @@
-import { createClient } from 'redis';
+import dotenv from 'dotenv';
+import Redis from 'ioredis';
 
-const redisClient = createClient({
-  url: process.env.REDIS_URI || 'redis://localhost:6379'
-});
+dotenv.config();
 
-redisClient.on('error', (err) => console.log('Redis Client Error', err));
-redisClient.on('connect', () => console.log('Redis Client Connected'));
+// Every Redis connection of the service comes from createRedisClient, configured by REDIS_MODE:
+//   standalone - REDIS_URL, or REDIS_HOST / REDIS_PORT / REDIS_DB
+//   sentinel   - REDIS_SENTINELS and REDIS_SENTINEL_NAME (the monitored master)
+//   cluster    - REDIS_CLUSTER_NODES, any subset of the nodes
+// Node lists are "host:port,host:port". REDIS_PASSWORD applies to every mode.
+const parseNodes = (list) => (list || '')
+  .split(',')
+  .map(node => node.trim())
+  .filter(Boolean)
+  .map(node => {
+    const [host, port] = node.split(':');
+    return { host, port: parseInt(port) || 6379 };
+  });
 
-export const connectRedis = async () => {
-  await redisClient.connect();
+export const REDIS_CONFIG = {
+  mode: process.env.REDIS_MODE || 'standalone',
+  url: process.env.REDIS_URL,
+  host: process.env.REDIS_HOST || '127.0.0.1',
+  port: parseInt(process.env.REDIS_PORT) || 6379,
+  db: parseInt(process.env.REDIS_DB) || 0,
+  password: process.env.REDIS_PASSWORD,
+  sentinels: parseNodes(process.env.REDIS_SENTINELS),
+  sentinelName: process.env.REDIS_SENTINEL_NAME || 'mymaster',
+  sentinelPassword: process.env.REDIS_SENTINEL_PASSWORD,
+  clusterNodes: parseNodes(process.env.REDIS_CLUSTER_NODES)
 };
 
-export default redisClient;
+const retryStrategy = (times) => Math.min(times * 50, 2000);
 
+/**
+ * Create a Redis connection for the configured mode
+ * @param {string} [name] - Connection name, shown by CLIENT LIST
+ * @returns {Redis|Redis.Cluster}
+ */
+export const createRedisClient = (name = 'geolife') => {
+  const { mode, password } = REDIS_CONFIG;
+  let client;
+
+  switch (mode) {
+    case 'standalone':
+      client = REDIS_CONFIG.url
+        ? new Redis(REDIS_CONFIG.url, { connectionName: name, retryStrategy })
+        : new Redis({
+          host: REDIS_CONFIG.host,
+          port: REDIS_CONFIG.port,
+          db: REDIS_CONFIG.db,
+          password,
+          connectionName: name,
+          retryStrategy
+        });
+      break;
+    case 'sentinel':
+      if (REDIS_CONFIG.sentinels.length === 0) {
+        throw new Error('REDIS_MODE=sentinel needs REDIS_SENTINELS');
+      }
+      client = new Redis({
+        sentinels: REDIS_CONFIG.sentinels,
+        name: REDIS_CONFIG.sentinelName,
+        sentinelPassword: REDIS_CONFIG.sentinelPassword,
+        db: REDIS_CONFIG.db,
+        password,
+        connectionName: name,
+        retryStrategy
+      });
+      break;
+    case 'cluster':
+      if (REDIS_CONFIG.clusterNodes.length === 0) {
+        throw new Error('REDIS_MODE=cluster needs REDIS_CLUSTER_NODES');
+      }
+      client = new Redis.Cluster(REDIS_CONFIG.clusterNodes, {
+        redisOptions: { password, connectionName: name },
+        clusterRetryStrategy: retryStrategy
+      });
+      break;
+    default:
+      throw new Error(`Unknown REDIS_MODE "${mode}", expected standalone, sentinel or cluster`);
+  }
+
+  client.on('error', (error) => console.error(`Redis connection error (${name}):`, error));
+  client.on('ready', () => console.log(`Connected to Redis (${name}, ${mode})`));
+  return client;
+};
+
+export const isCluster = (client) => client instanceof Redis.Cluster;
+
+// Whether a connection takes commands now; callers skip Redis otherwise (degraded mode)
+export const isRedisReady = (client) => client.status === 'ready';
+
+/**
+ * Wrap part of a key in a hash tag, so that every key sharing the tag maps to
+ * the same cluster slot and multi-key commands (RENAME, ZUNIONSTORE, MULTI) work
+ * @param {string} name - e.g. "geo:locations" becomes "{geo:locations}"
+ * @returns {string}
+ */
+export const hashTag = (name) => `{${name}}`;
+
+/**
+ * SCAN every key matching a pattern; on a cluster, every master is scanned
+ * @param {Redis|Redis.Cluster} client
+ * @param {string} pattern
+ * @param {{count?: number}} [options]
+ * @returns {AsyncGenerator<string[]>} Batches of keys
+ */
+export async function* scanKeys(client, pattern, { count = 500 } = {}) {
+  const nodes = isCluster(client) ? client.nodes('master') : [client];
+
+  for (const node of nodes) {
+    let cursor = '0';
+    do {
+      const [nextCursor, keys] = await node.scan(cursor, 'MATCH', pattern, 'COUNT', count);
+      cursor = nextCursor;
+      if (keys.length > 0) yield keys;
+    } while (cursor !== '0');
+  }
+}
+
+/**
+ * One SCAN call, resumable across calls; on a cluster, masters are scanned in turn
+ * @param {Redis|Redis.Cluster} client
+ * @param {string} pattern
+ * @param {{node: number, cursor: string}} position - Where the previous call stopped; {node: 0, cursor: '0'} to start
+ * @param {{count?: number, type?: string}} [options] - type: only keys of this Redis type
+ * @returns {Promise<{keys: string[], next: {node: number, cursor: string}|null}>} next is null once every node is done
+ */
+export const scanPage = async (client, pattern, { node, cursor }, { count = 100, type } = {}) => {
+  const nodes = isCluster(client) ? client.nodes('master') : [client];
+  if (node >= nodes.length) return { keys: [], next: null };
+
+  const [nextCursor, keys] = await nodes[node].scan(cursor, 'MATCH', pattern, 'COUNT', count, ...(type ? ['TYPE', type] : []));
+  if (nextCursor !== '0') return { keys, next: { node, cursor: nextCursor } };
+  return { keys, next: node + 1 < nodes.length ? { node: node + 1, cursor: '0' } : null };
+};
+
+/**
+ * UNLINK keys that may live in different slots
+ * @param {Redis|Redis.Cluster} client
+ * @param {string[]} keys
+ * @returns {Promise<number>} Number of keys removed
+ */
+export const unlinkKeys = async (client, keys) => {
+  if (keys.length === 0) return 0;
+  if (!isCluster(client)) return client.unlink(...keys);
+
+  // A cluster rejects multi-key commands across slots: one UNLINK per key
+  const results = await Promise.all(keys.map(key => client.unlink(key)));
+  return results.reduce((sum, removed) => sum + removed, 0);
+};
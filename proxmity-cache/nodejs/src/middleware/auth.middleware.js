@@ -0,0 +1,57 @@
+import authService, { AUTH_CONFIG, hasRole } from '../services/auth.service.js';
+
+// The key comes from "X-API-Key: <key>" or "Authorization: Bearer <key>"
+const readKey = (req) => {
+  const header = req.get('x-api-key');
+  if (header) return header;
+
+  const [scheme, token] = (req.get('authorization') || '').split(' ');
+  return scheme === 'Bearer' ? token : undefined;
+};
+
+// Audit an admin request once its response is sent, so the status is known
+const auditOnFinish = (req, res) => {
+  res.on('finish', () => {
+    const { _id, name, role } = req.apiKey;
+    authService.audit({
+      action: `${req.method} ${req.baseUrl}${req.route?.path || req.path}`,
+      actor: { keyId: _id, name, role },
+      ip: req.ip,
+      params: { ...req.params, ...req.query, ...(req.body && Object.keys(req.body).length > 0 && { body: req.body }) },
+      status: res.statusCode
+    });
+  });
+};
+
+/**
+ * Require an API key with at least `role`. Admin requests are audit-logged.
+ * @param {'reader'|'writer'|'admin'} role
+ */
+export const requireRole = (role) => {
+  return async (req, res, next) => {
+    if (!AUTH_CONFIG.enabled) return next();
+
+    const key = readKey(req);
+    if (!key) {
+      return res.status(401).json({ error: 'An API key is required (X-API-Key header)' });
+    }
+
+    try {
+      req.apiKey = await authService.findKey(key);
+    } catch (error) {
+      console.error('API key lookup error:', error);
+      return res.status(503).json({ error: 'Unable to verify the API key' });
+    }
+
+    if (!req.apiKey) {
+      return res.status(401).json({ error: 'Invalid or revoked API key' });
+    }
+
+    if (!hasRole(req.apiKey.role, role)) {
+      return res.status(403).json({ error: `This endpoint requires the ${role} role` });
+    }
+
+    if (role === 'admin') auditOnFinish(req, res);
+    next();
+  };
+};
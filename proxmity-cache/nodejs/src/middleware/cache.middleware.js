@@ -1,8 +1,12 @@
+import cachePolicy from '../services/cache-policy.service.js';
 import redisService from '../services/redis.service.js';
 
-export const cacheMiddleware = (ttl = 3600) => {
+// Responses are cached under the "api" family's policy, read per request so a reload applies
+export const cacheMiddleware = (ttl) => {
   return async (req, res, next) => {
     const cacheKey = `api:${req.originalUrl}`;
+    const policy = cachePolicy.policyFor('api');
+    if (!policy.enabled) return next();
 
     try {
       const cachedData = await redisService.get(cacheKey);
@@ -17,7 +21,7 @@ export const cacheMiddleware = (ttl = 3600) => {
       res.send = function (body) {
         try {
           const data = JSON.parse(body);
-          redisService.set(cacheKey, data, ttl);
+          redisService.set(cacheKey, data, cachePolicy.jitterTTL(ttl ?? policy.ttl, policy));
         } catch (error) {
           console.error('Cache middleware error:', error);
         }
@@ -0,0 +1,22 @@
+import mongoose from 'mongoose';
+
+const { Schema } = mongoose;
+
+export const API_KEY_ROLES = ['reader', 'writer', 'admin'];
+
+// Only the SHA-256 hash of a key is stored; the key itself is shown once at creation
+const apiKeySchema = new Schema({
+  name: { type: String, required: true },
+  keyHash: { type: String, required: true, unique: true },
+  prefix: { type: String, required: true }, // First characters of the key, to recognise it in listings
+  role: { type: String, enum: API_KEY_ROLES, required: true },
+  quota: { type: Number, min: 1 }, // Rate limit points per window; the role's default when unset
+  lastUsedAt: { type: Date },
+  revokedAt: { type: Date }
+}, {
+  timestamps: true
+});
+
+const ApiKey = mongoose.model('ApiKey', apiKeySchema);
+
+export default ApiKey;
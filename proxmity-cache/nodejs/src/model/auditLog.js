@@ -0,0 +1,23 @@
+import mongoose from 'mongoose';
+
+const { Schema } = mongoose;
+
+// One document per admin action, made through the API or the API key CLI
+const auditLogSchema = new Schema({
+  action: { type: String, required: true }, // e.g. "POST /api/geo-spatial/cache/clear", "apikey.create"
+  actor: {
+    keyId: { type: Schema.Types.ObjectId },
+    name: { type: String }, // Key name, or "cli"
+    role: { type: String }
+  },
+  ip: { type: String },
+  params: { type: Schema.Types.Mixed },
+  status: { type: Number },
+  at: { type: Date, default: Date.now }
+});
+
+auditLogSchema.index({ at: -1 });
+
+const AuditLog = mongoose.model('AuditLog', auditLogSchema);
+
+export default AuditLog;
@@ -0,0 +1,22 @@
+import mongoose from 'mongoose';
+
+const { Schema } = mongoose;
+
+// One document per GeoLife .plt file, so an interrupted import can resume
+const importCheckpointSchema = new Schema({
+  file: { type: String, required: true, unique: true },
+  userId: { type: String, required: true },
+  trajectoryId: { type: String, required: true },
+  status: { type: String, enum: ['in_progress', 'done'], required: true },
+  imported: { type: Number, default: 0 },
+  skipped: { type: Number, default: 0 },
+  malformed: { type: Number, default: 0 },
+  labeled: { type: Number, default: 0 },
+  completedAt: { type: Date }
+}, {
+  timestamps: true
+});
+
+const ImportCheckpoint = mongoose.model('ImportCheckpoint', importCheckpointSchema);
+
+export default ImportCheckpoint;
@@ -6,12 +6,18 @@ const locationSchema = new Schema({
   locationId: { type: Number, required: true },
   latitude: { type: Number, required: true },
   longitude: { type: Number, required: true },
+  location: { // GeoJSON point used by $geoNear / $geoWithin
+    type: { type: String, enum: ['Point'], default: 'Point' },
+    coordinates: { type: [Number] } // [longitude, latitude]
+  },
   altitude: { type: Number },
   timestamp: { type: Date, required: true },
   trafficCount: { type: Number, required: true },
   lastAccessed: { type: Date, default: Date.now },
   queryCount: { type: Number, default: 0 },
-  userId: { type: String }
+  userId: { type: String },
+  trajectoryId: { type: String },
+  transportMode: { type: String }
 }, {
   timestamps: true,
   index: {
@@ -21,9 +27,10 @@ const locationSchema = new Schema({
 });
 
 // Create compound indexes for efficient querying
-locationSchema.index({ latitude: 1, longitude: 1 }, { type: '2dsphere' });
+locationSchema.index({ location: '2dsphere' });
 locationSchema.index({ timestamp: 1 });
 locationSchema.index({ userId: 1, timestamp: 1 });
+locationSchema.index({ userId: 1, trajectoryId: 1 });
 
 // Add index for temporal queries
 locationSchema.index({ lastAccessed: 1, queryCount: -1 });
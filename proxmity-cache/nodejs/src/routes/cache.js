@@ -1,35 +1,31 @@
 import express from 'express';
+import { requireRole } from '../middleware/auth.middleware.js';
+import { rateLimit } from '../middleware/rateLimiter.js';
+import accessTracker from '../services/access-tracker.service.js';
+import cachePolicy from '../services/cache-policy.service.js';
+import decayWorker from '../services/decay-worker.service.js';
 import cacheService from '../services/geo-cache.services.js';
+import { validateInspectRequest } from '../utils/validation.js';
 
 const router = express.Router();
 
-// Get all cached data
-router.get('/cached-data', async (req, res) => {
+// Page through cached keys (admin only: entries hold raw query results).
+// Filters run in Redis: pattern (glob on the key, after the family), family,
+// type, and geohash (entries tagged with that cell). Pass each response's
+// nextCursor as `cursor` until it is null; a page may come back short or empty
+// before the end.
+router.get('/cached-data', requireRole('admin'), rateLimit(), async (req, res) => {
   try {
-    // Optional query parameters for filtering
-    const { type, pattern } = req.query;
-    
-    const results = await cacheService.getAllCachedData();
-
-    // Apply filters if provided
-    if (type || pattern) {
-      const filteredData = {};
-      
-      for (const [key, value] of Object.entries(results.data)) {
-        // Filter by type
-        if (type && value.type !== type) continue;
-        
-        // Filter by key pattern
-        if (pattern && !key.includes(pattern)) continue;
-        
-        filteredData[key] = value;
-      }
-      
-      results.data = filteredData;
-      results.metadata.totalKeys = Object.keys(filteredData).length;
+    const validation = validateInspectRequest(req.query);
+    if (!validation.isValid) {
+      return res.status(400).json({ error: validation.error });
     }
 
-    res.status(200).json(results);
+    const { keys, next } = await cacheService.inspectCache(validation.inspect);
+    res.status(200).json({
+      keys,
+      nextCursor: next ? `${next.node}-${next.cursor}` : null
+    });
   } catch (error) {
     console.error('Error fetching cached data:', error);
     res.status(500).json({ 
@@ -39,8 +35,26 @@ router.get('/cached-data', async (req, res) => {
   }
 });
 
+// One cached key in full, by the key the listing returned (URL-encoded)
+router.get('/cached-data/:key', requireRole('admin'), rateLimit(), async (req, res) => {
+  try {
+    const entry = await cacheService.inspectCacheKey(req.params.key);
+    if (!entry) {
+      return res.status(404).json({ error: 'Key not found' });
+    }
+
+    res.status(200).json(entry);
+  } catch (error) {
+    console.error('Error fetching cached key:', error);
+    res.status(500).json({ 
+      error: 'An error occurred while fetching the cached key',
+      message: error.message 
+    });
+  }
+});
+
 // Get cache statistics
-router.get('/stats', async (req, res) => {
+router.get('/stats', requireRole('reader'), rateLimit(), async (req, res) => {
   try {
     const stats = await cacheService.getCacheStats();
     res.status(200).json(stats);
@@ -53,14 +67,39 @@ router.get('/stats', async (req, res) => {
   }
 });
 
-// Clear specific cache entries
-router.delete('/clear', async (req, res) => {
+// Clear specific cache entries, by tag (e.g. "user:010", "cell:wx4g0"),
+// by a point whose covering queries should be dropped, or by key pattern
+router.delete('/clear', requireRole('admin'), rateLimit({ scope: 'cache-clear', points: 10 }), async (req, res) => {
   try {
-    const { pattern } = req.body;
-    
+    const { pattern, tags, point } = req.body;
+
+    if (Array.isArray(tags) && tags.length > 0) {
+      const invalidated = await cacheService.invalidateTags(tags);
+      return res.status(200).json({
+        message: `Cache entries tagged ${tags.join(', ')} have been cleared`,
+        invalidated
+      });
+    }
+
+    if (point) {
+      const latitude = parseFloat(point.latitude);
+      const longitude = parseFloat(point.longitude);
+      if (isNaN(latitude) || isNaN(longitude)) {
+        return res.status(400).json({
+          error: 'point.latitude and point.longitude must be numbers'
+        });
+      }
+
+      const invalidated = await cacheService.invalidatePoints([{ latitude, longitude }]);
+      return res.status(200).json({
+        message: `Cache entries covering (${latitude}, ${longitude}) have been cleared`,
+        invalidated
+      });
+    }
+
     if (!pattern) {
       return res.status(400).json({ 
-        error: 'Pattern is required for cache clearing' 
+        error: 'One of tags, point or pattern is required for cache clearing' 
       });
     }
 
@@ -77,4 +116,50 @@ router.delete('/clear', async (req, res) => {
   }
 });
 
+// Effective caching policy: every family's TTL, jitter, size limit,
+// compression, stale-while-revalidate window and whether it is enabled
+router.get('/policy', requireRole('admin'), rateLimit(), (req, res) => {
+  res.status(200).json(cachePolicy.getPolicy());
+});
+
+// Re-read the policy file on this instance, without a restart. An invalid
+// file is rejected and the current policy stays in force.
+router.post('/policy/reload', requireRole('admin'), rateLimit({ scope: 'policy-reload', points: 10 }), async (req, res) => {
+  try {
+    res.status(200).json(await cachePolicy.reload());
+  } catch (error) {
+    console.error('Error reloading cache policy:', error);
+    res.status(422).json({
+      error: 'The cache policy was not reloaded',
+      message: error.message
+    });
+  }
+});
+
+// Decay worker status: last run, eviction counts and decay parameters
+router.get('/decay', requireRole('reader'), rateLimit(), (req, res) => {
+  res.status(200).json({
+    ...decayWorker.getStatus(),
+    access: accessTracker.getStats()
+  });
+});
+
+// Run the decay worker now instead of waiting for its interval
+router.post('/decay/run', requireRole('admin'), rateLimit({ scope: 'decay-run', points: 5 }), async (req, res) => {
+  try {
+    await accessTracker.flush();
+    const result = await decayWorker.run();
+    if (!result) {
+      return res.status(409).json({ error: 'A decay run is already in progress' });
+    }
+    res.status(200).json(result);
+  } catch (error) {
+    console.error('Error running decay worker:', error);
+    res.status(500).json({ 
+      error: 'An error occurred while running the decay worker',
+      message: error.message 
+    });
+  }
+});
+
 export default router;
\ No newline at end of file
@@ -1,41 +1,93 @@
 import express from 'express';
+import { requireRole } from '../middleware/auth.middleware.js';
+import { rateLimit, spatialCost } from '../middleware/rateLimiter.js';
+import exportService from '../services/export.service.js';
 import cacheService from '../services/geo-cache.services.js';
+import trajectoryExportService, { TRAJECTORY_EXPORT_CONFIG } from '../services/trajectory-export.service.js';
+import { negotiateFormat, sendError } from '../utils/exportFormats.js';
+import { coverCircle } from '../utils/geohashCover.js';
+import { validateCursor, validateExportLimit, validateTrackExportRequest } from '../utils/validation.js';
 
 const router = express.Router();
 
-// Get paginated trajectories with optimization
-router.get('/gps-trajectories', async (req, res) => {
+// Send a page as JSON, or serialized (and cached) in the negotiated format
+const sendResult = async (res, format, load, cache) => {
+  if (format === 'json') {
+    return res.status(200).json(await load());
+  }
+
+  const exported = await exportService.getPage(format, load, cache);
+  res.status(200).type(exported.contentType).set(exported.headers).send(exported.body);
+};
+
+// Get paginated trajectories with optimization. Nearby queries also page by
+// `cursor`: empty for the first page, then each response's nextCursor.
+// Answers GeoJSON, NDJSON, CSV or MessagePack by ?format= or Accept; limit=all streams every match
+router.get('/gps-trajectories', requireRole('reader'), rateLimit({ cost: spatialCost }), async (req, res) => {
   try {
-    const { page = 1, latitude, longitude, radius, limit = 100 } = req.query;
+    const { page = 1, latitude, longitude, radius, limit = 100, cursor } = req.query;
     
     // Ensure page and limit are integers
     const pageNumber = parseInt(page, 10);
     const pageSize = parseInt(limit, 10);
 
-    let result;
+    const formatValidation = negotiateFormat(req);
+    if (!formatValidation.isValid) {
+      return res.status(400).json({ error: formatValidation.error });
+    }
+    const { format } = formatValidation;
+
+    const exportValidation = validateExportLimit(format, limit, cursor);
+    if (!exportValidation.isValid) {
+      return res.status(400).json({ error: exportValidation.error });
+    }
+
     if (latitude && longitude) {
-      result = await cacheService.findNearbyLocations(
-        parseFloat(longitude),
-        parseFloat(latitude),
-        parseFloat(radius) || 1,
+      const query = { longitude: parseFloat(longitude), latitude: parseFloat(latitude), radius: parseFloat(radius) || 1 };
+      const cursorValidation = validateCursor(cursor, query);
+      if (!cursorValidation.isValid) {
+        return res.status(400).json({ error: cursorValidation.error });
+      }
+
+      if (exportValidation.stream) {
+        const rows = cacheService.streamNearbyLocations(query.longitude, query.latitude, query.radius);
+        return await exportService.stream(format, rows, res, { query });
+      }
+
+      return await sendResult(res, format, () => cacheService.findNearbyLocations(
+        query.longitude,
+        query.latitude,
+        query.radius,
+        undefined,
         pageNumber,
-        pageSize
-      );
-    } else {
-      result = await cacheService.getPagedData({}, pageNumber, pageSize);
+        pageSize,
+        undefined,
+        { keyset: cursorValidation.keyset }
+      ), {
+        family: 'nearbyLocations',
+        query: { ...query, page: pageNumber, limit: pageSize, cursor },
+        cells: coverCircle(query.latitude, query.longitude, query.radius).cells
+      });
     }
 
-    res.status(200).json(result);
+    if (exportValidation.stream) {
+      return await exportService.stream(format, cacheService.streamPagedData({}), res);
+    }
+
+    await sendResult(res, format, () => cacheService.getPagedData({}, pageNumber, pageSize), {
+      family: 'pagedData',
+      query: { page: pageNumber, limit: pageSize }
+    });
   } catch (error) {
     console.error('Error fetching GPS trajectories:', error);
-    res.status(500).json({ error: 'An error occurred while fetching data.' });
+    sendError(res, { error: 'An error occurred while fetching data.' });
   }
 });
 
 // Search users with pagination and optimization
-router.get('/search-users', async (req, res) => {
+router.get('/search-users', requireRole('reader'), rateLimit({ cost: spatialCost }), async (req, res) => {
   try {
-    const { user_id, page = 1, latitude, longitude, radius, limit = 100 } = req.query;
+    const { user_id, page = 1, latitude, longitude, radius, limit = 100, cursor } = req.query;
 
     if (!user_id) {
       return res.status(400).json({ error: 'User ID is required for searching.' });
@@ -45,24 +97,110 @@ router.get('/search-users', async (req, res) => {
     const pageNumber = parseInt(page, 10);
     const pageSize = parseInt(limit, 10);
 
-    let result;
+    const formatValidation = negotiateFormat(req);
+    if (!formatValidation.isValid) {
+      return res.status(400).json({ error: formatValidation.error });
+    }
+    const { format } = formatValidation;
+
+    const exportValidation = validateExportLimit(format, limit, cursor);
+    if (!exportValidation.isValid) {
+      return res.status(400).json({ error: exportValidation.error });
+    }
+
     if (latitude && longitude) {
-      result = await cacheService.findNearbyLocations(
-        parseFloat(longitude),
-        parseFloat(latitude),
-        parseFloat(radius) || 1,
-        user_id,
+      const query = {
+        longitude: parseFloat(longitude),
+        latitude: parseFloat(latitude),
+        radius: parseFloat(radius) || 1,
+        userId: user_id
+      };
+      const cursorValidation = validateCursor(cursor, query);
+      if (!cursorValidation.isValid) {
+        return res.status(400).json({ error: cursorValidation.error });
+      }
+
+      if (exportValidation.stream) {
+        const rows = cacheService.streamNearbyLocations(query.longitude, query.latitude, query.radius, query.userId);
+        return await exportService.stream(format, rows, res, { query });
+      }
+
+      return await sendResult(res, format, () => cacheService.findNearbyLocations(
+        query.longitude,
+        query.latitude,
+        query.radius,
+        query.userId,
         pageNumber,
-        pageSize
-      );
-    } else {
-      result = await cacheService.getPagedData({ userId: user_id }, pageNumber, pageSize);
+        pageSize,
+        undefined,
+        { keyset: cursorValidation.keyset }
+      ), {
+        family: 'nearbyLocations',
+        query: { ...query, page: pageNumber, limit: pageSize, cursor },
+        cells: coverCircle(query.latitude, query.longitude, query.radius).cells,
+        userId: user_id
+      });
+    }
+
+    if (exportValidation.stream) {
+      return await exportService.stream(format, cacheService.streamPagedData({ userId: user_id }), res, { query: { userId: user_id } });
     }
 
-    res.status(200).json(result);
+    await sendResult(res, format, () => cacheService.getPagedData({ userId: user_id }, pageNumber, pageSize), {
+      family: 'pagedData',
+      query: { userId: user_id, page: pageNumber, limit: pageSize },
+      userId: user_id
+    });
   } catch (error) {
     console.error('Error fetching user trajectories:', error);
-    res.status(500).json({ error: 'An error occurred while searching user data.' });
+    sendError(res, { error: 'An error occurred while searching user data.' });
+  }
+});
+
+// Zip of a user's trajectories with points between `from` and `to`, one GPX
+// (default) or KML file each, with only the points in that range
+router.get('/users/:userId/trajectories.zip', requireRole('reader'), rateLimit({ cost: 10 }), async (req, res) => {
+  try {
+    const { userId } = req.params;
+    const validation = validateTrackExportRequest(req.query);
+    if (!validation.isValid) {
+      return res.status(400).json({ error: validation.error });
+    }
+    const { format, timeWindow } = validation.trackExport;
+
+    const trajectories = await trajectoryExportService.listTrajectories(userId, timeWindow);
+    if (trajectories.length === 0) {
+      return res.status(404).json({ error: 'No trajectories found for this user in that range.' });
+    }
+    if (trajectories.length > TRAJECTORY_EXPORT_CONFIG.maxZipTrajectories) {
+      return res.status(400).json({
+        error: `The range holds ${trajectories.length} trajectories, more than ${TRAJECTORY_EXPORT_CONFIG.maxZipTrajectories}. Narrow it.`
+      });
+    }
+
+    await trajectoryExportService.streamZip(format, userId, trajectories, timeWindow, res);
+  } catch (error) {
+    console.error('Error exporting trajectories:', error);
+    sendError(res, { error: 'An error occurred while exporting trajectories.' });
+  }
+});
+
+// One trajectory as a GPX or KML track, split into segments at time gaps
+router.get('/users/:userId/trajectories/:trajectoryId.:format', requireRole('reader'), rateLimit(), async (req, res) => {
+  try {
+    const { userId, trajectoryId, format } = req.params;
+    if (!['gpx', 'kml'].includes(format)) {
+      return res.status(404).json({ error: 'Trajectories export as .gpx or .kml.' });
+    }
+
+    if (!(await trajectoryExportService.hasTrajectory(userId, trajectoryId))) {
+      return res.status(404).json({ error: 'Trajectory not found.' });
+    }
+
+    await trajectoryExportService.streamTrajectory(format, userId, trajectoryId, res);
+  } catch (error) {
+    console.error('Error exporting trajectory:', error);
+    sendError(res, { error: 'An error occurred while exporting the trajectory.' });
   }
 });
 
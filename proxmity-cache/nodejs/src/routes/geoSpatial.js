@@ -1,19 +1,28 @@
 import express from "express"
-import { rateLimiter } from "../middleware/rateLimiter.js"
+import { requireRole } from "../middleware/auth.middleware.js"
+import { rateLimit, spatialCost } from "../middleware/rateLimiter.js"
 import geoCacheService from "../services/geo-cache.services.js"
+import exportService from "../services/export.service.js"
+import heatmapService from "../services/heatmap.service.js"
+import knnService from "../services/knn.service.js"
+import warmupService from "../services/warmup.service.js"
+import { negotiateFormat, sendError } from "../utils/exportFormats.js"
+import { coverCircle } from "../utils/geohashCover.js"
+import { isBadGeometry } from "../utils/geometry.js"
 import { monitoringService } from "../utils/services.monitoring.js"
-import { validateCoordinates, validatePagination, validateTimeRange } from "../utils/validation.js"
+import { validateCoordinates, validateCursor, validateExportLimit, validatePagination, validateTimeWindow, validateWithinRequest } from "../utils/validation.js"
 
 const router = express.Router()
 
-// Apply rate limiting to all routes
-router.use(rateLimiter)
 router.use(monitoringService.requestDurationMiddleware)
 
-// Get spatiotemporal data
-router.get("/data", async (req, res) => {
+// Get spatiotemporal data: points within `radius` km of (latitude, longitude)
+// and within [timestamp - window, timestamp + window] or [start, end].
+// Pages by `page`, or by `cursor`: empty for the first page, then each response's nextCursor.
+// Answers GeoJSON, NDJSON, CSV or MessagePack by ?format= or Accept; limit=all streams every match
+router.get("/data", requireRole("reader"), rateLimit({ cost: spatialCost }), async (req, res) => {
   try {
-    const { latitude, longitude, radius, timestamp, page, limit, user_id } = req.query
+    const { latitude, longitude, radius, timestamp, window, start, end, page, limit, user_id, cursor } = req.query
 
     // Validate coordinates
     const coordValidation = validateCoordinates(Number.parseFloat(latitude), Number.parseFloat(longitude))
@@ -21,8 +30,8 @@ router.get("/data", async (req, res) => {
       return res.status(400).json({ error: coordValidation.error })
     }
 
-    // Validate timestamp
-    const timeValidation = validateTimeRange(timestamp)
+    // Validate time window
+    const timeValidation = validateTimeWindow({ timestamp, window, start, end })
     if (!timeValidation.isValid) {
       return res.status(400).json({ error: timeValidation.error })
     }
@@ -33,45 +42,156 @@ router.get("/data", async (req, res) => {
       return res.status(400).json({ error: paginationValidation.error })
     }
 
-    const result = await geoCacheService.findNearbyLocations(
-      Number.parseFloat(longitude),
-      Number.parseFloat(latitude),
-      Number.parseFloat(radius) || 1,
-      user_id,
+    const query = {
+      longitude: Number.parseFloat(longitude),
+      latitude: Number.parseFloat(latitude),
+      radius: Number.parseFloat(radius) || 1,
+      userId: user_id,
+      timeWindow: timeValidation.timeWindow,
+    }
+
+    // Validate cursor
+    const cursorValidation = validateCursor(cursor, query)
+    if (!cursorValidation.isValid) {
+      return res.status(400).json({ error: cursorValidation.error })
+    }
+
+    // Validate format
+    const formatValidation = negotiateFormat(req)
+    if (!formatValidation.isValid) {
+      return res.status(400).json({ error: formatValidation.error })
+    }
+    const { format } = formatValidation
+
+    const exportValidation = validateExportLimit(format, limit, cursor)
+    if (!exportValidation.isValid) {
+      return res.status(400).json({ error: exportValidation.error })
+    }
+
+    if (exportValidation.stream) {
+      const rows = geoCacheService.streamNearbyLocations(query.longitude, query.latitude, query.radius, query.userId, query.timeWindow)
+      return await exportService.stream(format, rows, res, { query })
+    }
+
+    const load = () => geoCacheService.findNearbyLocations(
+      query.longitude,
+      query.latitude,
+      query.radius,
+      query.userId,
       paginationValidation.pagination.page,
       paginationValidation.pagination.limit,
+      query.timeWindow,
+      { keyset: cursorValidation.keyset },
     )
 
-    res.status(200).json(result)
+    if (format === "json") {
+      return res.status(200).json(await load())
+    }
+
+    const exported = await exportService.getPage(format, load, {
+      family: "nearbyLocations",
+      query: { ...query, ...paginationValidation.pagination, cursor },
+      cells: coverCircle(query.latitude, query.longitude, query.radius).cells,
+      userId: query.userId,
+    })
+    res.status(200).type(exported.contentType).set(exported.headers).send(exported.body)
   } catch (error) {
     monitoringService.recordError("data_fetch")
     console.error("Error fetching data:", error)
+    sendError(res, { error: "Internal server error" })
+  }
+})
+
+// The k points nearest to (latitude, longitude), however far: k (default 10),
+// optionally for one userId and within from/to
+router.get("/nearest", requireRole("reader"), rateLimit({ cost: (req) => Math.ceil((parseInt(req.query.k) || 10) / 100) }), async (req, res) => {
+  try {
+    const { latitude, longitude, k, user_id, from, to } = req.query
+
+    const nearest = await knnService.findNearest({ latitude, longitude, k, userId: user_id, from, to })
+    if (!nearest.isValid) {
+      return res.status(400).json({ error: nearest.error })
+    }
+
+    res.status(200).json(nearest.result)
+  } catch (error) {
+    monitoringService.recordError("nearest_fetch")
+    console.error("Error fetching nearest points:", error)
     res.status(500).json({ error: "Internal server error" })
   }
 })
 
-// Warmup cache
-router.post("/cache/warmup", async (req, res) => {
+// Points inside an area. Body: { geometry: GeoJSON Polygon | MultiPolygon } or
+// { bbox: [minLon, minLat, maxLon, maxLat] }, optionally with user_id. Pages by page and limit
+router.post("/within", requireRole("reader"), rateLimit({ cost: 5 }), async (req, res) => {
   try {
-    const { region, timeRange } = req.body
-
-    if (!region || !timeRange) {
-      return res.status(400).json({ error: "Region and timeRange are required" })
-    }
-
-    // Implementation of cache warmup logic
-    // This would typically involve pre-fetching data for the specified region and time range
-    const result = await geoCacheService.getPagedData(
-      {
-        latitude: { $gte: region.minLat, $lte: region.maxLat },
-        longitude: { $gte: region.minLon, $lte: region.maxLon },
-        timestamp: { $gte: new Date(timeRange.start), $lte: new Date(timeRange.end) },
-      },
-      1,
-      1000,
+    const { page, limit } = req.query
+    const { geometry, bbox, user_id } = req.body
+
+    // Validate area
+    const withinValidation = validateWithinRequest({ geometry, bbox })
+    if (!withinValidation.isValid) {
+      return res.status(400).json({ error: withinValidation.error })
+    }
+
+    // Validate pagination
+    const paginationValidation = validatePagination(page, limit)
+    if (!paginationValidation.isValid) {
+      return res.status(400).json({ error: paginationValidation.error })
+    }
+
+    const result = await geoCacheService.findWithin(
+      withinValidation.within.geometry,
+      withinValidation.within.hash,
+      user_id,
+      paginationValidation.pagination.page,
+      paginationValidation.pagination.limit,
+      withinValidation.within.box,
     )
 
-    res.status(200).json({ message: "Cache warmup completed", result })
+    res.status(200).json(result)
+  } catch (error) {
+    // MongoDB rejects geometries it cannot index, e.g. self-intersecting rings
+    if (isBadGeometry(error)) {
+      return res.status(400).json({ error: `Invalid geometry: ${error.message}` })
+    }
+    monitoringService.recordError("within_fetch")
+    console.error("Error fetching points within area:", error)
+    res.status(500).json({ error: "Internal server error" })
+  }
+})
+
+// Point density per geohash cell inside bbox=minLon,minLat,maxLon,maxLat, optionally
+// at a precision, within from/to, between startHour and endHour (UTC, endHour
+// excluded) and for one userId. format=geojson returns a FeatureCollection for maps.
+router.get("/heatmap", requireRole("reader"), rateLimit({ cost: 10 }), async (req, res) => {
+  try {
+    const result = await heatmapService.getHeatmap(req.query)
+    if (!result.isValid) {
+      return res.status(400).json({ error: result.error })
+    }
+
+    if (result.format === "geojson") {
+      return res.status(200).type("application/geo+json").send(JSON.stringify(result.heatmap))
+    }
+    res.status(200).json(result.heatmap)
+  } catch (error) {
+    monitoringService.recordError("heatmap")
+    console.error("Error building heatmap:", error)
+    res.status(500).json({ error: "Internal server error" })
+  }
+})
+
+// Start a cache warmup job. Body: { region: { minLat, minLon, maxLat, maxLon } | topCells: N,
+// timeRange?: { start, end }, radius?: km of the queries to warm for }
+router.post("/cache/warmup", requireRole("admin"), rateLimit({ scope: "warmup", points: 10 }), async (req, res) => {
+  try {
+    const warmup = await warmupService.start(req.body)
+    if (!warmup.isValid) {
+      return res.status(400).json({ error: warmup.error })
+    }
+
+    res.status(202).json(warmup.job)
   } catch (error) {
     monitoringService.recordError("cache_warmup")
     console.error("Error warming up cache:", error)
@@ -79,8 +199,49 @@ router.post("/cache/warmup", async (req, res) => {
   }
 })
 
+// Warmup jobs, most recent first
+router.get("/cache/warmup", requireRole("reader"), rateLimit(), async (req, res) => {
+  try {
+    res.status(200).json(await warmupService.list())
+  } catch (error) {
+    monitoringService.recordError("cache_warmup")
+    console.error("Error listing warmup jobs:", error)
+    res.status(500).json({ error: "Internal server error" })
+  }
+})
+
+// Warmup job status and progress
+router.get("/cache/warmup/:id", requireRole("reader"), rateLimit(), async (req, res) => {
+  try {
+    const job = await warmupService.get(req.params.id)
+    if (!job) {
+      return res.status(404).json({ error: "Warmup job not found" })
+    }
+    res.status(200).json(job)
+  } catch (error) {
+    monitoringService.recordError("cache_warmup")
+    console.error("Error reading warmup job:", error)
+    res.status(500).json({ error: "Internal server error" })
+  }
+})
+
+// Cancel a warmup job
+router.delete("/cache/warmup/:id", requireRole("admin"), rateLimit(), async (req, res) => {
+  try {
+    const job = await warmupService.cancel(req.params.id)
+    if (!job) {
+      return res.status(404).json({ error: "Warmup job not found" })
+    }
+    res.status(200).json(job)
+  } catch (error) {
+    monitoringService.recordError("cache_warmup")
+    console.error("Error cancelling warmup job:", error)
+    res.status(500).json({ error: "Internal server error" })
+  }
+})
+
 // Get cache statistics
-router.get("/cache/stats", async (req, res) => {
+router.get("/cache/stats", requireRole("reader"), rateLimit(), async (req, res) => {
   try {
     const stats = await geoCacheService.getCacheStats()
     res.status(200).json(stats)
@@ -91,11 +252,31 @@ router.get("/cache/stats", async (req, res) => {
   }
 })
 
+// Redis GEO index status
+router.get("/geo-index/status", requireRole("reader"), rateLimit(), async (req, res) => {
+  try {
+    const status = await geoCacheService.getGeoIndexStatus()
+    res.status(200).json(status)
+  } catch (error) {
+    monitoringService.recordError("geo_index_status")
+    console.error("Error fetching geo index status:", error)
+    res.status(500).json({ error: "Internal server error" })
+  }
+})
+
 // Clear cache (admin only)
-router.post("/cache/clear", async (req, res) => {
+router.post("/cache/clear", requireRole("admin"), rateLimit({ scope: "cache-clear", points: 10 }), async (req, res) => {
   try {
-    const { pattern } = req.body
-    await geoCacheService.invalidateCache(pattern)
+    const { pattern, tags } = req.body
+    if (Array.isArray(tags) && tags.length > 0) {
+      const invalidated = await geoCacheService.invalidateTags(tags)
+      return res.status(200).json({ message: "Cache cleared successfully", invalidated })
+    }
+    if (pattern) {
+      await geoCacheService.invalidateCache(pattern)
+    } else {
+      await geoCacheService.clearAllCache()
+    }
     res.status(200).json({ message: "Cache cleared successfully" })
   } catch (error) {
     monitoringService.recordError("cache_clear")
@@ -104,8 +285,8 @@ router.post("/cache/clear", async (req, res) => {
   }
 })
 
-// Monitoring endpoint (admin only)
-router.get("/metrics", async (req, res) => {
+// Prometheus scrape endpoint; a reader key is enough for the scraper
+router.get("/metrics", requireRole("reader"), rateLimit(), async (req, res) => {
   try {
     const metrics = await monitoringService.getMetrics()
     res.set("Content-Type", monitoringService.getContentType())
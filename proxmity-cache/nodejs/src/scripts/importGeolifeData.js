@@ -1,43 +1,41 @@
-const { connectDB } = require('../config/database');
-const { GeolifeDataProcessor } = require('../utils/dataProcessor');
-const path = require('path');
-const fs = require('fs/promises');
+import dotenv from 'dotenv';
+import mongoose from 'mongoose';
+import { connectDB } from '../config/database.js';
+import { GeolifeDataProcessor } from '../utils/dataProcessor.js';
+
+dotenv.config();
 
 async function importGeolifeData(dataDir) {
   try {
-    await connectDB();
+    await connectDB({ attempts: 1 });
     const processor = new GeolifeDataProcessor(1000);
 
-    // Get all user directories
-    const users = await fs.readdir(dataDir);
-    
-    for (const user of users) {
-      const trajectoryPath = path.join(dataDir, user, 'Trajectory');
-      
-      try {
-        const files = await fs.readdir(trajectoryPath);
-        
-        for (const file of files) {
-          if (file.endsWith('.plt')) {
-            console.log(`Processing file: ${file} for user ${user}`);
-            await processor.processFile(path.join(trajectoryPath, file));
-          }
-        }
-      } catch (error) {
-        console.error(`Error processing user ${user}:`, error);
-        continue;
-      }
-    }
+    const report = await processor.importAll(dataDir);
 
     console.log('Data import completed');
-    process.exit(0);
+    console.table({
+      'Users': report.users,
+      'Files imported': report.filesImported,
+      'Files resumed': report.filesResumed,
+      'Files already imported (skipped)': report.filesSkipped,
+      'Files failed': report.filesFailed,
+      'Points imported': report.imported,
+      'Points with transport mode': report.labeled,
+      'Lines skipped': report.skippedLines,
+      'Lines malformed': report.malformedLines,
+      'Duration (s)': ((report.finishedAt - report.startedAt) / 1000).toFixed(1)
+    });
+
+    await mongoose.disconnect();
+    process.exit(report.filesFailed > 0 ? 1 : 0);
   } catch (error) {
     console.error('Error importing data:', error);
     process.exit(1);
   }
 }
 
-// Usage: NODE_ENV=development node src/scripts/importGeolifeData.js /path/to/Geolife/Data
+// Usage: node src/scripts/importGeolifeData.js "/path/to/Geolife Trajectories 1.3/Data"
+// Re-running after a crash resumes from the last unfinished .plt file.
 const dataDir = process.argv[2];
 if (!dataDir) {
   console.error('Please provide the path to Geolife dataset');
@@ -0,0 +1,27 @@
+import dotenv from 'dotenv';
+import mongoose from 'mongoose';
+import { connectDB } from '../config/database.js';
+import geoIndexService from '../services/geo-index.service.js';
+import redisService from '../services/redis.service.js';
+
+dotenv.config();
+
+async function rebuildGeoIndex() {
+  try {
+    await connectDB({ attempts: 1 });
+
+    console.log('Rebuilding Redis GEO index from MongoDB...');
+    const { indexed, users, duration } = await geoIndexService.rebuild();
+    console.log(`Indexed ${indexed} points for ${users} users in ${(duration / 1000).toFixed(1)}s`);
+
+    await mongoose.disconnect();
+    redisService.redis.disconnect();
+    process.exit(0);
+  } catch (error) {
+    console.error('Error rebuilding geo index:', error);
+    process.exit(1);
+  }
+}
+
+// Usage: node src/scripts/rebuildGeoIndex.js
+rebuildGeoIndex();
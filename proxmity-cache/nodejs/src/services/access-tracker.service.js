@@ -0,0 +1,83 @@
+import Location from '../model/location.js';
+
+// Records which points queries return and periodically writes the counts to
+// MongoDB as queryCount / lastAccessed. Buffering turns one write per request
+// into one bulk write per flush.
+const ACCESS_CONFIG = {
+  flushIntervalMs: parseInt(process.env.ACCESS_FLUSH_INTERVAL_MS) || 5000,
+  maxPending: parseInt(process.env.ACCESS_MAX_PENDING) || 50000
+};
+
+class AccessTracker {
+  constructor() {
+    this.pending = new Map(); // point _id -> accesses since the last flush
+    this.stats = { recorded: 0, flushes: 0, updated: 0, lastFlushAt: null, errors: 0 };
+
+    this.timer = setInterval(() => this.flush(), ACCESS_CONFIG.flushIntervalMs);
+    this.timer.unref();
+  }
+
+  /**
+   * @param {Object[]} points - Documents returned to a client
+   */
+  record(points = []) {
+    for (const point of points) {
+      if (!point?._id) continue;
+      const id = String(point._id);
+      this.pending.set(id, (this.pending.get(id) || 0) + 1);
+      this.stats.recorded++;
+    }
+
+    if (this.pending.size >= ACCESS_CONFIG.maxPending) {
+      this.flush();
+    }
+  }
+
+  /**
+   * Write pending accesses; points with the same count share one updateMany
+   * @returns {Promise<number>} Number of updated points
+   */
+  async flush() {
+    if (this.pending.size === 0) return 0;
+
+    const pending = this.pending;
+    this.pending = new Map();
+
+    const idsByCount = new Map();
+    for (const [id, count] of pending) {
+      if (!idsByCount.has(count)) idsByCount.set(count, []);
+      idsByCount.get(count).push(id);
+    }
+
+    const now = new Date();
+    try {
+      const result = await Location.bulkWrite(
+        [...idsByCount].map(([count, ids]) => ({
+          updateMany: {
+            filter: { _id: { $in: ids } },
+            update: { $inc: { queryCount: count }, $set: { lastAccessed: now } }
+          }
+        })),
+        { ordered: false }
+      );
+
+      this.stats.flushes++;
+      this.stats.updated += result.modifiedCount;
+      this.stats.lastFlushAt = now;
+      return result.modifiedCount;
+    } catch (error) {
+      // Access counts are best effort; losing a batch only makes cells look colder
+      this.stats.errors++;
+      console.error('Access tracking flush error:', error);
+      return 0;
+    }
+  }
+
+  getStats() {
+    return { ...this.stats, pending: this.pending.size };
+  }
+}
+
+export const accessTracker = new AccessTracker();
+
+export default accessTracker;
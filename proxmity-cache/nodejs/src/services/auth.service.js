@@ -0,0 +1,100 @@
+import { createHash, randomBytes } from 'crypto';
+import mongoose from 'mongoose';
+import ApiKey, { API_KEY_ROLES } from '../model/apiKey.js';
+import AuditLog from '../model/auditLog.js';
+
+// API key authentication. Roles are ordered: a writer can do what a reader
+// can, an admin what a writer can. AUTH_ENABLED=false turns checks off for
+// local development.
+export const AUTH_CONFIG = {
+  enabled: process.env.AUTH_ENABLED !== 'false',
+  keyPrefix: 'gl_',
+  lastUsedResolutionMs: 60 * 1000 // Write lastUsedAt at most once a minute per key
+};
+
+const ROLE_LEVELS = Object.fromEntries(API_KEY_ROLES.map((role, level) => [role, level]));
+
+const hashKey = (key) => createHash('sha256').update(key).digest('hex');
+
+export const hasRole = (role, required) => ROLE_LEVELS[role] >= ROLE_LEVELS[required];
+
+export const authService = {
+  /**
+   * Create a key; the plain key is only ever returned here
+   * @param {string} name
+   * @param {string} role - reader, writer or admin
+   * @param {number} [quota] - Rate limit points per window, instead of the role's default
+   * @returns {Promise<{key: string, apiKey: Object}>}
+   */
+  async createKey(name, role, quota) {
+    if (!API_KEY_ROLES.includes(role)) {
+      throw new Error(`Unknown role "${role}", expected one of ${API_KEY_ROLES.join(', ')}`);
+    }
+
+    const key = AUTH_CONFIG.keyPrefix + randomBytes(32).toString('base64url');
+    const apiKey = await ApiKey.create({
+      name,
+      role,
+      quota,
+      keyHash: hashKey(key),
+      prefix: key.slice(0, AUTH_CONFIG.keyPrefix.length + 8)
+    });
+
+    return { key, apiKey: apiKey.toObject() };
+  },
+
+  /**
+   * Revoke a key by id or prefix
+   * @returns {Promise<Object|null>} The revoked key, or null when no active key matches
+   */
+  async revokeKey(idOrPrefix) {
+    const filter = mongoose.isValidObjectId(idOrPrefix) ? { _id: idOrPrefix } : { prefix: idOrPrefix };
+    return ApiKey.findOneAndUpdate(
+      { ...filter, revokedAt: null },
+      { $set: { revokedAt: new Date() } },
+      { new: true, projection: { keyHash: 0 } }
+    ).lean().exec();
+  },
+
+  async listKeys() {
+    return ApiKey.find({}, { keyHash: 0 }).sort({ createdAt: -1 }).lean().exec();
+  },
+
+  /**
+   * Active key matching a plain key
+   * @param {string} key
+   * @returns {Promise<Object|null>}
+   */
+  async findKey(key) {
+    const apiKey = await ApiKey.findOne({ keyHash: hashKey(key), revokedAt: null }, { keyHash: 0 }).lean().exec();
+    if (!apiKey) return null;
+
+    if (!apiKey.lastUsedAt || Date.now() - apiKey.lastUsedAt.getTime() > AUTH_CONFIG.lastUsedResolutionMs) {
+      ApiKey.updateOne({ _id: apiKey._id }, { $set: { lastUsedAt: new Date() } }).exec()
+        .catch(error => console.error('API key lastUsedAt update error:', error));
+    }
+    return apiKey;
+  },
+
+  /**
+   * Record an admin action. Failures are logged, never thrown: the action has already happened.
+   * @param {{action: string, actor: Object, ip?: string, params?: Object, status?: number}} entry
+   */
+  async audit(entry) {
+    try {
+      await AuditLog.create(entry);
+    } catch (error) {
+      console.error('Audit log error:', error);
+    }
+  },
+
+  /**
+   * Most recent audit entries
+   * @param {number} [limit]
+   */
+  async getAuditLog(limit = 100) {
+    return AuditLog.find().sort({ at: -1 }).limit(limit).lean().exec();
+  }
+};
+
+export default authService;
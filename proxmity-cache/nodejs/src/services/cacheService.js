@@ -1,11 +1,14 @@
-import Redis from 'ioredis';
 import mongoose from 'mongoose';
+import { createRedisClient, scanKeys } from '../config/redis.js';
 import Location from '../model/geoLife.js';
+import cachePolicy from './cache-policy.service.js';
+
+// TTL of a key's family, e.g. "pagedData" for "pagedData:..."
+const familyTTL = (key) => cachePolicy.policyFor(key.split(':')[0]).ttl;
 
 class MultiLevelCache {
   constructor() {
-    this.redis = new Redis();
-    this.defaultTTL = 3600; // 1 hour in seconds
+    this.redis = createRedisClient('geolife-legacy-cache');
   }
 
   /**
@@ -14,7 +17,7 @@ class MultiLevelCache {
    * @param {Function} dbFallback - Database query function
    * @param {number} [ttl] - Cache TTL in seconds
    */
-  async get(key, dbFallback, ttl = this.defaultTTL) {
+  async get(key, dbFallback, ttl = familyTTL(key)) {
     try {
       // Level 1: Try Redis first
       console.log('Attempting to fetch from Redis:', key);
@@ -62,7 +65,7 @@ class MultiLevelCache {
    * @param {*} data - Data to cache
    * @param {number} [ttl] - Cache TTL in seconds
    */
-  async set(key, data, ttl = this.defaultTTL) {
+  async set(key, data, ttl = familyTTL(key)) {
     try {
       await this.redis.set(key, JSON.stringify(data), 'EX', ttl);
       console.log('Data stored in cache:', key);
@@ -139,7 +142,10 @@ const geoCacheService = {
 
   // Method to manually invalidate cache entries
   async invalidateCache(pattern) {
-    const keys = await cacheService.redis.keys(pattern);
+    const keys = [];
+    for await (const batch of scanKeys(cacheService.redis, pattern)) {
+      keys.push(...batch);
+    }
     if (keys.length > 0) {
       await Promise.all(keys.map(key => cacheService.invalidate(key)));
       console.log(`Invalidated ${keys.length} cache entries matching pattern:`, pattern);
@@ -0,0 +1,174 @@
+import { randomUUID } from 'crypto';
+import { hashTag } from '../config/redis.js';
+import Location from '../model/location.js';
+import geoCacheService from './geo-cache.services.js';
+import redisService from './redis.service.js';
+import { cellBounds } from '../utils/geohashCover.js';
+import { TemporalDecay } from '../utils/temporalDecay.js';
+
+// Periodically scores every cached geohash cell from the access history of
+// its points and evicts cold cells, extends hot ones and leaves the rest to
+// their TTL. Each run scores the next cells of a SCAN over the cell tags,
+// resumed from the cursor the previous run stored in Redis, and only one
+// instance runs per interval.
+const WORKER_CONFIG = {
+  enabled: process.env.DECAY_WORKER_ENABLED !== 'false',
+  intervalMs: parseInt(process.env.DECAY_WORKER_INTERVAL_MS) || 5 * 60 * 1000,
+  maxCellsPerRun: parseInt(process.env.DECAY_WORKER_MAX_CELLS) || 200,
+  extendSeconds: parseInt(process.env.DECAY_EXTEND_SECONDS) || 3600,
+  // Coarser cells span too many points to score on every run
+  minPrecision: parseInt(process.env.DECAY_MIN_CELL_PRECISION) || 5
+};
+
+const CURSOR_KEY = hashTag('decay') + ':cursor';
+const runKey = (slot) => `${hashTag('decay')}:run:${slot}`;
+const SCAN_START = { node: 0, cursor: '0' };
+
+class DecayWorker {
+  constructor(config = WORKER_CONFIG) {
+    this.config = config;
+    this.decay = new TemporalDecay();
+    this.timer = null;
+    this.instanceId = randomUUID();
+    this.running = false;
+    this.lastRun = null;
+    this.totals = { runs: 0, evaluated: 0, kept: 0, extended: 0, evicted: 0, evictedEntries: 0, errors: 0 };
+  }
+
+  start() {
+    if (this.timer || !this.config.enabled) return;
+    this.timer = setInterval(() => this.runScheduled(), this.config.intervalMs);
+    this.timer.unref();
+    console.log(`Decay worker started, running every ${this.config.intervalMs}ms`);
+  }
+
+  stop() {
+    clearInterval(this.timer);
+    this.timer = null;
+  }
+
+  /**
+   * Most recent access and total queries of the points inside a cell
+   * @param {string} cell
+   * @returns {Promise<{lastAccessed: Date, queryCount: number}|null>} null for an empty cell
+   */
+  async cellAccess(cell) {
+    const { minLat, minLng, maxLat, maxLng } = cellBounds(cell);
+    const [access] = await Location.aggregate([
+      {
+        $match: {
+          location: {
+            $geoWithin: {
+              $geometry: {
+                type: 'Polygon',
+                coordinates: [[[minLng, minLat], [maxLng, minLat], [maxLng, maxLat], [minLng, maxLat], [minLng, minLat]]]
+              }
+            }
+          }
+        }
+      },
+      { $group: { _id: null, lastAccessed: { $max: '$lastAccessed' }, queryCount: { $sum: '$queryCount' } } }
+    ]);
+    return access || null;
+  }
+
+  /**
+   * Run once per interval across instances: the first to claim the
+   * interval's key with SET NX runs, the others skip it
+   */
+  async runScheduled() {
+    try {
+      const slot = Math.floor(Date.now() / this.config.intervalMs);
+      const claimed = await redisService.redis.set(runKey(slot), this.instanceId, 'PX', this.config.intervalMs * 2, 'NX');
+      if (claimed) await this.run();
+    } catch (error) {
+      console.error('Decay worker schedule error:', error);
+    }
+  }
+
+  /**
+   * The next cells to score, about maxCellsPerRun of them, from where the
+   * previous run stopped. A run ends at the end of the scan, so the next one
+   * starts over and no cell is scored twice before every other one was.
+   * @returns {Promise<string[]>}
+   */
+  async nextCells() {
+    const stored = await redisService.redis.get(CURSOR_KEY);
+    let position = stored ? JSON.parse(stored) : SCAN_START;
+    const cells = [];
+
+    while (position && cells.length < this.config.maxCellsPerRun) {
+      const page = await geoCacheService.scanCachedCells(position, this.config.maxCellsPerRun - cells.length);
+      cells.push(...page.cells.filter(cell => cell.length >= this.config.minPrecision));
+      position = page.next;
+    }
+
+    await redisService.redis.set(CURSOR_KEY, JSON.stringify(position || SCAN_START));
+    return cells;
+  }
+
+  /**
+   * Score the next cached cells once; overlapping runs are skipped
+   * @returns {Promise<Object|null>} Summary of the run, null when one is already running
+   */
+  async run() {
+    if (this.running) return null;
+    this.running = true;
+
+    const startedAt = new Date();
+    const result = { evaluated: 0, kept: 0, extended: 0, evicted: 0, evictedEntries: 0, errors: 0 };
+
+    try {
+      const cells = await this.nextCells();
+
+      for (const cell of cells) {
+        try {
+          const access = await this.cellAccess(cell);
+          const priority = access
+            ? this.decay.calculatePriority(access.lastAccessed || new Date(0), access.queryCount)
+            : this.decay.config.minimumPriority;
+          result.evaluated++;
+
+          if (this.decay.shouldEvict(priority)) {
+            result.evictedEntries += await geoCacheService.invalidateTags([`cell:${cell}`]);
+            result.evicted++;
+          } else if (this.decay.shouldExtend(priority)) {
+            await geoCacheService.extendCell(cell, this.config.extendSeconds);
+            result.extended++;
+          } else {
+            result.kept++;
+          }
+        } catch (error) {
+          result.errors++;
+          console.error(`Decay worker error for cell ${cell}:`, error);
+        }
+      }
+    } catch (error) {
+      result.errors++;
+      console.error('Decay worker run failed:', error);
+    } finally {
+      this.running = false;
+    }
+
+    this.lastRun = { startedAt, duration: Date.now() - startedAt.getTime(), ...result };
+    this.totals.runs++;
+    for (const key of Object.keys(result)) this.totals[key] += result[key];
+
+    return this.lastRun;
+  }
+
+  getStatus() {
+    return {
+      enabled: this.config.enabled,
+      running: this.running,
+      intervalMs: this.config.intervalMs,
+      decay: this.decay.config,
+      lastRun: this.lastRun,
+      totals: this.totals
+    };
+  }
+}
+
+export const decayWorker = new DecayWorker();
+
+export default decayWorker;
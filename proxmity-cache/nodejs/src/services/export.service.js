@@ -0,0 +1,62 @@
+import { createHash } from 'crypto';
+import { pipeline } from 'stream/promises';
+import geoCacheService from './geo-cache.services.js';
+import { EXPORT_FORMATS, createExportStream, exportHeaders, serializeRows } from '../utils/exportFormats.js';
+
+// Non-JSON responses. A serialized page is cached next to the JSON entries of
+// the same query, under the same user and cell tags, so both are invalidated
+// together; full exports stream from MongoDB and are not cached.
+
+const queryKey = (query) => createHash('sha1')
+  .update(JSON.stringify(Object.entries(query).filter(([, value]) => value !== undefined && value !== null).sort()))
+  .digest('base64url')
+  .slice(0, 16);
+
+export const exportService = {
+  /**
+   * One page in a non-JSON format
+   * @param {string} format - geojson, ndjson, csv or msgpack
+   * @param {Function} load - Resolves the JSON response, with its rows in `data`
+   * @param {Object} [cache] - Cache the serialized page
+   * @param {string} cache.family - Family of the JSON entries, e.g. "nearbyLocations"
+   * @param {Object} cache.query - Every parameter the page depends on
+   * @param {string[]} [cache.cells] - Cells the query covers; none for queries bound to no area
+   * @param {string} [cache.userId]
+   * @returns {Promise<{contentType: string, headers: Object<string, string>, body: Buffer}>}
+   */
+  async getPage(format, load, cache) {
+    // MessagePack is binary; the cache stores it as base64
+    const encoding = format === 'msgpack' ? 'base64' : 'utf8';
+    const build = async () => {
+      const { data, ...metadata } = await load();
+      return { headers: exportHeaders(metadata), body: serializeRows(format, data, metadata).toString(encoding) };
+    };
+
+    const page = cache
+      ? await geoCacheService.getCellScoped(
+        'export',
+        `${cache.family}:${queryKey(cache.query)}:${format}`,
+        cache.cells,
+        build,
+        undefined,
+        { userId: cache.userId, source: { family: cache.family, format, ...cache.query } }
+      )
+      : await build();
+
+    return { contentType: EXPORT_FORMATS[format], headers: page.headers, body: Buffer.from(page.body, encoding) };
+  },
+
+  /**
+   * Stream every row of a MongoDB cursor to the response in a non-JSON format
+   * @param {string} format
+   * @param {import('stream').Readable} cursor
+   * @param {Object} res - Express response
+   * @param {Object} [metadata] - Query description, for GeoJSON
+   */
+  async stream(format, cursor, res, metadata = {}) {
+    res.status(200).type(EXPORT_FORMATS[format]);
+    await pipeline(cursor, createExportStream(format, metadata), res);
+  }
+};
+
+export default exportService;
@@ -1,60 +1,390 @@
-import Redis from 'ioredis';
+import { randomUUID } from 'crypto';
 import mongoose from 'mongoose';
-import Location from '../model/geoLife.js';
+import { createRedisClient, hashTag, isRedisReady, scanKeys, scanPage, unlinkKeys } from '../config/redis.js';
+import Location from '../model/location.js';
+import accessTracker from './access-tracker.service.js';
+import cachePolicy from './cache-policy.service.js';
+import geoIndexService from './geo-index.service.js';
+import { isStale, unwrapEntry, wrapEntry } from '../utils/cacheEntry.js';
+import { LRUCache } from '../utils/lruCache.js';
+import { CODEC_CONFIG, decodePayload, decodePayloadWithSize, encodePayload, getCodecStats } from '../utils/payloadCodec.js';
+import { monitoringService } from '../utils/services.monitoring.js';
+import { CELL_MARGIN_DEGREES, cellBounds, cellPolygon, coverBox, coverCells, coverCircle, distanceKm, pointCells } from '../utils/geohashCover.js';
+import { geometryBounds } from '../utils/geometry.js';
+import { TIME_WINDOW_CONFIG, bucketTimeWindow, inTimeWindow, timeBuckets, timeWindowKey, timeWindowTTL } from '../utils/timeWindow.js';
+import { compareKeyset, encodeCursor, keysetPage } from '../utils/cursor.js';
+
+// Delete the lock only when it still holds our token
+const RELEASE_LOCK_SCRIPT = `
+if redis.call("get", KEYS[1]) == ARGV[1] then
+  return redis.call("del", KEYS[1])
+end
+return 0`;
+
+// Add the cache key (ARGV[1]) to the tag set, extending the set's TTL to ARGV[2] when shorter.
+// One tag per call: tag sets live in different cluster slots.
+const TAG_KEY_SCRIPT = `
+local ttl = tonumber(ARGV[2])
+redis.call("sadd", KEYS[1], ARGV[1])
+if redis.call("ttl", KEYS[1]) < ttl then
+  redis.call("expire", KEYS[1], ttl)
+end
+return 1`;
+
+// Add ARGV[1] to an entry's hit counter (KEYS[1]) while it exists; the counter
+// is created with the entry and expires with it
+const HIT_SCRIPT = `
+if redis.call("exists", KEYS[1]) == 1 then
+  return redis.call("incrby", KEYS[1], ARGV[1])
+end
+return 0`;
+
+// Cache inspector: values above previewMaxBytes are listed without a preview
+const INSPECT_CONFIG = {
+  previewChars: parseInt(process.env.CACHE_INSPECT_PREVIEW_CHARS) || 256,
+  previewItems: 10,
+  previewMaxBytes: parseInt(process.env.CACHE_INSPECT_PREVIEW_MAX_BYTES) || 1024 * 1024,
+  maxScanCalls: 10 // SCAN calls per page; a sparse match returns a short page rather than scanning on
+};
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+// Dataset label on metrics and the dataset tag of every entry
+const DATASET = 'geolife';
+
+// Family of a key without prefix, e.g. "nearbyLocations" for "nearbyLocations:..."
+const familyOf = (key) => key.split(':')[0];
+
+// Channel used to drop L0 entries on every instance when a key is invalidated
+const INVALIDATION_CHANNEL = 'cache:invalidations';
 
 class MultiLevelCache {
-  constructor() {
-    this.redis = new Redis();
-    this.defaultTTL = 3600; // 1 hour in seconds
+  /**
+   * @param {{codec?: string, codecThresholdBytes?: number}} [options] - Codec for Redis entries: none, gzip, brotli or v8,
+   *   unless the family's policy sets one
+   */
+  constructor({ codec = CODEC_CONFIG.codec, codecThresholdBytes = CODEC_CONFIG.thresholdBytes } = {}) {
+    this.redis = createRedisClient('geolife-cache');
     this.prefix = 'cache:';
+    this.codec = { codec, thresholdBytes: codecThresholdBytes };
+
+    // Level 0: in-process LRU in front of Redis
+    this.l0 = new LRUCache({
+      maxEntries: parseInt(process.env.L0_CACHE_MAX_ENTRIES) || 500,
+      maxBytes: parseInt(process.env.L0_CACHE_MAX_BYTES) || 64 * 1024 * 1024
+    });
+    this.stats = {
+      l0: { hits: 0, misses: 0 },
+      redis: { hits: 0, misses: 0 },
+      mongodb: { queries: 0 },
+      stale: { served: 0, revalidations: 0 }
+    };
+
+    // Stampede protection
+    this.inFlight = new Map();
+    this.lockStats = { acquired: 0, contended: 0, timeout: 0, coalesced: 0 };
+    this.lock = {
+      ttlMs: parseInt(process.env.CACHE_LOCK_TTL_MS) || 10000,
+      waitMs: parseInt(process.env.CACHE_LOCK_WAIT_MS) || 2000,
+      pollMs: 50
+    };
+
+    // Hits per entry, counted here and added to Redis in batches
+    this.pendingHits = new Map();
+    this.hitFlushTimer = setInterval(() => this.flushHits(), parseInt(process.env.CACHE_HIT_FLUSH_MS) || 5000);
+    this.hitFlushTimer.unref();
+
+    // Tags invalidated while Redis was down, replayed once it is back
+    this.pendingTags = new Set();
+    this.redis.on('ready', () => this.recover().catch(error =>
+      console.error('Cache recovery error:', error)
+    ));
+
+    this.subscriber = this.redis.duplicate();
+    this.subscriber.subscribe(INVALIDATION_CHANNEL).catch(error =>
+      console.error('Cache invalidation subscribe error:', error)
+    );
+    this.subscriber.on('message', (channel, message) => {
+      if (channel !== INVALIDATION_CHANNEL) return;
+      const { pattern, keys } = JSON.parse(message);
+      if (pattern) this.l0.deleteMatching(pattern);
+      if (keys) keys.forEach(key => this.l0.delete(key));
+    });
+  }
+
+  /**
+   * Whether Redis takes commands. Otherwise the cache runs degraded: every
+   * read goes to MongoDB and nothing is stored.
+   * @returns {boolean}
+   */
+  isAvailable() {
+    return isRedisReady(this.redis);
+  }
+
+  /**
+   * Redis is (back) up: drop L0, which missed the invalidations published
+   * meanwhile, and replay the tags invalidated while it was down
+   */
+  async recover() {
+    this.l0.clear();
+    if (this.pendingTags.size === 0) return;
+
+    const tags = [...this.pendingTags];
+    this.pendingTags.clear();
+    const deleted = await this.invalidateTags(tags);
+    console.log(`Replayed ${tags.length} tag invalidations queued while Redis was down (${deleted} entries)`);
+  }
+
+  /**
+   * Caching policy of the family a key belongs to (config/cachePolicy.js)
+   * @param {string} key - Cache key without prefix, e.g. "nearbyLocations:..."
+   */
+  policyFor(key) {
+    return cachePolicy.policyFor(familyOf(key));
   }
 
   /**
    * Get data from cache or database
    * @param {string} key - Cache key
    * @param {Function} dbFallback - Database query function
-   * @param {number} [ttl] - Cache TTL in seconds
+   * @param {number} [ttl] - Cache TTL in seconds, the family's by default
+   * @param {{tags?: string[], source?: Object}} [options] - Tags to register the key under on write, and
+   *   the query the data answers
+   */
+  async get(key, dbFallback, ttl, options = {}) {
+    const { data } = await this.getEntry(key, dbFallback, ttl, options);
+    return data;
+  }
+
+  /**
+   * Like get(), but also reports whether the value was served stale
+   * @param {string} key - Cache key
+   * @param {Function} dbFallback - Database query function
+   * @param {number} [ttl] - Cache TTL in seconds, the family's by default
+   * @param {{tags?: string[], source?: Object}} [options] - As for get()
+   * @returns {Promise<{data: *, stale: boolean}>}
    */
-  async get(key, dbFallback, ttl = this.defaultTTL) {
+  async getEntry(key, dbFallback, ttl, options = {}) {
     const cacheKey = this.prefix + key;
+    const policy = this.policyFor(key);
+    ttl ??= policy.ttl;
+
+    // A disabled family neither reads nor writes entries, nor does any in degraded
+    // mode: L0 is skipped too, as it cannot hear invalidations without Redis
+    if (!policy.enabled || !this.isAvailable()) {
+      return { data: await this.loadAndStore(key, dbFallback, ttl, options), stale: false };
+    }
+
+    // Level 0: in-process memory
+    const memoryEntry = this.l0.get(cacheKey);
+    if (memoryEntry !== undefined) {
+      this.stats.l0.hits++;
+      monitoringService.recordCacheHit(familyOf(key), DATASET, 'l0');
+      this.recordHit(cacheKey);
+      return this.serve(key, memoryEntry, dbFallback, ttl, options);
+    }
+    this.stats.l0.misses++;
+
     try {
-      // Level 1: Try Redis first
+      // Level 1: Try Redis, reading the remaining TTL so L0 expires together with it
       console.log('Attempting to fetch from Redis:', cacheKey);
-      const cachedData = await this.redis.get(cacheKey);
-      
+      const endRedisTimer = monitoringService.startRedisTimer('get');
+      const [[, cachedData], [, remainingMs]] = await this.redis
+        .multi()
+        .getBuffer(cacheKey)
+        .pttl(cacheKey)
+        .exec();
+      endRedisTimer();
+
       if (cachedData) {
         console.log('Cache hit - Redis:', cacheKey);
-        return JSON.parse(cachedData);
-      }
-
-      // Level 2: If not in Redis, execute DB query
-      console.log('Cache miss - Fetching from MongoDB:', cacheKey);
-      const data = await dbFallback();
-
-      // Store in Redis for future requests
-      if (data) {
-        await this.redis.set(cacheKey, JSON.stringify(data), 'EX', ttl);
-        console.log('Stored in Redis cache:', cacheKey);
+        this.stats.redis.hits++;
+        monitoringService.recordCacheHit(familyOf(key), DATASET, 'redis');
+        this.recordHit(cacheKey);
+        const { value, rawBytes } = await decodePayloadWithSize(cachedData);
+        const entry = unwrapEntry(value);
+        if (remainingMs > 0) {
+          this.l0.set(cacheKey, entry, remainingMs, rawBytes);
+        }
+        return this.serve(key, entry, dbFallback, ttl, options);
       }
+      this.stats.redis.misses++;
 
-      return data;
+      // Level 2: If not in Redis, execute DB query once for all concurrent callers
+      return { data: await this.loadOnce(key, dbFallback, ttl, options), stale: false };
     } catch (error) {
       console.error('Cache error:', error);
       // On cache error, fallback to database
-      return dbFallback();
+      return { data: await dbFallback(), stale: false };
+    }
+  }
+
+  /**
+   * Return a cached entry; a stale one is returned as-is while a background refresh runs
+   */
+  serve(key, entry, dbFallback, ttl, options) {
+    if (!isStale(entry)) {
+      return { data: entry.data, stale: false };
+    }
+
+    this.stats.stale.served++;
+    this.loadOnce(key, dbFallback, ttl, { ...options, background: true }).catch(error =>
+      console.error('Background revalidation error:', error)
+    );
+    return { data: entry.data, stale: true };
+  }
+
+  /**
+   * Single-flight: concurrent misses on one key in this process share one load
+   * @param {string} key - Cache key without prefix
+   * @param {Function} dbFallback - Database query function
+   * @param {number} ttl - Cache TTL in seconds
+   * @param {{background?: boolean, tags?: string[]}} [options] - background refreshes never wait on another instance
+   */
+  loadOnce(key, dbFallback, ttl, options = {}) {
+    const cacheKey = this.prefix + key;
+    if (this.inFlight.has(cacheKey)) {
+      this.recordLockEvent('coalesced');
+      return this.inFlight.get(cacheKey);
+    }
+
+    if (options.background) this.stats.stale.revalidations++;
+    const promise = this.loadWithLock(key, dbFallback, ttl, options)
+      .finally(() => this.inFlight.delete(cacheKey));
+    this.inFlight.set(cacheKey, promise);
+    return promise;
+  }
+
+  /**
+   * Across instances, a short Redis lock elects one process to run the query;
+   * the others poll the cache until the value appears or the wait times out.
+   */
+  async loadWithLock(key, dbFallback, ttl, options = {}) {
+    const cacheKey = this.prefix + key;
+    const lockKey = `lock:${cacheKey}`;
+    const token = randomUUID();
+
+    const acquired = await this.redis.set(lockKey, token, 'PX', this.lock.ttlMs, 'NX');
+    if (acquired) {
+      this.recordLockEvent('acquired');
+      try {
+        return await this.loadAndStore(key, dbFallback, ttl, options);
+      } finally {
+        // Release only if the lock is still ours
+        await this.redis.eval(RELEASE_LOCK_SCRIPT, 1, lockKey, token).catch(error =>
+          console.error('Cache lock release error:', error)
+        );
+      }
+    }
+
+    this.recordLockEvent('contended');
+    // Another instance is already refreshing; callers keep the stale value
+    if (options.background) return null;
+
+    const deadline = Date.now() + this.lock.waitMs;
+    while (Date.now() < deadline) {
+      await sleep(this.lock.pollMs);
+      const [[, cachedData], [, remainingMs]] = await this.redis
+        .multi()
+        .getBuffer(cacheKey)
+        .pttl(cacheKey)
+        .exec();
+      if (cachedData) {
+        const { value, rawBytes } = await decodePayloadWithSize(cachedData);
+        const entry = unwrapEntry(value);
+        if (remainingMs > 0) {
+          this.l0.set(cacheKey, entry, remainingMs, rawBytes);
+        }
+        return entry.data;
+      }
+    }
+
+    // The lock holder is slow or died: stop waiting and query ourselves
+    this.recordLockEvent('timeout');
+    return this.loadAndStore(key, dbFallback, ttl, options);
+  }
+
+  // Key of an entry's hit counter, e.g. "cache:hits:pagedData:..."
+  hitsKey(cacheKey) {
+    return `${this.prefix}hits:${cacheKey.slice(this.prefix.length)}`;
+  }
+
+  recordHit(cacheKey) {
+    this.pendingHits.set(cacheKey, (this.pendingHits.get(cacheKey) || 0) + 1);
+    if (this.pendingHits.size >= 10000) this.flushHits();
+  }
+
+  /**
+   * Add the hits counted since the last flush to the entries' counters.
+   * Best effort: a failed batch is dropped.
+   */
+  async flushHits() {
+    if (this.pendingHits.size === 0 || !this.isAvailable()) return;
+
+    const pending = this.pendingHits;
+    this.pendingHits = new Map();
+    await Promise.all([...pending].map(([cacheKey, hits]) =>
+      this.redis.eval(HIT_SCRIPT, 1, this.hitsKey(cacheKey), hits)
+    )).catch(error => console.error('Cache hit count flush error:', error));
+  }
+
+  recordLockEvent(event) {
+    this.lockStats[event]++;
+    monitoringService.recordCacheLockEvent(event);
+  }
+
+  async loadAndStore(key, dbFallback, ttl, options = {}) {
+    console.log('Cache miss - Fetching from MongoDB:', this.prefix + key);
+    this.stats.mongodb.queries++;
+    monitoringService.recordCacheMiss(familyOf(key), DATASET);
+    const endMongoTimer = monitoringService.startMongoTimer(familyOf(key), DATASET);
+    const data = await dbFallback();
+    endMongoTimer();
+
+    // Store in Redis for future requests; a failed write is logged by set()
+    if (data) {
+      await this.set(key, data, ttl, options).catch(() => {});
     }
+
+    return data;
   }
 
   /**
-   * Store data in cache
+   * Store data in cache under its family's policy: nothing is stored for a
+   * disabled family, a value above maxBytes or in degraded mode. Families with a
+   * stale-while-revalidate window keep the entry in Redis for `ttl + window`
+   * seconds; it counts as stale after `ttl`.
    * @param {string} key - Cache key
    * @param {*} data - Data to cache
-   * @param {number} [ttl] - Cache TTL in seconds
+   * @param {number} [ttl] - Cache TTL in seconds, the family's by default; jittered by the policy
+   * @param {{tags?: string[], source?: Object}} [options] - Tags to register the key under, and the
+   *   query the data answers
    */
-  async set(key, data, ttl = this.defaultTTL) {
+  async set(key, data, ttl, { tags = [], source } = {}) {
     const cacheKey = this.prefix + key;
+    const policy = this.policyFor(key);
+    if (!policy.enabled || !this.isAvailable()) return;
+
     try {
-      await this.redis.set(cacheKey, JSON.stringify(data), 'EX', ttl);
+      const { staleWhileRevalidate } = policy;
+      const freshTTL = cachePolicy.jitterTTL(ttl ?? policy.ttl, policy);
+      const entry = wrapEntry(data, { ttl: freshTTL, staleWhileRevalidate, source });
+      const { payload, rawBytes } = await encodePayload(entry, { ...this.codec, codec: policy.compression ?? this.codec.codec });
+      const hardTTL = freshTTL + staleWhileRevalidate;
+
+      monitoringService.recordPayloadSize(familyOf(key), DATASET, rawBytes);
+      if (policy.maxBytes !== null && rawBytes > policy.maxBytes) {
+        console.log(`Not caching ${cacheKey}: ${rawBytes} bytes is above the ${familyOf(key)} limit of ${policy.maxBytes}`);
+        return;
+      }
+
+      const endRedisTimer = monitoringService.startRedisTimer('set');
+      await this.redis.set(cacheKey, payload, 'EX', hardTTL);
+      // A rewritten entry starts counting hits again
+      await this.redis.set(this.hitsKey(cacheKey), 0, 'EX', hardTTL);
+      await this.tagKey(cacheKey, tags, hardTTL);
+      endRedisTimer();
+      this.l0.set(cacheKey, unwrapEntry(entry), hardTTL * 1000, rawBytes);
       console.log('Data stored in cache:', cacheKey);
     } catch (error) {
       console.error('Cache storage error:', error);
@@ -63,16 +393,168 @@ class MultiLevelCache {
   }
 
   /**
-   * Invalidate cache entry
+   * Drop matching L0 entries here and on every other instance
+   * @param {string} pattern - Full key pattern, including the prefix
+   */
+  async evictLocal(pattern) {
+    this.l0.deleteMatching(pattern);
+    await this.redis.publish(INVALIDATION_CHANNEL, JSON.stringify({ pattern }));
+  }
+
+  /**
+   * Drop exact L0 keys here and on every other instance
+   * @param {string[]} keys - Full keys, including the prefix
+   */
+  async evictKeys(keys) {
+    keys.forEach(key => this.l0.delete(key));
+    await this.redis.publish(INVALIDATION_CHANNEL, JSON.stringify({ keys }));
+  }
+
+  /**
+   * Per-tier hit/miss counters
+   * @returns {Object}
+   */
+  getTierStats() {
+    const ratio = ({ hits, misses }) =>
+      hits + misses > 0 ? (hits / (hits + misses) * 100).toFixed(2) + '%' : '0%';
+
+    return {
+      l0: { ...this.stats.l0, hitRate: ratio(this.stats.l0), ...this.l0.getStats() },
+      redis: { ...this.stats.redis, hitRate: ratio(this.stats.redis) },
+      mongodb: { ...this.stats.mongodb },
+      stale: { ...this.stats.stale },
+      compression: getCodecStats(),
+      locks: { ...this.lockStats }
+    };
+  }
+
+  tagSetKey(tag) {
+    return `${this.prefix}tag:${tag}`;
+  }
+
+  /**
+   * Register a cache key in the set of every tag, e.g. "cell:wx4g0", "user:010"
+   * @param {string} cacheKey - Full key, including the prefix
+   * @param {string[]} tags
+   * @param {number} ttl - Seconds the key lives; tag sets live at least as long
+   */
+  async tagKey(cacheKey, tags, ttl) {
+    await Promise.all(tags.map(tag =>
+      this.redis.eval(TAG_KEY_SCRIPT, 1, this.tagSetKey(tag), cacheKey, ttl)
+    ));
+  }
+
+  /**
+   * Delete every entry registered under any of the tags. While Redis is down
+   * the tags are queued and replayed by recover().
+   * @param {string[]} tags
+   * @returns {Promise<number>} Number of deleted entries
+   */
+  async invalidateTags(tags) {
+    if (!this.isAvailable()) {
+      tags.forEach(tag => this.pendingTags.add(tag));
+      return 0;
+    }
+
+    const seen = new Set();
+    let deleted = 0;
+    try {
+      for (const tag of tags) {
+        const setKey = this.tagSetKey(tag);
+        let cursor = '0';
+        do {
+          const [newCursor, keys] = await this.redis.sscan(setKey, cursor, 'COUNT', 500);
+          cursor = newCursor;
+          // Members may already be gone through another tag or expiry; only count real deletes
+          const fresh = keys.filter(key => !seen.has(key));
+          if (fresh.length > 0) {
+            fresh.forEach(key => seen.add(key));
+            deleted += await unlinkKeys(this.redis, fresh);
+            await unlinkKeys(this.redis, fresh.map(key => this.hitsKey(key)));
+            await this.evictKeys(fresh);
+          }
+        } while (cursor !== '0');
+        await this.redis.unlink(setKey);
+      }
+
+      if (deleted > 0) {
+        console.log(`Invalidated ${deleted} cache entries for tags:`, tags.join(', '));
+      }
+      return deleted;
+    } catch (error) {
+      console.error('Cache invalidation error:', error);
+      throw new Error('Failed to invalidate cache');
+    }
+  }
+
+  /**
+   * Tags currently holding cached keys, e.g. "cell:<geohash>" tags, one SCAN
+   * step at a time so a caller can resume where it stopped
+   * @param {string} pattern - Tag pattern, e.g. "cell:*"
+   * @param {{node: number, cursor: string}} position - See scanPage; {node: 0, cursor: '0'} to start
+   * @param {number} count - SCAN COUNT hint
+   * @returns {Promise<{tags: string[], next: {node: number, cursor: string}|null}>} next is null once every tag was seen
+   */
+  async scanTags(pattern, position, count) {
+    const tagPrefix = this.tagSetKey('');
+    const { keys, next } = await scanPage(this.redis, tagPrefix + pattern, position, { count });
+    return { tags: keys.map(key => key.slice(tagPrefix.length)), next };
+  }
+
+  /**
+   * Keep every entry under a tag for at least `seconds` more. Past their soft
+   * TTL extended entries are served stale and refreshed in the background.
+   * @param {string} tag
+   * @param {number} seconds
+   * @returns {Promise<number>} Number of extended entries
+   */
+  async extendTag(tag, seconds) {
+    const setKey = this.tagSetKey(tag);
+    let extended = 0;
+    let cursor = '0';
+    do {
+      const [newCursor, keys] = await this.redis.sscan(setKey, cursor, 'COUNT', 500);
+      cursor = newCursor;
+      for (const key of keys) {
+        const ttl = await this.redis.ttl(key);
+        if (ttl >= 0 && ttl < seconds) {
+          await this.redis.expire(key, seconds);
+          await this.redis.expire(this.hitsKey(key), seconds);
+          extended++;
+        }
+      }
+    } while (cursor !== '0');
+
+    if (extended > 0 && (await this.redis.ttl(setKey)) < seconds) {
+      await this.redis.expire(setKey, seconds);
+    }
+    return extended;
+  }
+
+  /**
+   * Delete keys matching a pattern with incremental SCAN instead of a blocking KEYS
+   * @param {string} fullPattern - Pattern including the prefix
+   * @returns {Promise<number>} Number of deleted keys
+   */
+  async scanDelete(fullPattern) {
+    let deleted = 0;
+    for await (const keys of scanKeys(this.redis, fullPattern)) {
+      deleted += await unlinkKeys(this.redis, keys);
+    }
+    return deleted;
+  }
+
+  /**
+   * Invalidate cache entries by key pattern (admin use; live code invalidates by tag)
    * @param {string} pattern - Cache key pattern to invalidate
    */
   async invalidate(pattern) {
     const fullPattern = this.prefix + pattern;
     try {
-      const keys = await this.redis.keys(fullPattern);
-      if (keys.length > 0) {
-        await Promise.all(keys.map(key => this.redis.del(key)));
-        console.log(`Invalidated ${keys.length} cache entries matching pattern:`, fullPattern);
+      await this.evictLocal(fullPattern);
+      const deleted = await this.scanDelete(fullPattern);
+      if (deleted > 0) {
+        console.log(`Invalidated ${deleted} cache entries matching pattern:`, fullPattern);
       }
     } catch (error) {
       console.error('Cache invalidation error:', error);
@@ -81,83 +563,111 @@ class MultiLevelCache {
   }
 
   /**
-   * Get all cached data with metadata
-   * @returns {Promise<Object>} Cached data with metadata
+   * One page of cache keys, for the inspector. Each SCAN call reads about
+   * `count` keys, so a page never walks the whole keyspace; per-key reads are
+   * bounded too (no full value is loaded for the preview of a large one).
+   * @param {Object} [options]
+   * @param {{node: number, cursor: string}} [options.position] - Where the previous page stopped
+   * @param {number} [options.count] - Keys to aim for; SCAN may return somewhat more
+   * @param {string} [options.pattern] - Redis glob on the key after the prefix (and family)
+   * @param {string} [options.family] - Only this family's entries, e.g. "nearbyLocations"
+   * @param {string} [options.type] - Only keys of this Redis type, e.g. "string"
+   * @param {string} [options.tag] - Only entries under this tag, e.g. "cell:wx4g0"
+   * @returns {Promise<{keys: Object[], next: {node: number, cursor: string}|null}>}
    */
-  async getAllCachedData() {
-    try {
-      let cursor = '0';
-      const results = {
-        metadata: {
-          totalKeys: 0,
-          typeDistribution: {},
-          scanTime: Date.now(),
-          prefix: this.prefix
-        },
-        data: {}
-      };
+  async inspect({ position = { node: 0, cursor: '0' }, count = 100, pattern = '*', family, type, tag } = {}) {
+    const match = this.prefix + (family ? `${family}:` : '') + pattern;
+    const hitsPrefix = this.hitsKey(this.prefix);
+    const keys = [];
+    let next = position;
 
-      do {
-        const [newCursor, keys] = await this.redis.scan(
-          cursor,
-          'MATCH',
-          this.prefix + '*',
-          'COUNT',
-          100
-        );
-        cursor = newCursor;
-
-        for (const key of keys) {
-          results.metadata.totalKeys++;
-          
-          const type = await this.redis.type(key);
-          const ttl = await this.redis.ttl(key);
-          
-          results.metadata.typeDistribution[type] = 
-            (results.metadata.typeDistribution[type] || 0) + 1;
-
-          let value;
-          switch(type) {
-            case 'string':
-              value = await this.redis.get(key);
-              try {
-                value = JSON.parse(value);
-              } catch (e) {
-                // Keep as string if not JSON
-              }
-              break;
-            case 'hash':
-              value = await this.redis.hgetall(key);
-              break;
-            case 'list':
-              value = await this.redis.lrange(key, 0, -1);
-              break;
-            case 'set':
-              value = await this.redis.smembers(key);
-              break;
-            case 'zset':
-              value = await this.redis.zrange(key, 0, -1, 'WITHSCORES');
-              break;
-            default:
-              value = 'Unsupported type';
-          }
+    for (let calls = 0; next && keys.length < count && calls < INSPECT_CONFIG.maxScanCalls; calls++) {
+      if (tag) {
+        // Tag sets hold full keys of entries, which are strings
+        const [cursor, members] = await this.redis.sscan(this.tagSetKey(tag), next.cursor, 'MATCH', match, 'COUNT', count);
+        keys.push(...(!type || type === 'string' ? members : []));
+        next = cursor === '0' ? null : { node: 0, cursor };
+      } else {
+        const page = await scanPage(this.redis, match, next, { count, type });
+        keys.push(...page.keys.filter(key => !key.startsWith(hitsPrefix)));
+        next = page.next;
+      }
+    }
 
-          results.data[key] = {
-            type,
-            ttl: ttl === -1 ? 'No expiration' : `${ttl} seconds`,
-            value,
-            createdAt: Date.now()
-          };
-        }
-      } while (cursor !== '0');
+    const described = await Promise.all(keys.map(key => this.describeKey(key)));
+    // Tag members may have expired since they were added
+    return { keys: described.filter(Boolean), next };
+  }
 
-      results.metadata.scanDuration = Date.now() - results.metadata.scanTime;
-      return results;
+  /**
+   * Type, TTL, size and, for cache entries, creation time, source query and
+   * hits of a key, with a preview or the full value
+   * @param {string} key - Full key, including the prefix
+   * @param {{full?: boolean}} [options] - Return the whole value instead of a preview
+   * @returns {Promise<Object|null>} null when the key does not exist
+   */
+  async describeKey(key, { full = false } = {}) {
+    const [type, ttl, bytes] = await Promise.all([
+      this.redis.type(key),
+      this.redis.ttl(key),
+      this.redis.memory('USAGE', key)
+    ]);
+    if (type === 'none') return null;
 
-    } catch (error) {
-      console.error('Error fetching all cached data:', error);
-      throw new Error('Failed to fetch cached data');
+    const description = { key, type, ttl, bytes };
+    if (COLLECTION_LENGTH[type]) {
+      description.length = await this.redis[COLLECTION_LENGTH[type]](key);
     }
+    const limit = full ? -1 : INSPECT_CONFIG.previewItems - 1;
+    let value;
+    switch (type) {
+      case 'string': {
+        if (!full && bytes > INSPECT_CONFIG.previewMaxBytes) break;
+        const raw = await this.redis.getBuffer(key);
+        try {
+          const { data, createdAt, source } = unwrapEntry(await decodePayload(raw));
+          const hits = await this.redis.get(this.hitsKey(key));
+          Object.assign(description, {
+            createdAt: createdAt ? new Date(createdAt).toISOString() : null,
+            source: source ?? null,
+            hits: hits === null ? null : parseInt(hits)
+          });
+          value = data;
+        } catch (error) {
+          // Not a cache entry, e.g. a lock token
+          value = raw?.toString();
+        }
+        break;
+      }
+      case 'hash':
+        value = full
+          ? await this.redis.hgetall(key)
+          : Object.fromEntries(chunkPairs((await this.redis.hscan(key, '0', 'COUNT', INSPECT_CONFIG.previewItems))[1]));
+        break;
+      case 'list':
+        value = await this.redis.lrange(key, 0, limit);
+        break;
+      case 'set':
+        value = full ? await this.redis.smembers(key) : (await this.redis.sscan(key, '0', 'COUNT', INSPECT_CONFIG.previewItems))[1];
+        break;
+      case 'zset':
+        value = await this.redis.zrange(key, 0, limit, 'WITHSCORES');
+        break;
+      default:
+        value = undefined;
+    }
+
+    if (full) return { ...description, value };
+
+    const text = value === undefined ? '' : JSON.stringify(value) ?? '';
+    const shownItems = type === 'hash' ? Object.keys(value).length : type === 'zset' ? value.length / 2 : value?.length;
+    return {
+      ...description,
+      preview: text.slice(0, INSPECT_CONFIG.previewChars),
+      truncated: value === undefined
+        || text.length > INSPECT_CONFIG.previewChars
+        || (description.length !== undefined && shownItems < description.length)
+    };
   }
 
   /**
@@ -185,7 +695,8 @@ class MultiLevelCache {
         lastSave: stats.last_save_time,
         hitRate: stats.keyspace_hits ? 
           (parseInt(stats.keyspace_hits) / (parseInt(stats.keyspace_hits) + parseInt(stats.keyspace_misses)) * 100).toFixed(2) + '%' 
-          : '0%'
+          : '0%',
+        tiers: this.getTierStats()
       };
     } catch (error) {
       console.error('Error fetching cache stats:', error);
@@ -198,11 +709,9 @@ class MultiLevelCache {
    */
   async clearAll() {
     try {
-      const keys = await this.redis.keys(this.prefix + '*');
-      if (keys.length > 0) {
-        await Promise.all(keys.map(key => this.redis.del(key)));
-        console.log(`Cleared all ${keys.length} cache entries`);
-      }
+      await this.evictLocal(this.prefix + '*');
+      const deleted = await this.scanDelete(this.prefix + '*');
+      console.log(`Cleared all ${deleted} cache entries`);
     } catch (error) {
       console.error('Error clearing cache:', error);
       throw new Error('Failed to clear cache');
@@ -217,8 +726,8 @@ class MultiLevelCache {
   async getSize(key) {
     const cacheKey = this.prefix + key;
     try {
-      const data = await this.redis.get(cacheKey);
-      return data ? Buffer.byteLength(data, 'utf8') : 0;
+      // Stored bytes, after the codec
+      return await this.redis.strlen(cacheKey);
     } catch (error) {
       console.error('Error getting cache size:', error);
       return 0;
@@ -226,15 +735,267 @@ class MultiLevelCache {
   }
 }
 
+// Command reading the number of items of a collection type
+const COLLECTION_LENGTH = { hash: 'hlen', list: 'llen', set: 'scard', zset: 'zcard' };
+
+// [field, value, field, value] -> [[field, value], ...]
+const chunkPairs = (flat) => Array.from({ length: flat.length / 2 }, (_, i) => [flat[2 * i], flat[2 * i + 1]]);
+
 // Create cache service instances
 const cacheService = new MultiLevelCache();
 
+// Every entry is tagged with its dataset and family, the users it is scoped to
+// and the geohash cells it covers. Entries not bound to an area use `cell:all`.
+const DATASET_TAG = `dataset:${DATASET}`;
+const ALL_CELLS_TAG = 'cell:all';
+
+const entryTags = (family, { userId, cells = [ALL_CELLS_TAG] } = {}) => [
+  DATASET_TAG,
+  `family:${family}`,
+  ...(userId ? [`user:${userId}`] : []),
+  ...cells
+];
+
+// Cell-composed mode (CACHE_MODE=cells): the points of each geohash cell are
+// cached on their own and radius results are assembled from the covering
+// cells, so queries a few meters apart share entries. Time-filtered queries
+// use one entry per cell and time bucket.
+const CELL_CACHE_CONFIG = {
+  enabled: process.env.CACHE_MODE === 'cells',
+  maxCells: parseInt(process.env.CELL_CACHE_MAX_CELLS) || 64,
+  maxBuckets: parseInt(process.env.CELL_CACHE_MAX_BUCKETS) || 8,
+  maxPointsPerCell: parseInt(process.env.CELL_CACHE_MAX_POINTS) || 5000
+};
+
+// Hourly sorted sets of requested cells, for "most requested cells" warmups
+// Hash-tagged so that the hourly sets and their union share a cluster slot
+const CELL_REQUESTS_PREFIX = `${hashTag('requests:cells')}:`;
+const HOUR_MS = 3600 * 1000;
+
+const cellStats = { queries: 0, fallbacks: 0, cellHits: 0, cellLoads: 0 };
+
+const cellKey = (cell, bucket) => bucket ? `cell:${cell}:${bucket.start.getTime() / 1000}` : `cell:${cell}`;
+
+/**
+ * Points of one geohash cell, optionally within one time bucket. Dense cells
+ * are cached as overflowed so that queries over them go straight to the
+ * per-query path.
+ * @param {string} cell
+ * @param {{start: Date, end: Date}} [bucket]
+ * @returns {Promise<{points?: Object[], overflow?: boolean}>}
+ */
+const loadCell = async (cell, bucket) => {
+  const { minLat, minLng, maxLat, maxLng } = cellBounds(cell);
+
+  // The 2dsphere index narrows the scan; the half-open ranges make cells disjoint
+  const points = await Location.find({
+    location: { $geoWithin: { $geometry: cellPolygon(cell, CELL_MARGIN_DEGREES) } },
+    latitude: { $gte: minLat, $lt: maxLat },
+    longitude: { $gte: minLng, $lt: maxLng },
+    ...(bucket && { timestamp: { $gte: bucket.start, $lt: bucket.end } })
+  })
+    .limit(CELL_CACHE_CONFIG.maxPointsPerCell + 1)
+    .lean()
+    .exec();
+
+  return points.length > CELL_CACHE_CONFIG.maxPointsPerCell ? { overflow: true } : { points };
+};
+
+/**
+ * Cached contents of a cell (and time bucket), loading them on a miss
+ * @returns {Promise<{content: Object|null, loaded: boolean}>}
+ */
+const getCell = async (cell, bucket) => {
+  let loaded = false;
+  const content = await cacheService.get(cellKey(cell, bucket), () => {
+    loaded = true;
+    return loadCell(cell, bucket);
+  }, bucket && timeWindowTTL(bucket), {
+    tags: entryTags('cell', { cells: [`cell:${cell}`] }),
+    source: { cell, bucket }
+  });
+
+  if (loaded) cellStats.cellLoads++;
+  else cellStats.cellHits++;
+  return { content, loaded };
+};
+
+// Count the cells a query covered in the current hour's request set
+const recordCellRequests = (cells) => {
+  if (!cacheService.isAvailable()) return;
+  const key = cacheService.prefix + CELL_REQUESTS_PREFIX + Math.floor(Date.now() / HOUR_MS);
+  const multi = cacheService.redis.multi();
+  cells.forEach(cell => multi.zincrby(key, 1, cell));
+  multi.expire(key, 25 * 3600);
+  multi.exec().catch(error => console.error('Cell request tracking error:', error));
+};
+
+/**
+ * A keyset page: the rows, and the cursor of the next page when there is one
+ * @param {{rows: Array<Object>, hasMore: boolean}} page - From keysetPage, or pageSize + 1 rows already cut
+ * @param {Object} cursorQuery - Query the cursor is bound to
+ */
+const keysetResult = ({ rows, hasMore }, pageSize, source, cursorQuery) => ({
+  data: rows,
+  pageSize,
+  nextCursor: hasMore ? encodeCursor(rows[rows.length - 1], source, cursorQuery) : null,
+  source
+});
+
+/**
+ * Keyset page straight off $geoNear's distance order, without a blocking
+ * $sort: minDistance resumes the index scan at the cursor and $limit stops it
+ * after the page. $limit may cut rows tied at the page's last distance
+ * arbitrarily, so a page ending in a tie fetches that distance's rows again
+ * (minDistance = maxDistance) in _id order.
+ * @param {Object} geoNear - $geoNear stage options
+ * @param {{distance: number, _id: string}|null} after - null for the first page
+ * @returns {Promise<{rows: Array<Object>, hasMore: boolean}>}
+ */
+const geoNearAfter = async (geoNear, after, pageSize) => {
+  const afterCursor = after ? [{
+    $match: {
+      $or: [
+        { distance: { $gt: after.distance } },
+        { distance: after.distance, _id: { $gt: new mongoose.Types.ObjectId(after._id) } }
+      ]
+    }
+  }] : [];
+
+  let rows = await Location.aggregate([
+    { $geoNear: { ...geoNear, ...(after && { minDistance: after.distance }) } },
+    ...afterCursor,
+    { $limit: pageSize + 1 }
+  ]);
+
+  if (rows.length > pageSize && rows[pageSize - 1].distance === rows[pageSize].distance) {
+    const boundary = rows[pageSize].distance;
+    const closer = rows.filter(row => row.distance < boundary);
+    const tied = await Location.aggregate([
+      { $geoNear: { ...geoNear, minDistance: boundary, maxDistance: boundary } },
+      ...afterCursor,
+      { $sort: { _id: 1 } },
+      { $limit: pageSize + 1 - closer.length }
+    ]);
+    rows = [...closer, ...tied];
+  }
+
+  rows.sort(compareKeyset);
+  return { rows: rows.slice(0, pageSize), hasMore: rows.length > pageSize };
+};
+
+/**
+ * A page of rows already filtered and ordered by compareKeyset
+ * @param {{after: Object|null, cursorQuery: Object}} [keyset] - Keyset page instead of `page`
+ */
+const pageRows = (rows, page, pageSize, source, keyset) => {
+  if (keyset) {
+    return keysetResult(keysetPage(rows, keyset.after, pageSize), pageSize, source, keyset.cursorQuery);
+  }
+
+  const skip = (page - 1) * pageSize;
+  return {
+    data: rows.slice(skip, skip + pageSize),
+    totalCount: rows.length,
+    totalPages: Math.ceil(rows.length / pageSize),
+    currentPage: page,
+    pageSize,
+    source
+  };
+};
+
+/**
+ * Assemble a nearby page from cached cells, loading only the missing ones
+ * @param {{start: Date, end: Date}} [timeWindow] - Loaded by bucket, trimmed to the exact window
+ * @param {{after: Object|null, cursorQuery: Object}} [keyset] - Keyset page instead of `page`
+ * @returns {Promise<Object|null>} null when the query needs too many cells or buckets, or a cell is too dense
+ */
+const findNearbyFromCells = async (longitude, latitude, radius, userId, page, pageSize, timeWindow, keyset) => {
+  const cover = coverCells(latitude, longitude, radius, { maxCells: CELL_CACHE_CONFIG.maxCells });
+  const buckets = timeWindow ? timeBuckets(bucketTimeWindow(timeWindow)) : [undefined];
+  if (!cover || buckets.length === 0 || buckets.length > CELL_CACHE_CONFIG.maxBuckets) {
+    cellStats.fallbacks++;
+    return null;
+  }
+  recordCellRequests(cover.cells);
+
+  const results = await Promise.all(
+    cover.cells.flatMap(cell => buckets.map(bucket => getCell(cell, bucket)))
+  );
+  const contents = results.map(result => result.content);
+  const loaded = results.filter(result => result.loaded).length;
+
+  if (contents.some(content => !content || content.overflow)) {
+    cellStats.fallbacks++;
+    return null;
+  }
+  cellStats.queries++;
+  monitoringService.recordGeohashPrecision('cell', cover.precision);
+
+  const matches = contents
+    .flatMap(content => content.points)
+    .filter(point => (!userId || point.userId === userId) && (!timeWindow || inTimeWindow(point, timeWindow)))
+    .map(point => ({ ...point, distance: distanceKm(latitude, longitude, point.latitude, point.longitude) * 1000 }))
+    .filter(point => point.distance <= radius * 1000)
+    .sort(compareKeyset);
+
+  return {
+    ...pageRows(matches, page, pageSize, 'cells', keyset),
+    query: { longitude, latitude, radius, userId, timeWindow },
+    cells: { precision: cover.precision, count: cover.cells.length, buckets: buckets.length, loaded }
+  };
+};
+
+/**
+ * Nearby page for a time window, cut from one cached entry per bucketed
+ * window that holds all of its rows, so that requests within the same buckets
+ * share it while each is trimmed to its exact window
+ * @param {{start: Date, end: Date}} timeWindow
+ * @param {{after: Object|null, cursorQuery: Object}} [keyset] - Keyset page instead of `page`
+ * @returns {Promise<Object|null>} null when the bucketed window holds too many rows
+ */
+const findNearbyInWindow = async (longitude, latitude, radius, userId, page, pageSize, timeWindow, keyset) => {
+  const bucketedWindow = bucketTimeWindow(timeWindow);
+  const cacheKey = `nearbyLocations:${longitude}:${latitude}:${radius}:${userId}:${timeWindowKey(bucketedWindow)}:rows`;
+  const { cells } = coverCircle(latitude, longitude, radius);
+
+  const { data: content, stale } = await cacheService.getEntry(cacheKey, async () => {
+    const rows = await Location.aggregate([
+      {
+        $geoNear: {
+          near: { type: 'Point', coordinates: [longitude, latitude] },
+          distanceField: 'distance',
+          maxDistance: radius * 1000,
+          query: {
+            ...(userId && { userId }),
+            timestamp: { $gte: bucketedWindow.start, $lte: bucketedWindow.end }
+          },
+          spherical: true
+        }
+      },
+      { $limit: TIME_WINDOW_CONFIG.maxRows + 1 }
+    ]);
+    return rows.length > TIME_WINDOW_CONFIG.maxRows ? { overflow: true } : { rows: rows.sort(compareKeyset) };
+  }, timeWindowTTL(bucketedWindow), {
+    tags: entryTags('nearbyLocations', { userId, cells: cells.map(cell => `cell:${cell}`) }),
+    source: { longitude, latitude, radius, userId, timeWindow: bucketedWindow }
+  });
+
+  if (!content || content.overflow) return null;
+  const rows = content.rows.filter(row => inTimeWindow(row, timeWindow));
+  return {
+    ...pageRows(rows, page, pageSize, 'mongodb', keyset),
+    query: { longitude, latitude, radius, userId, timeWindow },
+    stale
+  };
+};
+
 // Enhanced geo-cache service with multi-level caching
 const geoCacheService = {
   async getPagedData(query, page, pageSize) {
     const cacheKey = `pagedData:${JSON.stringify(query)}:${page}:${pageSize}`;
 
-    return cacheService.get(cacheKey, async () => {
+    const { data: result, stale } = await cacheService.getEntry(cacheKey, async () => {
       const skip = (page - 1) * pageSize;
       const data = await Location.find(query)
         .skip(skip)
@@ -252,33 +1013,125 @@ const geoCacheService = {
         pageSize,
         query
       };
+    }, undefined, {
+      tags: entryTags('pagedData', { userId: query.userId }),
+      source: { query, page, pageSize }
     });
+
+    accessTracker.record(result?.data);
+    return { ...result, stale };
   },
 
-  async findNearbyLocations(longitude, latitude, radius, userId, page, pageSize) {
-    const cacheKey = `nearbyLocations:${longitude}:${latitude}:${radius}:${userId}:${page}:${pageSize}`;
+  /**
+   * Points within `radius` km of (longitude, latitude), optionally restricted
+   * to a user and to a time window. The window is snapped to time buckets so
+   * that nearby requests in time share one cache entry, which is trimmed to
+   * the requested window before paging; windows with too many rows for one
+   * entry are cached per exact window and page instead.
+   *
+   * With `keyset`, `page` is ignored: the page starts after the cursor's
+   * (distance, _id) and carries a `nextCursor` instead of counts. A cursor
+   * keeps to the source that issued it, so distances stay comparable.
+   * @param {{start: Date, end: Date}} [timeWindow]
+   * @param {{keyset?: {after: {distance: number, _id: string, source: string}|null}}} [options]
+   */
+  async findNearbyLocations(longitude, latitude, radius, userId, page, pageSize, timeWindow, { keyset } = {}) {
+    const after = keyset?.after;
+    const cursorQuery = keyset && { longitude, latitude, radius, userId, timeWindow };
+
+    if (CELL_CACHE_CONFIG.enabled && (!after || after.source === 'cells')) {
+      const composed = await findNearbyFromCells(
+        longitude, latitude, radius, userId, page, pageSize, timeWindow, keyset && { after, cursorQuery }
+      );
+      if (composed) {
+        accessTracker.record(composed.data);
+        return { ...composed, stale: false };
+      }
+    }
+
+    if (timeWindow && (!after || after.source === 'mongodb')) {
+      const windowed = await findNearbyInWindow(
+        longitude, latitude, radius, userId, page, pageSize, timeWindow, keyset && { after, cursorQuery }
+      );
+      if (windowed) {
+        accessTracker.record(windowed.data);
+        return windowed;
+      }
+    }
+
+    // Cursor pages are keyed by the row they start after, so a client paging
+    // through reads the same entries whatever else was cached meanwhile
+    const position = !keyset ? page : after ? `after:${after.distance}:${after._id}:${after.source}` : 'first';
+    const cacheKey = `nearbyLocations:${longitude}:${latitude}:${radius}:${userId}:${timeWindowKey(timeWindow)}:${position}:${pageSize}`;
+    const { precision, cells } = coverCircle(latitude, longitude, radius);
+    monitoringService.recordGeohashPrecision('nearbyLocations', precision);
+    const tags = entryTags('nearbyLocations', { userId, cells: cells.map(cell => `cell:${cell}`) });
 
-    return cacheService.get(cacheKey, async () => {
+    const { data: result, stale } = await cacheService.getEntry(cacheKey, async () => {
       const skip = (page - 1) * pageSize;
-      
-      const aggregation = [
-        {
-          $geoNear: {
-            near: { type: 'Point', coordinates: [longitude, latitude] },
-            distanceField: 'distance',
-            maxDistance: radius * 1000, // Convert radius to meters
-            spherical: true,
-          },
+
+      // The Redis GEO index has no timestamps, so only time-filtered queries need $geoNear
+      const useGeoIndex = !timeWindow && (!after || after.source === 'redis-geo');
+      if (useGeoIndex && await geoIndexService.isReady()) {
+        if (keyset) {
+          const { rows, hasMore } = await geoIndexService.searchRadiusAfter(longitude, latitude, radius, after, pageSize, { userId });
+          return {
+            ...keysetResult({ rows: await geoIndexService.loadByIds(rows, { userId }), hasMore }, pageSize, 'redis-geo', cursorQuery),
+            query: { longitude, latitude, radius, userId }
+          };
         }
-      ];
 
-      // Add userId filter if provided
-      if (userId) {
-        aggregation.push({ $match: { userId } });
+        // Only the members up to the end of the page are fetched; the total is counted in Redis
+        const [hits, indexCount] = await Promise.all([
+          geoIndexService.searchRadius(longitude, latitude, radius, skip + pageSize, { userId }),
+          geoIndexService.countRadius(longitude, latitude, radius, { userId })
+        ]);
+        const pageHits = hits.slice(skip);
+        const data = await geoIndexService.loadByIds(pageHits, { userId });
+        // Stale members dropped from this page are not counted
+        const totalCount = indexCount - (pageHits.length - data.length);
+
+        return {
+          data,
+          totalCount,
+          totalPages: Math.ceil(totalCount / pageSize),
+          currentPage: page,
+          pageSize,
+          query: { longitude, latitude, radius, userId },
+          source: 'redis-geo'
+        };
+      }
+
+      // Filters applied inside $geoNear so they are evaluated with the index scan
+      const filter = {
+        ...(userId && { userId }),
+        ...(timeWindow && {
+          timestamp: { $gte: timeWindow.start, $lte: timeWindow.end }
+        })
+      };
+
+      const geoNear = {
+        $geoNear: {
+          near: { type: 'Point', coordinates: [longitude, latitude] },
+          distanceField: 'distance',
+          maxDistance: radius * 1000, // Convert radius to meters
+          query: filter,
+          spherical: true,
+        },
+      };
+
+      if (keyset) {
+        return {
+          ...keysetResult(await geoNearAfter(geoNear.$geoNear, after, pageSize), pageSize, 'mongodb', cursorQuery),
+          query: { longitude, latitude, radius, userId, timeWindow }
+        };
       }
 
-      // Add pagination
-      aggregation.push({ $skip: skip }, { $limit: pageSize });
+      const aggregation = [
+        geoNear,
+        { $skip: skip },
+        { $limit: pageSize }
+      ];
 
       const data = await Location.aggregate(aggregation);
 
@@ -286,10 +1139,10 @@ const geoCacheService = {
       const matchQuery = {
         location: {
           $geoWithin: {
-            $centerSphere: [[longitude, latitude], radius / 3963.2], // Radius in radians
+            $centerSphere: [[longitude, latitude], radius / 6378.1], // Radius in radians
           },
         },
-        ...(userId && { userId })
+        ...filter
       };
 
       const totalCount = await Location.countDocuments(matchQuery);
@@ -300,9 +1153,92 @@ const geoCacheService = {
         totalPages: Math.ceil(totalCount / pageSize),
         currentPage: page,
         pageSize,
-        query: { longitude, latitude, radius, userId }
+        query: { longitude, latitude, radius, userId, timeWindow },
+        source: 'mongodb'
       };
+    }, timeWindowTTL(timeWindow && bucketTimeWindow(timeWindow)), {
+      tags,
+      source: { longitude, latitude, radius, userId, timeWindow, page: keyset ? undefined : page, after, pageSize }
     });
+
+    accessTracker.record(result?.data);
+    return { ...result, stale };
+  },
+
+  /**
+   * Points inside a polygon, optionally restricted to a user, in pages of
+   * `pageSize` ordered by _id. Entries are keyed by the geometry hash, so the
+   * same area drawn differently shares them, and tagged with the cells
+   * covering its bounds, so writes inside the area invalidate them.
+   * @param {Object} geometry - Normalized MultiPolygon
+   * @param {string} hash - geometryHash of the geometry
+   * @param {{minLat: number, minLng: number, maxLat: number, maxLng: number}} [box] - For a bbox, whose geometry only narrows the scan
+   */
+  async findWithin(geometry, hash, userId, page, pageSize, box) {
+    const cover = coverBox(geometryBounds(geometry), CELL_CACHE_CONFIG.maxCells);
+    const tags = entryTags('within', { userId, cells: cover.cells.map(cell => `cell:${cell}`) });
+    const cacheKey = `within:${hash}:${userId || 'all'}:${page}:${pageSize}`;
+
+    const { data: result, stale } = await cacheService.getEntry(cacheKey, async () => {
+      const matchQuery = {
+        location: { $geoWithin: { $geometry: geometry } },
+        ...(box && {
+          latitude: { $gte: box.minLat, $lte: box.maxLat },
+          longitude: { $gte: box.minLng, $lte: box.maxLng }
+        }),
+        ...(userId && { userId })
+      };
+
+      const data = await Location.find(matchQuery)
+        .sort({ _id: 1 })
+        .skip((page - 1) * pageSize)
+        .limit(pageSize)
+        .lean()
+        .exec();
+
+      const totalCount = await Location.countDocuments(matchQuery).exec();
+
+      return {
+        data,
+        totalCount,
+        totalPages: Math.ceil(totalCount / pageSize),
+        currentPage: page,
+        pageSize,
+        query: { hash, userId },
+        source: 'mongodb'
+      };
+    }, undefined, { tags, source: { hash, bounds: geometryBounds(geometry), userId, page, pageSize } });
+
+    accessTracker.record(result?.data);
+    return { ...result, stale };
+  },
+
+  /**
+   * Every point matching a query, ordered by _id, as a MongoDB cursor for exports
+   * @returns {import('mongoose').QueryCursor}
+   */
+  streamPagedData(query) {
+    return Location.find(query).sort({ _id: 1 }).lean().cursor();
+  },
+
+  /**
+   * Every point within `radius` km, nearest first, as a MongoDB cursor for exports
+   * @param {{start: Date, end: Date}} [timeWindow]
+   * @returns {import('mongoose').AggregationCursor}
+   */
+  streamNearbyLocations(longitude, latitude, radius, userId, timeWindow) {
+    return Location.aggregate([{
+      $geoNear: {
+        near: { type: 'Point', coordinates: [longitude, latitude] },
+        distanceField: 'distance',
+        maxDistance: radius * 1000,
+        query: {
+          ...(userId && { userId }),
+          ...(timeWindow && { timestamp: { $gte: timeWindow.start, $lte: timeWindow.end } })
+        },
+        spherical: true
+      }
+    }]).cursor();
   },
 
   // Method to manually invalidate cache entries
@@ -310,19 +1246,146 @@ const geoCacheService = {
     return cacheService.invalidate(pattern);
   },
 
+  // Invalidate every entry carrying any of the tags, e.g. "user:010" or "cell:wx4g0"
+  async invalidateTags(tags) {
+    return cacheService.invalidateTags(tags);
+  },
+
+  isCellModeEnabled() {
+    return CELL_CACHE_CONFIG.enabled;
+  },
+
+  /**
+   * Fill the cell entry a cell-composed query would read, unless it is cached already
+   * @param {string} cell
+   * @param {{start: Date, end: Date}} [bucket] - One time bucket
+   * @returns {Promise<{loaded: boolean, overflow: boolean}>}
+   */
+  async warmCell(cell, bucket) {
+    const { content, loaded } = await getCell(cell, bucket);
+    return { loaded, overflow: Boolean(content?.overflow) };
+  },
+
+  /**
+   * Cached value bound to geohash cells, e.g. a heatmap tile. It is tagged
+   * with the cells (and user), so writes inside them invalidate it.
+   * @param {string} family - Key prefix and metrics family, e.g. "heatmap"
+   * @param {string} key - Rest of the key, unique within the family
+   * @param {string|string[]} [cells] - Geohashes of precision 2 to 7, matching the cell tags; none for values bound to no area
+   * @param {Function} loader - Computes the value on a miss
+   * @param {number} [ttl] - Seconds, the family's policy TTL by default
+   * @param {{userId?: string, source?: Object}} [scope] - source: the query the value answers, for the inspector
+   */
+  async getCellScoped(family, key, cells, loader, ttl, { userId, source } = {}) {
+    return cacheService.get(`${family}:${key}`, loader, ttl, {
+      tags: entryTags(family, { userId, cells: cells && [].concat(cells).map(cell => `cell:${cell}`) }),
+      source
+    });
+  },
+
+  // Precision cell-composed queries of this radius use around a point
+  cellPrecisionFor(latitude, longitude, radius) {
+    return coverCells(latitude, longitude, radius, { maxCells: CELL_CACHE_CONFIG.maxCells })?.precision;
+  },
+
+  /**
+   * Most requested cells over the last hours, busiest first
+   * @param {number} limit
+   * @param {number} [hours]
+   * @returns {Promise<Array<{cell: string, requests: number}>>}
+   */
+  async getTopRequestedCells(limit, hours = 24) {
+    const currentHour = Math.floor(Date.now() / HOUR_MS);
+    const keys = Array.from({ length: hours }, (_, i) =>
+      cacheService.prefix + CELL_REQUESTS_PREFIX + (currentHour - i)
+    );
+    const unionKey = `${cacheService.prefix}${CELL_REQUESTS_PREFIX}top:${randomUUID()}`;
+
+    const results = await cacheService.redis
+      .multi()
+      .zunionstore(unionKey, keys.length, ...keys)
+      .zrevrange(unionKey, 0, limit - 1, 'WITHSCORES')
+      .del(unionKey)
+      .exec();
+    const [, reply] = results[1];
+
+    const cells = [];
+    for (let i = 0; i < reply.length; i += 2) {
+      cells.push({ cell: reply[i], requests: parseInt(reply[i + 1]) });
+    }
+    return cells;
+  },
+
+  /**
+   * Geohash cells with at least one cached entry, one step of a resumable scan
+   * @param {{node: number, cursor: string}} position - {node: 0, cursor: '0'} to start
+   * @returns {Promise<{cells: string[], next: {node: number, cursor: string}|null}>} next is null at the end
+   */
+  async scanCachedCells(position, count) {
+    const { tags, next } = await cacheService.scanTags('cell:*', position, count);
+    return { cells: tags.map(tag => tag.slice('cell:'.length)).filter(cell => cell !== 'all'), next };
+  },
+
+  async extendCell(cell, seconds) {
+    return cacheService.extendTag(`cell:${cell}`, seconds);
+  },
+
+  /**
+   * Invalidate the entries whose area contains any of the points
+   * @param {Array<{latitude: number, longitude: number}>} points
+   */
+  async invalidatePoints(points) {
+    const tags = new Set([ALL_CELLS_TAG]);
+    for (const { latitude, longitude } of points) {
+      pointCells(latitude, longitude).forEach(cell => tags.add(`cell:${cell}`));
+    }
+    return cacheService.invalidateTags([...tags]);
+  },
+
   // Get all cached data
-  async getAllCachedData() {
-    return cacheService.getAllCachedData();
+  /**
+   * A page of the cache inspector; see MultiLevelCache.inspect
+   * @param {Object} options - geohash filters on the cell tag
+   */
+  async inspectCache({ geohash, ...options } = {}) {
+    return cacheService.inspect({ ...options, tag: geohash && `cell:${geohash}` });
+  },
+
+  /**
+   * One cache key in full
+   * @param {string} key - Full key, as the inspector lists it
+   * @returns {Promise<Object|null>} null when missing or outside the cache prefix
+   */
+  async inspectCacheKey(key) {
+    if (!key.startsWith(cacheService.prefix)) return null;
+    return cacheService.describeKey(key, { full: true });
   },
 
   // Get cache statistics
   async getCacheStats() {
-    return cacheService.getCacheStats();
+    return {
+      ...await cacheService.getCacheStats(),
+      cells: { enabled: CELL_CACHE_CONFIG.enabled, ...cellStats }
+    };
   },
 
   // Clear all cache
   async clearAllCache() {
     return cacheService.clearAll();
+  },
+
+  // Redis GEO index status
+  async getGeoIndexStatus() {
+    return geoIndexService.getStatus();
+  },
+
+  // Whether the cache's Redis connection is up; when it is not, queries are served from MongoDB
+  isAvailable() {
+    return cacheService.isAvailable();
+  },
+
+  async ping() {
+    return cacheService.redis.ping();
   }
 };
 
@@ -0,0 +1,244 @@
+import { hashTag, isCluster, isRedisReady, scanKeys, unlinkKeys } from '../config/redis.js';
+import Location from '../model/location.js';
+import { compareKeyset, keysetPage } from '../utils/cursor.js';
+import redisService from './redis.service.js';
+
+// Redis GEO index over GeoLife points, keyed by MongoDB _id.
+// A global index plus one per user keeps /search-users off $geoNear as well.
+// Every index is its own hash tag, so its meta and rebuild keys share its cluster slot.
+export const GEO_INDEX_KEY = hashTag('geo:locations');
+const GEO_INDEX_META_KEY = `${GEO_INDEX_KEY}:meta`;
+const REBUILD_BATCH_SIZE = 5000;
+
+const userIndexKey = (userId) => hashTag(`geo:locations:user:${userId}`);
+const indexKey = (userId) => userId ? userIndexKey(userId) : GEO_INDEX_KEY;
+
+const toGeoPoint = (doc) => ({
+  longitude: doc.location?.coordinates?.[0] ?? doc.longitude,
+  latitude: doc.location?.coordinates?.[1] ?? doc.latitude,
+  member: doc._id.toString()
+});
+
+// Redis only accepts coordinates inside the Web Mercator range
+const isIndexable = ({ longitude, latitude }) =>
+  Number.isFinite(longitude) && Number.isFinite(latitude) &&
+  Math.abs(longitude) <= 180 && Math.abs(latitude) <= 85.05112878;
+
+// The first `count` members in a shape, ordered by compareKeyset. GEOSEARCH
+// COUNT cuts members tied at the last distance arbitrarily, so the COUNT is
+// doubled until the farthest member fetched lies beyond the last one kept.
+const nearest = async (key, longitude, latitude, shape, count) => {
+  if (count < 1) return [];
+
+  for (let fetch = count; ; fetch *= 2) {
+    const hits = (await redisService.geoSearch(key, longitude, latitude, shape, { unit: 'm', count: fetch }))
+      .sort(compareKeyset);
+    if (hits.length < fetch || hits[count - 1].distance < hits[hits.length - 1].distance) {
+      return hits.slice(0, count);
+    }
+  }
+};
+
+const geoIndexService = {
+  /**
+   * Whether a full rebuild has populated the index; until then, and while
+   * Redis is down, callers fall back to MongoDB
+   * @returns {Promise<boolean>}
+   */
+  async isReady() {
+    if (!isRedisReady(redisService.redis)) return false;
+    try {
+      return (await redisService.redis.hget(GEO_INDEX_META_KEY, 'builtAt')) !== null;
+    } catch (error) {
+      console.error('Geo index status error:', error);
+      return false;
+    }
+  },
+
+  async getStatus() {
+    const meta = await redisService.redis.hgetall(GEO_INDEX_META_KEY);
+    const size = await redisService.redis.zcard(GEO_INDEX_KEY);
+    return { ready: Boolean(meta.builtAt), size, ...meta };
+  },
+
+  /**
+   * Incrementally add freshly inserted documents to the global and per-user indexes
+   * @param {Array<Object>} docs - Location documents with _id and coordinates
+   */
+  async addLocations(docs) {
+    const byKey = new Map([[GEO_INDEX_KEY, []]]);
+
+    for (const doc of docs) {
+      const point = toGeoPoint(doc);
+      if (!isIndexable(point)) continue;
+
+      byKey.get(GEO_INDEX_KEY).push(point);
+      if (doc.userId) {
+        const key = userIndexKey(doc.userId);
+        if (!byKey.has(key)) byKey.set(key, []);
+        byKey.get(key).push(point);
+      }
+    }
+
+    await Promise.all([...byKey].map(([key, points]) => redisService.geoAddMany(key, points)));
+  },
+
+  /**
+   * Remove documents from the global and per-user indexes
+   * @param {Array<Object>} docs - Location documents with _id and userId
+   */
+  async removeLocations(docs) {
+    if (docs.length === 0) return;
+
+    const members = docs.map(doc => doc._id.toString());
+    const userIds = [...new Set(docs.map(doc => doc.userId).filter(Boolean))];
+
+    await Promise.all([
+      redisService.geoRemove(GEO_INDEX_KEY, ...members),
+      ...userIds.map(userId => redisService.geoRemove(userIndexKey(userId), ...members))
+    ]);
+  },
+
+  /**
+   * Rebuild the indexes from MongoDB into temporary keys, then swap them in.
+   * The swap is atomic on a single node; on a cluster each user index is
+   * renamed on its own and the global index last, together with the meta.
+   * Indexes of users left with no documents are dropped in the swap.
+   * @returns {Promise<{indexed: number, users: number, duration: number}>}
+   */
+  async rebuild() {
+    const startedAt = Date.now();
+    const suffix = `:rebuild:${startedAt}`;
+    const tempKeys = new Map(); // live key -> temp key
+    let indexed = 0;
+    let batch = [];
+
+    const flush = async () => {
+      const byKey = new Map();
+      for (const doc of batch) {
+        const point = toGeoPoint(doc);
+        if (!isIndexable(point)) continue;
+
+        for (const key of [GEO_INDEX_KEY, ...(doc.userId ? [userIndexKey(doc.userId)] : [])]) {
+          if (!tempKeys.has(key)) tempKeys.set(key, key + suffix);
+          const tempKey = tempKeys.get(key);
+          if (!byKey.has(tempKey)) byKey.set(tempKey, []);
+          byKey.get(tempKey).push(point);
+        }
+        indexed++;
+      }
+      await Promise.all([...byKey].map(([key, points]) => redisService.geoAddMany(key, points)));
+      batch = [];
+    };
+
+    const cursor = Location.find({}, { location: 1, latitude: 1, longitude: 1, userId: 1 })
+      .lean()
+      .cursor({ batchSize: REBUILD_BATCH_SIZE });
+
+    for await (const doc of cursor) {
+      batch.push(doc);
+      if (batch.length >= REBUILD_BATCH_SIZE) await flush();
+    }
+    await flush();
+
+    const users = [...tempKeys.keys()].filter(key => key !== GEO_INDEX_KEY).length;
+    const redis = redisService.redis;
+    const orphaned = [];
+    for await (const keys of scanKeys(redis, userIndexKey('*'))) {
+      orphaned.push(...keys.filter(key => !tempKeys.has(key)));
+    }
+
+    const pipeline = redis.multi();
+    for (const [key, tempKey] of tempKeys) {
+      if (isCluster(redis) && key !== GEO_INDEX_KEY) {
+        await redis.rename(tempKey, key);
+      } else {
+        pipeline.rename(tempKey, key);
+      }
+    }
+    if (isCluster(redis)) {
+      await unlinkKeys(redis, orphaned);
+    } else if (orphaned.length > 0) {
+      pipeline.unlink(...orphaned);
+    }
+    if (!tempKeys.has(GEO_INDEX_KEY)) pipeline.del(GEO_INDEX_KEY);
+    pipeline.hset(GEO_INDEX_META_KEY, {
+      builtAt: new Date().toISOString(),
+      indexed,
+      users
+    });
+    await pipeline.exec();
+
+    return { indexed, users, duration: Date.now() - startedAt };
+  },
+
+  /**
+   * The `count` members nearest to the point within `radius` km, nearest first
+   * @returns {Promise<Array<{member: string, distance: number}>>} distance in meters
+   */
+  async searchRadius(longitude, latitude, radius, count, { userId } = {}) {
+    return nearest(indexKey(userId), longitude, latitude, { radius: radius * 1000 }, count);
+  },
+
+  /**
+   * Keyset page of the members within `radius` km: those after the cursor's
+   * (distance, member). Only the members up to the cursor's distance and the
+   * page itself are fetched.
+   * @param {{distance: number, _id: string}|null} after - null for the first page
+   * @returns {Promise<{rows: Array<{member: string, distance: number}>, hasMore: boolean}>}
+   */
+  async searchRadiusAfter(longitude, latitude, radius, after, pageSize, { userId } = {}) {
+    const key = indexKey(userId);
+    // WITHDIST rounds distances, so the cursor's own distance is widened a little
+    const position = after
+      ? await redisService.geoCount(key, longitude, latitude, { radius: Math.min(after.distance + 0.001, radius * 1000) }, { unit: 'm' })
+      : 0;
+    const hits = await nearest(key, longitude, latitude, { radius: radius * 1000 }, position + pageSize + 1);
+    return keysetPage(hits, after, pageSize);
+  },
+
+  /**
+   * Number of members within `radius` km, counted in Redis
+   * @returns {Promise<number>}
+   */
+  async countRadius(longitude, latitude, radius, { userId } = {}) {
+    return redisService.geoCount(indexKey(userId), longitude, latitude, { radius: radius * 1000 }, { unit: 'm' });
+  },
+
+  /**
+   * The `count` members nearest to the point inside a box of width x height km centered on it
+   * @returns {Promise<Array<{member: string, distance: number}>>} distance in meters
+   */
+  async searchBox(longitude, latitude, width, height, count, { userId } = {}) {
+    return nearest(indexKey(userId), longitude, latitude, { width: width * 1000, height: height * 1000 }, count);
+  },
+
+  /**
+   * Load full documents for a page of search hits in one query, keeping GEOSEARCH order
+   * @param {Array<{member: string, distance: number}>} hits
+   * @param {{userId?: string}} [options] - The index the hits were searched in
+   * @returns {Promise<Array<Object>>} documents with a `distance` field in meters
+   */
+  async loadByIds(hits, { userId } = {}) {
+    if (hits.length === 0) return [];
+
+    const docs = await Location.find({ _id: { $in: hits.map(hit => hit.member) } }).lean().exec();
+    const byId = new Map(docs.map(doc => [doc._id.toString(), doc]));
+
+    // Members whose document was deleted are dropped lazily, from the searched
+    // index and the global one, which holds every member
+    const stale = hits.filter(hit => !byId.has(hit.member)).map(hit => hit.member);
+    if (stale.length > 0) {
+      const keys = [...new Set([indexKey(userId), GEO_INDEX_KEY])];
+      Promise.all(keys.map(key => redisService.geoRemove(key, ...stale))).catch(error =>
+        console.error('Geo index cleanup error:', error)
+      );
+    }
+
+    return hits
+      .filter(hit => byId.has(hit.member))
+      .map(hit => ({ ...byId.get(hit.member), distance: hit.distance }));
+  }
+};
+
+export default geoIndexService;
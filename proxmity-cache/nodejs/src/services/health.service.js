@@ -0,0 +1,132 @@
+import mongoose from 'mongoose';
+import { isRedisReady } from '../config/redis.js';
+import Location from '../model/location.js';
+import { monitoringService } from '../utils/services.monitoring.js';
+import geoCacheService from './geo-cache.services.js';
+import redisService from './redis.service.js';
+
+// Liveness and readiness of the service, and its degraded mode: while Redis is
+// unreachable every query is served from MongoDB, uncached, instead of failing.
+// Tags invalidated meanwhile are replayed by the cache once Redis is back.
+const HEALTH_CONFIG = {
+  checkTimeoutMs: parseInt(process.env.HEALTH_CHECK_TIMEOUT_MS) || 2000,
+  monitorIntervalMs: parseInt(process.env.HEALTH_MONITOR_INTERVAL_MS) || 5000
+};
+
+const MONGO_STATES = ['disconnected', 'connected', 'connecting', 'disconnecting'];
+
+const withTimeout = (promise, what) => {
+  let timer;
+  const timeout = new Promise((_, reject) => {
+    timer = setTimeout(() => reject(new Error(`${what} timed out`)), HEALTH_CONFIG.checkTimeoutMs);
+  });
+  return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+};
+
+// Run one check, timing it; a thrown error fails the check with its message
+const runCheck = async (name, check) => {
+  const startedAt = Date.now();
+  try {
+    const details = await withTimeout(check(), name);
+    return { ok: true, latencyMs: Date.now() - startedAt, ...details };
+  } catch (error) {
+    return { ok: false, latencyMs: Date.now() - startedAt, error: error.message };
+  }
+};
+
+const checkMongo = async () => {
+  const { readyState } = mongoose.connection;
+  if (readyState !== 1) throw new Error(`MongoDB is ${MONGO_STATES[readyState] || 'unavailable'}`);
+  await mongoose.connection.db.admin().ping();
+};
+
+// Both connections: the cache's, and the GEO index's
+const checkRedis = async () => {
+  if (!geoCacheService.isAvailable() || !isRedisReady(redisService.redis)) {
+    throw new Error('Redis is not connected');
+  }
+  await Promise.all([geoCacheService.ping(), redisService.redis.ping()]);
+};
+
+// Index key, named the way MongoDB names indexes by default, e.g. "location_2dsphere"
+const indexName = (fields) => Object.entries(fields).map(([field, type]) => `${field}_${type}`).join('_');
+
+// Every index the Location schema declares must exist: geo queries fail
+// without the 2dsphere one, and time windows scan without the timestamp ones
+const checkIndexes = async () => {
+  const existing = new Set((await Location.collection.indexes()).map(index => indexName(index.key)));
+  const missing = Location.schema.indexes()
+    .map(([fields]) => indexName(fields))
+    .filter(name => !existing.has(name));
+  if (missing.length > 0) throw new Error(`Missing indexes on ${Location.collection.name}: ${missing.join(', ')}`);
+  return { collection: Location.collection.name };
+};
+
+export const healthService = {
+  degradedSince: null,
+  monitor: null,
+
+  // Whether Redis is unusable right now; the cache is bypassed meanwhile
+  isDegraded() {
+    return !geoCacheService.isAvailable() || !isRedisReady(redisService.redis);
+  },
+
+  /**
+   * Readiness of the service. MongoDB and its indexes are required; without
+   * Redis the service is degraded but still serves every query.
+   * @returns {Promise<{status: 'ready'|'degraded'|'unavailable', degraded: boolean,
+   *   degradedSince: Date|null, checks: Object}>}
+   */
+  async checkReadiness() {
+    const mongodb = await runCheck('MongoDB ping', checkMongo);
+    const [redis, indexes] = await Promise.all([
+      runCheck('Redis ping', checkRedis),
+      mongodb.ok ? runCheck('Index check', checkIndexes) : { ok: false, error: 'MongoDB is unavailable' }
+    ]);
+
+    monitoringService.recordDependencyUp('mongodb', mongodb.ok);
+    monitoringService.recordDependencyUp('redis', redis.ok);
+    monitoringService.recordDependencyUp('indexes', indexes.ok);
+
+    const degraded = this.isDegraded() || !redis.ok;
+    let status = 'ready';
+    if (!mongodb.ok || !indexes.ok) status = 'unavailable';
+    else if (degraded) status = 'degraded';
+
+    return {
+      status,
+      degraded,
+      degradedSince: degraded ? this.degradedSince : null,
+      checks: { mongodb, redis, indexes }
+    };
+  },
+
+  // Log entering and leaving degraded mode
+  updateDegradedMode() {
+    const degraded = this.isDegraded();
+    monitoringService.recordDegradedMode(degraded);
+
+    if (degraded && !this.degradedSince) {
+      this.degradedSince = new Date();
+      console.warn('Redis unavailable: degraded mode, serving from MongoDB without caching');
+    } else if (!degraded && this.degradedSince) {
+      console.log(`Redis available again after ${Math.round((Date.now() - this.degradedSince) / 1000)}s: leaving degraded mode`);
+      this.degradedSince = null;
+    }
+  },
+
+  // Follow the Redis connections and keep the degraded mode and dependency metrics current
+  start() {
+    if (this.monitor) return;
+
+    const tick = () => {
+      this.updateDegradedMode();
+      this.checkReadiness().catch(error => console.error('Health monitor error:', error));
+    };
+    tick();
+    this.monitor = setInterval(tick, HEALTH_CONFIG.monitorIntervalMs);
+    this.monitor.unref();
+  }
+};
+
+export default healthService;
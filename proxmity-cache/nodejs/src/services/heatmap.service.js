@@ -0,0 +1,191 @@
+import Geohash from 'ngeohash';
+import Location from '../model/location.js';
+import geoCacheService from './geo-cache.services.js';
+import { CELL_MARGIN_DEGREES, cellBounds, cellPolygon, cellSizeDegrees, countBoxCells } from '../utils/geohashCover.js';
+import { bucketTimeWindow, timeWindowKey, timeWindowTTL } from '../utils/timeWindow.js';
+import { validateHeatmapRequest } from '../utils/validation.js';
+
+// Density heatmaps count points per geohash cell. MongoDB counts one tile (a
+// coarser geohash cell) at a time and every tile's counts are cached under
+// its cell tag, so a write only invalidates the tile it falls in and
+// overlapping bboxes share tiles.
+const HEATMAP_CONFIG = {
+  maxCells: parseInt(process.env.HEATMAP_MAX_CELLS) || 20000, // Cells a bbox may span at the requested precision
+  maxTiles: parseInt(process.env.HEATMAP_MAX_TILES) || 64,
+  tileDepth: 2, // Tiles are this many geohash characters coarser than the cells they count
+  maxTileDepth: 3,
+  defaultMaxPrecision: 7,
+  concurrency: 4
+};
+
+// Cell tags exist for precisions 2 to 7 only
+const MIN_TILE_PRECISION = 2;
+const MAX_TILE_PRECISION = 7;
+
+/**
+ * Finest precision whose cells over the bbox stay within maxCells
+ * @returns {number}
+ */
+const defaultPrecision = (bbox) => {
+  for (let precision = HEATMAP_CONFIG.defaultMaxPrecision; precision > 1; precision--) {
+    if (countBoxCells(bbox, precision) <= HEATMAP_CONFIG.maxCells) return precision;
+  }
+  return 1;
+};
+
+/**
+ * Tile precision for a bbox: tileDepth coarser than the cells, coarser still
+ * when the bbox would span more than maxTiles tiles
+ * @returns {number|null} null when no allowed tile precision fits
+ */
+const tilePrecisionFor = (bbox, precision) => {
+  const finest = Math.min(Math.max(precision - HEATMAP_CONFIG.tileDepth, MIN_TILE_PRECISION), MAX_TILE_PRECISION);
+  const coarsest = Math.max(precision - HEATMAP_CONFIG.maxTileDepth, MIN_TILE_PRECISION);
+
+  for (let tilePrecision = finest; tilePrecision >= Math.min(coarsest, finest); tilePrecision--) {
+    if (countBoxCells(bbox, tilePrecision) <= HEATMAP_CONFIG.maxTiles) return tilePrecision;
+  }
+  return null;
+};
+
+/**
+ * Count the points of one tile per cell of `precision`
+ * @returns {Promise<Object<string, number>>} geohash -> count
+ */
+const countTile = async (tile, precision, { timeWindow, hours, userId }) => {
+  const { minLat, minLng, maxLat, maxLng } = cellBounds(tile);
+  const { width, height } = cellSizeDegrees(precision);
+
+  // The 2dsphere index narrows the scan; the half-open ranges make tiles disjoint
+  const pipeline = [{
+    $match: {
+      location: { $geoWithin: { $geometry: cellPolygon(tile, CELL_MARGIN_DEGREES) } },
+      latitude: { $gte: minLat, $lt: maxLat },
+      longitude: { $gte: minLng, $lt: maxLng },
+      ...(userId && { userId }),
+      ...(timeWindow && { timestamp: { $gte: timeWindow.start, $lte: timeWindow.end } })
+    }
+  }];
+
+  if (hours) {
+    const hour = { $hour: '$timestamp' };
+    const from = { $gte: [hour, hours.start] };
+    const until = { $lt: [hour, hours.end] };
+    // A range such as 22 to 6 wraps around midnight
+    pipeline.push({ $match: { $expr: hours.start < hours.end ? { $and: [from, until] } : { $or: [from, until] } } });
+  }
+
+  // Geohash cells of one precision are a regular grid, so a cell is the grid column and row
+  pipeline.push({
+    $group: {
+      _id: {
+        x: { $floor: { $divide: [{ $add: ['$longitude', 180] }, width] } },
+        y: { $floor: { $divide: [{ $add: ['$latitude', 90] }, height] } }
+      },
+      count: { $sum: 1 }
+    }
+  });
+
+  const counts = {};
+  for (const { _id: { x, y }, count } of await Location.aggregate(pipeline)) {
+    const geohash = Geohash.encode(-90 + (y + 0.5) * height, -180 + (x + 0.5) * width, precision);
+    counts[geohash] = (counts[geohash] || 0) + count;
+  }
+  return counts;
+};
+
+const intersects = ({ minLat, minLng, maxLat, maxLng }, bbox) =>
+  minLng < bbox.maxLon && maxLng > bbox.minLon && minLat < bbox.maxLat && maxLat > bbox.minLat;
+
+const toGeoJSON = ({ bbox, cells, ...metadata }) => ({
+  type: 'FeatureCollection',
+  bbox: [bbox.minLon, bbox.minLat, bbox.maxLon, bbox.maxLat],
+  metadata,
+  features: cells.map(({ geohash, count }) => {
+    const { minLat, minLng, maxLat, maxLng } = cellBounds(geohash);
+    return {
+      type: 'Feature',
+      geometry: {
+        type: 'Polygon',
+        coordinates: [[[minLng, minLat], [maxLng, minLat], [maxLng, maxLat], [minLng, maxLat], [minLng, minLat]]]
+      },
+      properties: { geohash, count, intensity: metadata.maxCount ? count / metadata.maxCount : 0 }
+    };
+  })
+});
+
+export const heatmapService = {
+  /**
+   * Validate a heatmap request and count the points per cell inside its bbox
+   * @param {Object} query - { bbox, precision?, from?, to?, startHour?, endHour?, userId?, format? }
+   * @returns {Promise<{isValid: boolean, error?: string, format?: string, heatmap?: Object}>}
+   */
+  async getHeatmap(query) {
+    const validation = validateHeatmapRequest(query);
+    if (!validation.isValid) return validation;
+    const { bbox, hours, userId, format } = validation.heatmap;
+
+    const precision = validation.heatmap.precision ?? defaultPrecision(bbox);
+    const cellCount = countBoxCells(bbox, precision);
+    if (cellCount > HEATMAP_CONFIG.maxCells) {
+      return { isValid: false, error: `bbox spans ${cellCount} cells at precision ${precision}, more than the limit of ${HEATMAP_CONFIG.maxCells}` };
+    }
+
+    const tilePrecision = tilePrecisionFor(bbox, precision);
+    if (!tilePrecision) {
+      return { isValid: false, error: `bbox is too large for precision ${precision}; use a coarser precision or a smaller bbox` };
+    }
+
+    // Snapped like nearby queries, so that close ranges share tile entries
+    const timeWindow = validation.heatmap.timeWindow && bucketTimeWindow(validation.heatmap.timeWindow);
+    const filterKey = `${timeWindowKey(timeWindow)}:${hours ? `${hours.start}-${hours.end}` : 'allday'}:${userId || 'all'}`;
+    const ttl = timeWindowTTL(timeWindow);
+
+    const tiles = Geohash.bboxes(bbox.minLat, bbox.minLon, bbox.maxLat, bbox.maxLon, tilePrecision);
+    const counts = {};
+    let next = 0;
+    const worker = async () => {
+      while (next < tiles.length) {
+        const tile = tiles[next++];
+        const tileCounts = await geoCacheService.getCellScoped(
+          'heatmap',
+          `${tile}:${precision}:${filterKey}`,
+          tile,
+          () => countTile(tile, precision, { timeWindow, hours, userId }),
+          ttl,
+          { userId, source: { tile, precision, timeWindow, hours, userId } }
+        );
+        for (const [geohash, count] of Object.entries(tileCounts)) {
+          counts[geohash] = (counts[geohash] || 0) + count;
+        }
+      }
+    };
+    await Promise.all(Array.from({ length: HEATMAP_CONFIG.concurrency }, worker));
+
+    // Tiles reach past the bbox; keep the cells it touches
+    const cells = Object.entries(counts)
+      .filter(([geohash]) => intersects(cellBounds(geohash), bbox))
+      .map(([geohash, count]) => {
+        const { latitude, longitude } = Geohash.decode(geohash);
+        return { geohash, count, latitude, longitude };
+      })
+      .sort((a, b) => b.count - a.count);
+
+    const heatmap = {
+      bbox,
+      precision,
+      tilePrecision,
+      tiles: tiles.length,
+      timeWindow,
+      hours,
+      userId,
+      totalPoints: cells.reduce((sum, cell) => sum + cell.count, 0),
+      maxCount: cells.length > 0 ? cells[0].count : 0,
+      cells
+    };
+
+    return { isValid: true, format, heatmap: format === 'geojson' ? toGeoJSON(heatmap) : heatmap };
+  }
+};
+
+export default heatmapService;
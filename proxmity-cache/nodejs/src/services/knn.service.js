@@ -0,0 +1,171 @@
+import Geohash from 'ngeohash';
+import Location from '../model/location.js';
+import geoCacheService from './geo-cache.services.js';
+import { boxPolygon, cellBounds, cellSizeDegrees, distanceKm } from '../utils/geohashCover.js';
+import { bucketTimeWindow, timeWindowKey, timeWindowTTL } from '../utils/timeWindow.js';
+import { validateKnnRequest } from '../utils/validation.js';
+
+// k-nearest search without a radius. Around the geohash cell holding the query
+// point, rings of neighbour cells are loaded until k points are the nearest
+// for any point of that cell. Those candidates are cached under the cell, so
+// every query inside it is answered by ranking them. Cells start fine and get
+// coarser when the rings run out before reaching k points.
+const KNN_CONFIG = {
+  precisions: [7, 6, 5, 4, 3, 2], // Cell tags exist for precisions 2 to 7 only
+  maxRings: 3,
+  maxCandidates: parseInt(process.env.KNN_MAX_CANDIDATES) || 5000, // Denser blocks go to $geoNear
+  blockMarginDegrees: 0.01
+};
+
+const EARTH_RADIUS_KM = 6371;
+const toRad = (degrees) => degrees * Math.PI / 180;
+
+// Cells within `rings` of a cell, as a box. Blocks stop at the poles.
+const blockAround = (cell, rings, { width, height }) => {
+  const { minLat, minLng, maxLat, maxLng } = cellBounds(cell);
+  return {
+    minLat: Math.max(minLat - rings * height, -90),
+    minLng: minLng - rings * width,
+    maxLat: Math.min(maxLat + rings * height, 90),
+    maxLng: maxLng + rings * width
+  };
+};
+
+const inBox = ({ minLat, minLng, maxLat, maxLng }) => ({
+  latitude: { $gte: minLat, $lt: maxLat },
+  longitude: { $gte: minLng, $lt: maxLng }
+});
+
+/**
+ * Distance in km that any point of the cell is at least from the edge of the
+ * block `rings` around it: the rings' height, or their width measured at the
+ * cell's latitude farthest from the equator
+ */
+const coverageKm = (cell, rings, { width, height }) => {
+  const { minLat, maxLat } = cellBounds(cell);
+  const poleward = toRad(Math.max(Math.abs(minLat), Math.abs(maxLat)));
+  const across = Math.asin(Math.sin(toRad(Math.min(rings * width, 90))) * Math.cos(poleward));
+  return EARTH_RADIUS_KM * Math.min(toRad(rings * height), across);
+};
+
+// Farthest any point of the cell is from its center
+const halfDiagonalKm = (cell) => {
+  const { minLat, minLng, maxLat, maxLng } = cellBounds(cell);
+  const { latitude, longitude } = Geohash.decode(cell);
+  return Math.max(...[[minLat, minLng], [minLat, maxLng], [maxLat, minLng], [maxLat, maxLng]]
+    .map(([lat, lng]) => distanceKm(latitude, longitude, lat, lng)));
+};
+
+/**
+ * Load rings around a cell until they hold k points that are the nearest for
+ * any point of the cell. A point at most `coverage - halfDiagonal` from the
+ * center is within `coverage` of every point of the cell, and the block
+ * reaches at least that far in every direction; so once k points qualify,
+ * the nearest k of any query point lie within `coverage + halfDiagonal` of
+ * the center, and only those are kept.
+ * @returns {Promise<{found: boolean, dense?: boolean, rings?: number, candidates?: Object[]}>}
+ */
+const searchRings = async (cell, k, filter) => {
+  const size = cellSizeDegrees(cell.length);
+  const { latitude, longitude } = Geohash.decode(cell);
+  const halfDiagonal = halfDiagonalKm(cell);
+  const candidates = [];
+
+  for (let rings = 1; rings <= KNN_CONFIG.maxRings; rings++) {
+    const block = blockAround(cell, rings, size);
+    // Blocks do not wrap around the antimeridian
+    if (block.minLng < -180 || block.maxLng > 180) return { found: false };
+
+    const points = await Location.find({
+      location: { $geoWithin: { $geometry: boxPolygon(block, KNN_CONFIG.blockMarginDegrees) } },
+      ...inBox(block),
+      ...(rings > 1 && { $nor: [inBox(blockAround(cell, rings - 1, size))] }),
+      ...filter
+    })
+      .limit(KNN_CONFIG.maxCandidates - candidates.length + 1)
+      .lean()
+      .exec();
+
+    candidates.push(...points.map(point => ({
+      ...point,
+      centerKm: distanceKm(latitude, longitude, point.latitude, point.longitude)
+    })));
+    if (candidates.length > KNN_CONFIG.maxCandidates) return { found: false, dense: true };
+
+    const coverage = coverageKm(cell, rings, size);
+    const qualifying = candidates.filter(point => point.centerKm + halfDiagonal <= coverage).length;
+    if (qualifying >= k) {
+      return {
+        found: true,
+        rings,
+        candidates: candidates
+          .filter(point => point.centerKm <= coverage + halfDiagonal)
+          .map(({ centerKm, ...point }) => point)
+      };
+    }
+  }
+
+  return { found: false };
+};
+
+const byDistance = (a, b) => a.distance - b.distance || (String(a._id) < String(b._id) ? -1 : 1);
+
+export const knnService = {
+  /**
+   * Validate a k-nearest request and find the k points nearest to it
+   * @param {Object} query - { latitude, longitude, k?, userId?, from?, to? }
+   * @returns {Promise<{isValid: boolean, error?: string, result?: Object}>}
+   */
+  async findNearest(query) {
+    const validation = validateKnnRequest(query);
+    if (!validation.isValid) return validation;
+    const { latitude, longitude, k, userId } = validation.knn;
+
+    // Snapped like nearby queries, so that close ranges share entries
+    const timeWindow = validation.knn.timeWindow && bucketTimeWindow(validation.knn.timeWindow);
+    const filter = {
+      ...(userId && { userId }),
+      ...(timeWindow && { timestamp: { $gte: timeWindow.start, $lte: timeWindow.end } })
+    };
+    const filterKey = `${k}:${timeWindowKey(timeWindow)}:${userId || 'all'}`;
+    const ttl = timeWindowTTL(timeWindow);
+
+    for (const precision of KNN_CONFIG.precisions) {
+      const cell = Geohash.encode(latitude, longitude, precision);
+      const { minLat, minLng, maxLat, maxLng } = blockAround(cell, KNN_CONFIG.maxRings, cellSizeDegrees(precision));
+      const entry = await geoCacheService.getCellScoped(
+        'knn',
+        `${cell}:${filterKey}`,
+        Geohash.bboxes(minLat, Math.max(minLng, -180), maxLat, Math.min(maxLng, 180), precision),
+        () => searchRings(cell, k, filter),
+        ttl,
+        { userId, source: { cell, k, userId, timeWindow } }
+      );
+
+      if (entry.dense) break;
+      if (!entry.found) continue;
+
+      const data = entry.candidates
+        .map(point => ({ ...point, distance: distanceKm(latitude, longitude, point.latitude, point.longitude) * 1000 }))
+        .sort(byDistance)
+        .slice(0, k);
+      return { isValid: true, result: { data, k, query: { latitude, longitude, userId, timeWindow }, precision, rings: entry.rings, source: 'rings' } };
+    }
+
+    // Too dense to cache by cell, or too sparse for the coarsest rings
+    const data = await Location.aggregate([
+      {
+        $geoNear: {
+          near: { type: 'Point', coordinates: [longitude, latitude] },
+          distanceField: 'distance',
+          query: filter,
+          spherical: true
+        }
+      },
+      { $limit: k }
+    ]);
+    return { isValid: true, result: { data, k, query: { latitude, longitude, userId, timeWindow }, source: 'mongodb' } };
+  }
+};
+
+export default knnService;
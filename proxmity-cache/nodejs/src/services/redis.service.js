@@ -1,25 +1,14 @@
-import Redis from 'ioredis';
+import { randomUUID } from 'crypto';
 import zlib from 'zlib';
 import { promisify } from 'util';
+import { createRedisClient } from '../config/redis.js';
 
 const gzip = promisify(zlib.gzip);
 const gunzip = promisify(zlib.gunzip);
 
 class RedisService {
   constructor() {
-    this.redis = new Redis({
-      port: process.env.REDIS_PORT || 6379,
-      host: process.env.REDIS_HOST || '127.0.0.1',
-      retryStrategy: (times) => Math.min(times * 50, 2000)
-    });
-
-    this.redis.on('error', (error) => {
-      console.error('Redis connection error:', error);
-    });
-
-    this.redis.on('connect', () => {
-      console.log('Connected to Redis');
-    });
+    this.redis = createRedisClient('geolife');
   }
 
   async setCompressed(key, value, ttl = 3600) {
@@ -63,6 +52,64 @@ class RedisService {
       return [];
     }
   }
+
+  /**
+   * GEOADD many members in one round trip
+   * @param {string} key
+   * @param {Array<{longitude: number, latitude: number, member: string}>} points
+   */
+  async geoAddMany(key, points) {
+    if (points.length === 0) return 0;
+    const args = points.flatMap(({ longitude, latitude, member }) => [longitude, latitude, member]);
+    return this.redis.geoadd(key, ...args);
+  }
+
+  async geoRemove(key, ...members) {
+    return this.redis.zrem(key, ...members);
+  }
+
+  /**
+   * GEOSEARCH sorted by distance, nearest first
+   * @param {string} key
+   * @param {number} longitude
+   * @param {number} latitude
+   * @param {{radius?: number, width?: number, height?: number}} shape - BYRADIUS or BYBOX, in `unit`
+   * @param {{unit?: string, count?: number}} [options]
+   * @returns {Promise<Array<{member: string, distance: number}>>} distance in `unit`
+   */
+  async geoSearch(key, longitude, latitude, shape, { unit = 'km', count } = {}) {
+    const by = shape.radius !== undefined
+      ? ['BYRADIUS', shape.radius, unit]
+      : ['BYBOX', shape.width, shape.height, unit];
+    const limit = count ? ['COUNT', count] : [];
+
+    const results = await this.redis.geosearch(
+      key, 'FROMLONLAT', longitude, latitude, ...by, 'ASC', ...limit, 'WITHDIST'
+    );
+    return results.map(([member, distance]) => ({ member, distance: parseFloat(distance) }));
+  }
+
+  /**
+   * Number of members a GEOSEARCH would return, without sending them back:
+   * GEOSEARCHSTORE into a scratch key, dropped in the same transaction
+   * @param {string} key - Hash-tagged, so the scratch key shares its cluster slot
+   * @param {{radius?: number, width?: number, height?: number}} shape - As for geoSearch
+   * @param {{unit?: string}} [options]
+   * @returns {Promise<number>}
+   */
+  async geoCount(key, longitude, latitude, shape, { unit = 'km' } = {}) {
+    const by = shape.radius !== undefined
+      ? ['BYRADIUS', shape.radius, unit]
+      : ['BYBOX', shape.width, shape.height, unit];
+    const scratchKey = `${key}:count:${randomUUID()}`;
+
+    const [[error, count]] = await this.redis.multi()
+      .geosearchstore(scratchKey, key, 'FROMLONLAT', longitude, latitude, ...by)
+      .unlink(scratchKey)
+      .exec();
+    if (error) throw error;
+    return count;
+  }
 }
 
 export default new RedisService();
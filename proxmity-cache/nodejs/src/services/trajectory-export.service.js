@@ -0,0 +1,104 @@
+import { pipeline } from 'stream/promises';
+import Location from '../model/location.js';
+import { TRACK_FORMATS, createTrackStream } from '../utils/trackFormats.js';
+import { createZipStream } from '../utils/zipStream.js';
+
+// GPX and KML tracks of GeoLife trajectories, streamed from MongoDB in time
+// order. Not cached: an export reads every point once.
+export const TRAJECTORY_EXPORT_CONFIG = {
+  segmentGapSeconds: parseInt(process.env.TRACK_SEGMENT_GAP_SECONDS) || 300, // A longer pause starts a new segment
+  maxZipTrajectories: parseInt(process.env.TRACK_ZIP_MAX_TRAJECTORIES) || 1000
+};
+
+const pointsQuery = (userId, trajectoryId, timeWindow) => ({
+  userId,
+  trajectoryId,
+  ...(timeWindow && { timestamp: { $gte: timeWindow.start, $lte: timeWindow.end } })
+});
+
+// Points of one trajectory, oldest first (served by the { userId, trajectoryId } index)
+const trajectoryCursor = (userId, trajectoryId, timeWindow) => Location
+  .find(pointsQuery(userId, trajectoryId, timeWindow), { latitude: 1, longitude: 1, altitude: 1, timestamp: 1 })
+  .sort({ timestamp: 1 })
+  .lean()
+  .cursor();
+
+const trackStream = (format, userId, trajectoryId) => createTrackStream(format, {
+  name: `${userId}/${trajectoryId}`,
+  gapSeconds: TRAJECTORY_EXPORT_CONFIG.segmentGapSeconds
+});
+
+export const trajectoryExportService = {
+  /**
+   * Whether a user has a trajectory with this ID
+   * @param {string} userId
+   * @param {string} trajectoryId
+   * @returns {Promise<boolean>}
+   */
+  async hasTrajectory(userId, trajectoryId) {
+    return Boolean(await Location.exists({ userId, trajectoryId }));
+  },
+
+  /**
+   * A user's trajectories with points in a time window, oldest first
+   * @param {string} userId
+   * @param {{start: Date, end: Date}} timeWindow
+   * @returns {Promise<Array<{trajectoryId: string, start: Date, end: Date, points: number}>>}
+   */
+  async listTrajectories(userId, timeWindow) {
+    const trajectories = await Location.aggregate([
+      { $match: { userId, timestamp: { $gte: timeWindow.start, $lte: timeWindow.end } } },
+      { $group: { _id: '$trajectoryId', start: { $min: '$timestamp' }, end: { $max: '$timestamp' }, points: { $sum: 1 } } },
+      { $sort: { start: 1, _id: 1 } }
+    ]);
+    return trajectories.map(({ _id, ...trajectory }) => ({ trajectoryId: _id, ...trajectory }));
+  },
+
+  /**
+   * Stream one trajectory as a GPX or KML download
+   * @param {string} format - gpx or kml
+   * @param {string} userId
+   * @param {string} trajectoryId
+   * @param {Object} res - Express response
+   */
+  async streamTrajectory(format, userId, trajectoryId, res) {
+    res.status(200)
+      .type(TRACK_FORMATS[format])
+      .attachment(`${userId}-${trajectoryId}.${format}`);
+    await pipeline(trajectoryCursor(userId, trajectoryId), trackStream(format, userId, trajectoryId), res);
+  },
+
+  /**
+   * Stream a zip with one GPX or KML file per trajectory, each holding only
+   * its points within the window
+   * @param {string} format - gpx or kml
+   * @param {string} userId
+   * @param {Array<{trajectoryId: string}>} trajectories - From listTrajectories
+   * @param {{start: Date, end: Date}} timeWindow
+   * @param {Object} res - Express response
+   */
+  async streamZip(format, userId, trajectories, timeWindow, res) {
+    const zip = createZipStream();
+    res.status(200)
+      .type('application/zip')
+      .attachment(`${userId}-trajectories.zip`);
+    const sent = pipeline(zip.output, res);
+    sent.catch(() => {}); // Awaited below, once the entries stop
+
+    try {
+      for (const { trajectoryId } of trajectories) {
+        await zip.addEntry(
+          `${userId}/${trajectoryId}.${format}`,
+          trajectoryCursor(userId, trajectoryId, timeWindow),
+          trackStream(format, userId, trajectoryId)
+        );
+      }
+      zip.finalize();
+    } catch (error) {
+      zip.output.destroy(error);
+    }
+    await sent;
+  }
+};
+
+export default trajectoryExportService;
@@ -0,0 +1,218 @@
+import { randomUUID } from 'crypto';
+import Geohash from 'ngeohash';
+import { hashTag } from '../config/redis.js';
+import geoCacheService from './geo-cache.services.js';
+import redisService from './redis.service.js';
+import { bucketTimeWindow, timeBuckets } from '../utils/timeWindow.js';
+import { validateWarmupRequest } from '../utils/validation.js';
+
+// Cache warmup runs as a background job that fills the same cell and time
+// bucket entries that cell-composed queries read. The process that starts a
+// job runs it; its status and progress are kept in a Redis hash, so every
+// instance reports on it and a cancel reaches the one running it.
+const WARMUP_CONFIG = {
+  maxTasks: parseInt(process.env.WARMUP_MAX_TASKS) || 20000,
+  concurrency: parseInt(process.env.WARMUP_CONCURRENCY) || 4,
+  keepJobs: 50,
+  jobTtlSeconds: parseInt(process.env.WARMUP_JOB_TTL_SECONDS) || 24 * 3600
+};
+
+// One hash tag, so a job and the list share a cluster slot
+const JOBS_KEY = hashTag('warmup') + ':jobs';
+const jobKey = (id) => `${hashTag('warmup')}:job:${id}`;
+
+const PROGRESS_FIELDS = ['total', 'done', 'loaded', 'overflowed', 'failed'];
+
+// Flag a job still queued or running; finished jobs are left as they are
+const CANCEL_SCRIPT = `
+local status = redis.call('HGET', KEYS[1], 'status')
+if not status then return 0 end
+if status == 'queued' or status == 'running' then
+  redis.call('HSET', KEYS[1], 'cancelRequested', '1', 'status', 'cancelling')
+end
+return 1
+`;
+
+const toDate = (value) => value ? new Date(value) : null;
+
+// The job as the API reports it, from its hash
+const publicJob = (hash) => ({
+  id: hash.id,
+  status: hash.status,
+  input: JSON.parse(hash.input),
+  ...(hash.precision && { precision: Number(hash.precision) }),
+  cells: Number(hash.cells),
+  buckets: Number(hash.buckets),
+  progress: Object.fromEntries(PROGRESS_FIELDS.map(field => [field, Number(hash[field])])),
+  createdAt: toDate(hash.createdAt),
+  startedAt: toDate(hash.startedAt),
+  finishedAt: toDate(hash.finishedAt),
+  ...(hash.error && { error: hash.error })
+});
+
+const readJob = async (id) => {
+  const hash = await redisService.redis.hgetall(jobKey(id));
+  return hash.id ? publicJob(hash) : null;
+};
+
+/**
+ * Turn a warmup request into cells
+ * @param {Object} warmup - Output of validateWarmupRequest
+ * @returns {Promise<{cells: string[], precision?: number}|null>} null when the radius is not served from cells
+ */
+const resolveCells = async ({ region, topCells, radius }) => {
+  if (topCells) {
+    const top = await geoCacheService.getTopRequestedCells(topCells);
+    return { cells: top.map(({ cell }) => cell) };
+  }
+
+  const { minLat, minLon, maxLat, maxLon } = region;
+  const precision = geoCacheService.cellPrecisionFor((minLat + maxLat) / 2, (minLon + maxLon) / 2, radius);
+  if (!precision) return null;
+
+  return { cells: Geohash.bboxes(minLat, minLon, maxLat, maxLon, precision), precision };
+};
+
+/**
+ * Warm the job's cells. Each task adds to the progress in the job's hash and
+ * reads back its cancel flag in the same round trip.
+ * @param {string} id
+ * @param {Array<{cell: string, bucket?: Object}>} tasks - Kept in this process only
+ */
+const runJob = async (id, tasks) => {
+  const redis = redisService.redis;
+  const key = jobKey(id);
+  const finish = (fields) => redis.multi()
+    .hset(key, { ...fields, finishedAt: new Date().toISOString() })
+    .expire(key, WARMUP_CONFIG.jobTtlSeconds)
+    .exec();
+
+  try {
+    let cancelled = (await redis.hget(key, 'cancelRequested')) === '1';
+    if (!cancelled) await redis.hset(key, { status: 'running', startedAt: new Date().toISOString() });
+
+    let next = 0;
+    const worker = async () => {
+      while (next < tasks.length && !cancelled) {
+        const { cell, bucket } = tasks[next++];
+        const progress = { done: 1, loaded: 0, overflowed: 0, failed: 0 };
+        try {
+          const { loaded, overflow } = await geoCacheService.warmCell(cell, bucket);
+          if (loaded) progress.loaded = 1;
+          if (overflow) progress.overflowed = 1;
+        } catch (error) {
+          progress.failed = 1;
+          console.error(`Warmup ${id} failed for cell ${cell}:`, error);
+        }
+
+        const multi = redis.multi();
+        for (const [field, increment] of Object.entries(progress)) {
+          if (increment) multi.hincrby(key, field, increment);
+        }
+        const results = await multi
+          .expire(key, WARMUP_CONFIG.jobTtlSeconds)
+          .hget(key, 'cancelRequested')
+          .exec();
+        if (results[results.length - 1][1] === '1') cancelled = true;
+      }
+    };
+
+    await Promise.all(Array.from({ length: WARMUP_CONFIG.concurrency }, worker));
+    await finish({ status: cancelled ? 'cancelled' : 'completed' });
+  } catch (error) {
+    console.error(`Warmup ${id} failed:`, error);
+    await finish({ status: 'failed', error: error.message }).catch(finishError =>
+      console.error(`Warmup ${id} status update failed:`, finishError)
+    );
+  }
+};
+
+export const warmupService = {
+  /**
+   * Validate a warmup request and start it in the background
+   * @param {Object} body - { region | topCells, timeRange?, radius? }
+   * @returns {Promise<{isValid: boolean, error?: string, job?: Object}>}
+   */
+  async start(body) {
+    if (!geoCacheService.isCellModeEnabled()) {
+      return { isValid: false, error: 'Warmup fills cell entries, which are only read with CACHE_MODE=cells' };
+    }
+
+    const validation = validateWarmupRequest(body);
+    if (!validation.isValid) return validation;
+    const input = validation.warmup;
+
+    const resolved = await resolveCells(input);
+    if (!resolved) {
+      return { isValid: false, error: `Queries with a ${input.radius} km radius are not composed from cells` };
+    }
+    const { cells, precision } = resolved;
+
+    const buckets = input.timeRange ? timeBuckets(bucketTimeWindow(input.timeRange)) : [undefined];
+
+    const total = cells.length * buckets.length;
+    if (total > WARMUP_CONFIG.maxTasks) {
+      return { isValid: false, error: `Warmup needs ${total} cell entries, more than the limit of ${WARMUP_CONFIG.maxTasks}` };
+    }
+
+    const createdAt = new Date();
+    const hash = {
+      id: randomUUID(),
+      status: 'queued',
+      input: JSON.stringify(input),
+      ...(precision && { precision }),
+      cells: cells.length,
+      buckets: input.timeRange ? buckets.length : 0,
+      total,
+      done: 0,
+      loaded: 0,
+      overflowed: 0,
+      failed: 0,
+      createdAt: createdAt.toISOString()
+    };
+    const tasks = cells.flatMap(cell => buckets.map(bucket => ({ cell, bucket })));
+
+    // The list keeps the most recent keepJobs; each job expires on its own
+    await redisService.redis.multi()
+      .hset(jobKey(hash.id), hash)
+      .expire(jobKey(hash.id), WARMUP_CONFIG.jobTtlSeconds)
+      .zadd(JOBS_KEY, createdAt.getTime(), hash.id)
+      .zremrangebyrank(JOBS_KEY, 0, -WARMUP_CONFIG.keepJobs - 1)
+      .expire(JOBS_KEY, WARMUP_CONFIG.jobTtlSeconds)
+      .exec();
+    setImmediate(() => runJob(hash.id, tasks));
+
+    return { isValid: true, job: publicJob(hash) };
+  },
+
+  /**
+   * @returns {Promise<Object|null>} The job, or null when unknown or expired
+   */
+  async get(id) {
+    return readJob(id);
+  },
+
+  /**
+   * Recent jobs, most recent first
+   * @returns {Promise<Array<Object>>}
+   */
+  async list() {
+    const ids = await redisService.redis.zrevrange(JOBS_KEY, 0, -1);
+    const jobs = await Promise.all(ids.map(readJob));
+
+    const expired = ids.filter((id, i) => !jobs[i]);
+    if (expired.length > 0) await redisService.redis.zrem(JOBS_KEY, ...expired);
+    return jobs.filter(Boolean);
+  },
+
+  /**
+   * Stop a job after the cell entries in progress, whichever instance runs it
+   * @returns {Promise<Object|null>} The job, or null when unknown
+   */
+  async cancel(id) {
+    const found = await redisService.redis.eval(CANCEL_SCRIPT, 1, jobKey(id));
+    return found ? readJob(id) : null;
+  }
+};
+
+export default warmupService;
@@ -0,0 +1,41 @@
+// Cached values are stored in an envelope carrying their freshness metadata.
+// Entries written before the envelope existed are plain JSON and count as fresh.
+const ENVELOPE_MARKER = '__cacheEntry';
+
+/**
+ * @param {*} data
+ * @param {{ttl: number, staleWhileRevalidate?: number, source?: Object}} options - ttl and window in
+ *   seconds; source describes the query the data answers, for the cache inspector
+ * @returns {Object}
+ */
+export const wrapEntry = (data, { ttl, staleWhileRevalidate = 0, source }) => {
+  const now = Date.now();
+  return {
+    [ENVELOPE_MARKER]: 1,
+    createdAt: now,
+    softExpiresAt: now + ttl * 1000,
+    hardExpiresAt: now + (ttl + staleWhileRevalidate) * 1000,
+    ...(source && { source }),
+    data
+  };
+};
+
+/**
+ * @param {*} parsed - JSON.parse'd Redis value
+ * @returns {{data: *, createdAt?: number, softExpiresAt?: number, source?: Object}}
+ */
+export const unwrapEntry = (parsed) => {
+  if (parsed && typeof parsed === 'object' && parsed[ENVELOPE_MARKER]) {
+    const { [ENVELOPE_MARKER]: _marker, data, ...meta } = parsed;
+    return { data, ...meta };
+  }
+  return { data: parsed };
+};
+
+/**
+ * Past the soft TTL but still inside the stale-while-revalidate window
+ * @param {{softExpiresAt?: number}} entry
+ * @returns {boolean}
+ */
+export const isStale = (entry, now = Date.now()) =>
+  entry.softExpiresAt !== undefined && entry.softExpiresAt <= now;
@@ -1,39 +1,96 @@
-import redisCluster from '../services/redis-cluster.service.js';
-
-async function testCompression() {
-  // Create sample data
-  const testData = {
-    id: 1,
-    name: "Test Data",
-    description: "This is a long text that will benefit from compression".repeat(1000),
-    coordinates: Array.from({ length: 1000 }, (_, i) => ({
-      lat: Math.random() * 90,
-      lng: Math.random() * 180,
-      timestamp: Date.now() + i
-    }))
-  };
+import dotenv from 'dotenv';
+import mongoose from 'mongoose';
+import { connectDB } from '../config/database.js';
+import Location from '../model/location.js';
+import redisService from '../services/redis.service.js';
+import { CODEC_NAMES, decodePayload, encodePayload } from './payloadCodec.js';
+
+dotenv.config();
+
+// Compare the cache codecs on real GeoLife pages, shaped like the cached
+// pagedData entries: size after encoding, encode/decode time and a Redis
+// round-trip per codec.
+// Usage: node src/utils/compression-test.js [pages=20] [pageSize=100]
+const BENCH_KEY = 'bench:codec';
+
+const loadPages = async (pages, pageSize) => {
+  const total = await Location.countDocuments().exec();
+  const results = [];
+  for (let page = 1; page <= pages; page++) {
+    const data = await Location.find()
+      .sort({ _id: 1 })
+      .skip((page - 1) * pageSize)
+      .limit(pageSize)
+      .lean()
+      .exec();
+    if (data.length === 0) break;
+    results.push({ data, total, page, pageSize, totalPages: Math.ceil(total / pageSize) });
+  }
+  return results;
+};
+
+const benchmarkCodec = async (codec, pages) => {
+  const result = { codec, rawBytes: 0, storedBytes: 0, encodeMs: 0, decodeMs: 0, roundTripMs: 0, intact: true };
+
+  for (const page of pages) {
+    let start = process.hrtime.bigint();
+    // Threshold 0: benchmark every page with the codec itself
+    const { payload, rawBytes } = await encodePayload(page, { codec, thresholdBytes: 0 });
+    result.encodeMs += Number(process.hrtime.bigint() - start) / 1e6;
+    result.rawBytes += rawBytes;
+    result.storedBytes += payload.length;
+
+    start = process.hrtime.bigint();
+    await redisService.redis.set(BENCH_KEY, payload, 'EX', 60);
+    const stored = await redisService.redis.getBuffer(BENCH_KEY);
+    result.roundTripMs += Number(process.hrtime.bigint() - start) / 1e6;
+
+    start = process.hrtime.bigint();
+    const decoded = await decodePayload(stored);
+    result.decodeMs += Number(process.hrtime.bigint() - start) / 1e6;
+
+    result.intact = result.intact && JSON.stringify(decoded) === JSON.stringify(page);
+  }
+
+  return result;
+};
+
+async function benchmarkCodecs() {
+  const pages = parseInt(process.argv[2]) || 20;
+  const pageSize = parseInt(process.argv[3]) || 100;
 
   try {
-    console.log('Original data size:', Buffer.from(JSON.stringify(testData)).length, 'bytes');
-
-    // Test compression
-    console.log('Compressing and storing data...');
-    const start = Date.now();
-    await redisCluster.setCompressed('test-key', testData);
-    console.log('Compression time:', Date.now() - start, 'ms');
-
-    // Test retrieval and decompression
-    console.log('Retrieving and decompressing data...');
-    const retrieveStart = Date.now();
-    const retrieved = await redisCluster.getCompressed('test-key');
-    console.log('Retrieval time:', Date.now() - retrieveStart, 'ms');
-
-    // Verify data integrity
-    console.log('Data integrity check:', JSON.stringify(testData) === JSON.stringify(retrieved));
+    await connectDB({ attempts: 1 });
+
+    const data = await loadPages(pages, pageSize);
+    if (data.length === 0) {
+      throw new Error('No GeoLife points found; import the dataset first');
+    }
+    console.log(`Benchmarking ${CODEC_NAMES.length} codecs on ${data.length} pages of ${pageSize} points`);
+
+    const rows = [];
+    for (const codec of CODEC_NAMES) {
+      const { rawBytes, storedBytes, encodeMs, decodeMs, roundTripMs, intact } = await benchmarkCodec(codec, data);
+      rows.push({
+        codec,
+        'avg bytes': Math.round(storedBytes / data.length),
+        ratio: +(rawBytes / storedBytes).toFixed(2),
+        'encode ms/page': +(encodeMs / data.length).toFixed(3),
+        'decode ms/page': +(decodeMs / data.length).toFixed(3),
+        'redis ms/page': +(roundTripMs / data.length).toFixed(3),
+        intact
+      });
+    }
+    console.table(rows);
+
+    await redisService.redis.del(BENCH_KEY);
+    await mongoose.disconnect();
+    redisService.redis.disconnect();
+    process.exit(0);
   } catch (error) {
-    console.error('Test failed:', error);
+    console.error('Codec benchmark failed:', error);
+    process.exit(1);
   }
 }
 
-testCompression();
-
+benchmarkCodecs();
@@ -1,19 +1,195 @@
-const fs = require('fs/promises');
-const path = require('path');
-const readline = require('readline');
-const { createReadStream } = require('fs');
-const Location = require('../models/location');
+import { createReadStream } from 'fs';
+import fs from 'fs/promises';
+import path from 'path';
+import readline from 'readline';
+import ImportCheckpoint from '../model/importCheckpoint.js';
+import Location from '../model/location.js';
+import geoCacheService from '../services/geo-cache.services.js';
+import geoIndexService from '../services/geo-index.service.js';
 
-class GeolifeDataProcessor {
+// Every .plt file starts with 6 header lines
+const PLT_HEADER_LINES = 6;
+// GeoLife marks unknown altitude with -777 feet
+const INVALID_ALTITUDE = -777;
+
+/**
+ * Parse a GeoLife date/time pair ("2008-10-23" / "2008/10/23", "02:53:04") as UTC
+ * @param {string} date
+ * @param {string} time
+ * @returns {Date|null}
+ */
+const parseUtcDate = (date, time) => {
+  const [year, month, day] = (date || '').split(/[-/]/).map(Number);
+  const [hour, minute, second] = (time || '').split(':').map(Number);
+  const timestamp = new Date(Date.UTC(year, month - 1, day, hour, minute, second));
+  return isNaN(timestamp.getTime()) ? null : timestamp;
+};
+
+export class GeolifeDataProcessor {
   constructor(batchSize = 1000) {
     this.batchSize = batchSize;
-    this.processedCount = 0;
+    this.nextLocationId = 0;
+    this.report = {
+      users: 0,
+      filesImported: 0,
+      filesResumed: 0,
+      filesSkipped: 0,
+      filesFailed: 0,
+      imported: 0,
+      labeled: 0,
+      skippedLines: 0,
+      malformedLines: 0,
+      startedAt: new Date(),
+      finishedAt: null
+    };
+  }
+
+  /**
+   * Continue locationId numbering after whatever is already stored
+   */
+  async init() {
+    const last = await Location.findOne({}, { locationId: 1 })
+      .sort({ locationId: -1 })
+      .lean()
+      .exec();
+    this.nextLocationId = last ? last.locationId + 1 : 0;
+  }
+
+  /**
+   * Import every user directory under the GeoLife "Data" folder
+   * @param {string} dataDir - Path to Geolife Trajectories 1.3/Data
+   * @returns {Promise<Object>} Summary report
+   */
+  async importAll(dataDir) {
+    await this.init();
+
+    const users = (await fs.readdir(dataDir, { withFileTypes: true }))
+      .filter(entry => entry.isDirectory())
+      .map(entry => entry.name)
+      .sort();
+
+    for (const userId of users) {
+      this.report.users++;
+      await this.processUser(path.join(dataDir, userId), userId);
+    }
+
+    this.report.finishedAt = new Date();
+    return this.report;
+  }
+
+  /**
+   * Import all trajectories of a single user; the user ID is the directory name
+   * @param {string} userDir - Path to the user directory (e.g. Data/010)
+   * @param {string} userId
+   */
+  async processUser(userDir, userId) {
+    const labels = await this.loadLabels(path.join(userDir, 'labels.txt'));
+    const trajectoryPath = path.join(userDir, 'Trajectory');
+
+    let files;
+    try {
+      files = (await fs.readdir(trajectoryPath)).filter(file => file.endsWith('.plt')).sort();
+    } catch (error) {
+      console.error(`No trajectories for user ${userId}:`, error.message);
+      return;
+    }
+
+    for (const file of files) {
+      try {
+        await this.processFile(path.join(trajectoryPath, file), userId, labels);
+      } catch (error) {
+        this.report.filesFailed++;
+        console.error(`Error processing ${file} for user ${userId}:`, error);
+      }
+    }
   }
 
-  async processFile(filePath) {
-    const fileStream = createReadStream(filePath);
+  /**
+   * Read a user's labels.txt into time intervals sorted by start time
+   * @param {string} labelsPath
+   * @returns {Promise<Array<{start: number, end: number, mode: string}>>}
+   */
+  async loadLabels(labelsPath) {
+    let content;
+    try {
+      content = await fs.readFile(labelsPath, 'utf8');
+    } catch (error) {
+      return []; // Only some GeoLife users have labels
+    }
+
+    const labels = [];
+    for (const line of content.split(/\r?\n/).slice(1)) {
+      const [startTime, endTime, mode] = line.trim().split('\t');
+      if (!mode) continue;
+
+      const start = parseUtcDate(...startTime.split(' '));
+      const end = parseUtcDate(...endTime.split(' '));
+      if (start && end) {
+        labels.push({ start: start.getTime(), end: end.getTime(), mode: mode.trim() });
+      }
+    }
+
+    return labels.sort((a, b) => a.start - b.start);
+  }
+
+  /**
+   * Find the transport mode whose interval contains the timestamp
+   * @param {Array} labels - Sorted output of loadLabels
+   * @param {Date} timestamp
+   * @returns {string|undefined}
+   */
+  findTransportMode(labels, timestamp) {
+    const time = timestamp.getTime();
+    let low = 0;
+    let high = labels.length - 1;
+
+    while (low <= high) {
+      const mid = (low + high) >> 1;
+      if (labels[mid].start > time) {
+        high = mid - 1;
+      } else if (labels[mid].end < time) {
+        low = mid + 1;
+      } else {
+        return labels[mid].mode;
+      }
+    }
+
+    return undefined;
+  }
+
+  /**
+   * Import one .plt file, recording a checkpoint so it is never imported twice
+   * @param {string} filePath
+   * @param {string} userId
+   * @param {Array} labels
+   */
+  async processFile(filePath, userId, labels = []) {
+    const trajectoryId = path.basename(filePath, '.plt');
+    const file = `${userId}/${trajectoryId}`;
+
+    const checkpoint = await ImportCheckpoint.findOne({ file }).lean().exec();
+    if (checkpoint?.status === 'done') {
+      this.report.filesSkipped++;
+      return;
+    }
+
+    if (checkpoint) {
+      // A previous run stopped inside this file: drop its partial points and redo it
+      const partial = await Location.find({ userId, trajectoryId }, { _id: 1, userId: 1 }).lean().exec();
+      await geoIndexService.removeLocations(partial);
+      await Location.deleteMany({ userId, trajectoryId }).exec();
+      this.report.filesResumed++;
+    }
+
+    await ImportCheckpoint.updateOne(
+      { file },
+      { $set: { userId, trajectoryId, status: 'in_progress', imported: 0, skipped: 0, malformed: 0, labeled: 0 } },
+      { upsert: true }
+    ).exec();
+
+    const stats = { imported: 0, skipped: 0, malformed: 0, labeled: 0 };
     const rl = readline.createInterface({
-      input: fileStream,
+      input: createReadStream(filePath),
       crlfDelay: Infinity
     });
 
@@ -22,75 +198,101 @@ class GeolifeDataProcessor {
 
     for await (const line of rl) {
       lineCount++;
-      // Skip the header lines (first 6 lines in Geolife format)
-      if (lineCount <= 6) continue;
+      if (lineCount <= PLT_HEADER_LINES) continue;
 
-      const point = this.parseTrajectoryLine(line, this.processedCount + batch.length);
-      if (point) {
-        batch.push(point);
+      const result = this.parseTrajectoryLine(line);
+      if (result.status !== 'ok') {
+        stats[result.status]++;
+        continue;
+      }
 
-        if (batch.length >= this.batchSize) {
-          await this.saveBatch(batch);
-          batch = [];
-        }
+      const transportMode = this.findTransportMode(labels, result.point.timestamp);
+      if (transportMode) stats.labeled++;
+
+      batch.push({ ...result.point, userId, trajectoryId, transportMode });
+
+      if (batch.length >= this.batchSize) {
+        await this.saveBatch(batch);
+        stats.imported += batch.length;
+        batch = [];
       }
     }
 
     // Save remaining points
     if (batch.length > 0) {
       await this.saveBatch(batch);
+      stats.imported += batch.length;
     }
+
+    await ImportCheckpoint.updateOne(
+      { file },
+      { $set: { status: 'done', completedAt: new Date(), ...stats } }
+    ).exec();
+
+    this.report.filesImported++;
+    this.report.imported += stats.imported;
+    this.report.labeled += stats.labeled;
+    this.report.skippedLines += stats.skipped;
+    this.report.malformedLines += stats.malformed;
+    console.log(`Imported ${file}: ${stats.imported} points (${stats.skipped} skipped, ${stats.malformed} malformed)`);
   }
 
-  parseTrajectoryLine(line, currentId) {
-    try {
-      const [latitude, longitude, _, altitude, days, date, time] = line.trim().split(',');
-
-      // Convert date and time to timestamp
-      const [year, month, day] = date.split('/');
-      const [hour, minute, second] = time.split(':');
-      const timestamp = new Date(
-        parseInt(year),
-        parseInt(month) - 1,
-        parseInt(day),
-        parseInt(hour),
-        parseInt(minute),
-        parseInt(second)
-      );
-
-      return {
-        locationId: currentId,
-        latitude: parseFloat(latitude),
-        longitude: parseFloat(longitude),
-        altitude: parseFloat(altitude),
+  /**
+   * Parse a trajectory line: lat, lng, 0, altitude (feet), days, date, time
+   * @param {string} line
+   * @returns {{status: 'ok'|'skipped'|'malformed', point?: Object}}
+   */
+  parseTrajectoryLine(line) {
+    const trimmed = line.trim();
+    if (!trimmed) return { status: 'skipped' };
+
+    const fields = trimmed.split(',');
+    if (fields.length < 7) return { status: 'malformed' };
+
+    const [latitude, longitude, , altitude, , date, time] = fields;
+    const lat = parseFloat(latitude);
+    const lng = parseFloat(longitude);
+    const alt = parseFloat(altitude);
+    const timestamp = parseUtcDate(date, time);
+
+    if (isNaN(lat) || isNaN(lng) || !timestamp) return { status: 'malformed' };
+
+    // Well-formed but unusable fixes
+    if (lat < -90 || lat > 90 || lng < -180 || lng > 180) return { status: 'skipped' };
+
+    return {
+      status: 'ok',
+      point: {
+        latitude: lat,
+        longitude: lng,
+        altitude: isNaN(alt) || alt === INVALID_ALTITUDE ? undefined : alt,
         timestamp
-      };
-    } catch (error) {
-      console.error(`Error parsing line: ${line}`);
-      return null;
-    }
+      }
+    };
   }
 
   async saveBatch(batch) {
-    try {
-      const locations = batch.map(point => ({
-        locationId: point.locationId,
-        latitude: point.latitude,
-        longitude: point.longitude,
-        timestamp: point.timestamp,
-        altitude: point.altitude,
-        trafficCount: Math.floor(Math.random() * 100), // Simulated traffic data
-        lastAccessed: new Date(),
-        queryCount: 0
-      }));
-
-      await Location.insertMany(locations, { ordered: false });
-      this.processedCount += batch.length;
-      console.log(`Processed ${this.processedCount} points`);
-    } catch (error) {
-      console.error('Error saving batch:', error);
-    }
+    const locations = batch.map(point => ({
+      locationId: this.nextLocationId++,
+      latitude: point.latitude,
+      longitude: point.longitude,
+      location: { type: 'Point', coordinates: [point.longitude, point.latitude] },
+      timestamp: point.timestamp,
+      altitude: point.altitude,
+      userId: point.userId,
+      trajectoryId: point.trajectoryId,
+      transportMode: point.transportMode,
+      trafficCount: Math.floor(Math.random() * 100), // Simulated traffic data
+      lastAccessed: new Date(),
+      queryCount: 0
+    }));
+
+    // Let failures propagate so the file's checkpoint stays "in_progress"
+    const inserted = await Location.insertMany(locations, { ordered: false, lean: true });
+    await geoIndexService.addLocations(inserted);
+    // Drop cached queries whose area now contains new points
+    await geoCacheService.invalidatePoints(locations);
   }
 }
 
-module.exports = GeolifeDataProcessor;
+export default GeolifeDataProcessor;
@@ -0,0 +1,213 @@
+import { Transform } from 'stream';
+
+// Export formats chosen by ?format= or the Accept header. JSON keeps each
+// route's own response; the others carry the rows only, one per feature, line
+// or record, with the rest of the response in X- headers (and, for GeoJSON,
+// in the collection's metadata member).
+export const EXPORT_FORMATS = {
+  json: 'application/json',
+  geojson: 'application/geo+json',
+  ndjson: 'application/x-ndjson',
+  csv: 'text/csv',
+  msgpack: 'application/vnd.msgpack'
+};
+
+// GeoLife point columns, in CSV order
+export const POINT_COLUMNS = ['_id', 'userId', 'trajectoryId', 'latitude', 'longitude', 'altitude', 'timestamp', 'transportMode', 'distance'];
+
+const RESPONSE_HEADERS = {
+  totalCount: 'X-Total-Count',
+  totalPages: 'X-Total-Pages',
+  currentPage: 'X-Page',
+  pageSize: 'X-Page-Size',
+  nextCursor: 'X-Next-Cursor',
+  source: 'X-Source'
+};
+
+/**
+ * Format of a request: ?format= when given, else the best Accept match, else JSON
+ * @param {Object} req - Express request
+ * @returns {{isValid: boolean, error?: string, format?: string}}
+ */
+export const negotiateFormat = (req) => {
+  const { format } = req.query;
+  if (format !== undefined) {
+    return EXPORT_FORMATS[format]
+      ? { isValid: true, format }
+      : { isValid: false, error: `format must be one of ${Object.keys(EXPORT_FORMATS).join(', ')}` };
+  }
+
+  const type = req.accepts(Object.values(EXPORT_FORMATS));
+  return { isValid: true, format: Object.keys(EXPORT_FORMATS).find(name => EXPORT_FORMATS[name] === type) || 'json' };
+};
+
+/**
+ * X- headers for the non-row fields of a response, e.g. X-Total-Count
+ * @param {Object} result
+ * @returns {Object<string, string>}
+ */
+export const exportHeaders = (result) => Object.fromEntries(Object.entries(RESPONSE_HEADERS)
+  .filter(([field]) => result[field] !== undefined && result[field] !== null)
+  .map(([field, header]) => [header, String(result[field])]));
+
+/**
+ * Answer a failed request with a JSON error, or abort the response when an
+ * export already started streaming it, so the client sees it truncated
+ * @param {Object} res - Express response
+ * @param {Object} body - JSON error body
+ * @param {number} [status]
+ */
+export const sendError = (res, body, status = 500) => {
+  if (res.headersSent) return res.destroy();
+  res.status(status).json(body);
+};
+
+// Rows as JSON would send them: ObjectIds and Dates become strings
+const plain = (row) => JSON.parse(JSON.stringify(row));
+
+const toFeature = (row) => {
+  const { location, ...properties } = plain(row);
+  return {
+    type: 'Feature',
+    id: properties._id,
+    geometry: { type: 'Point', coordinates: location?.coordinates ?? [properties.longitude, properties.latitude] },
+    properties
+  };
+};
+
+const csvValue = (value) => {
+  if (value === undefined || value === null) return '';
+  const text = typeof value === 'object' ? JSON.stringify(value) : String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+// Minimal MessagePack encoder for JSON values
+const encodeMsgpack = (value) => {
+  const chunks = [];
+  const header = (...bytes) => chunks.push(Buffer.from(bytes));
+  // Type byte for a length: the fix form when it fits, else the 8-, 16- or 32-bit form
+  const sized = (length, fix, fixMax, [code8, code16, code32]) => {
+    if (length <= fixMax) return header(fix | length);
+    if (code8 && length < 0x100) return header(code8, length);
+
+    const buffer = Buffer.alloc(length < 0x10000 ? 3 : 5);
+    if (length < 0x10000) {
+      buffer[0] = code16;
+      buffer.writeUInt16BE(length, 1);
+    } else {
+      buffer[0] = code32;
+      buffer.writeUInt32BE(length, 1);
+    }
+    chunks.push(buffer);
+  };
+
+  const write = (v) => {
+    if (v === null || v === undefined) return header(0xc0);
+    if (typeof v === 'boolean') return header(v ? 0xc3 : 0xc2);
+
+    if (typeof v === 'number') {
+      if (Number.isInteger(v) && v >= -32 && v < 128) return header(v & 0xff);
+      const buffer = Buffer.alloc(9);
+      if (Number.isSafeInteger(v)) {
+        buffer[0] = 0xd3;
+        buffer.writeBigInt64BE(BigInt(v), 1);
+      } else {
+        buffer[0] = 0xcb;
+        buffer.writeDoubleBE(v, 1);
+      }
+      return chunks.push(buffer);
+    }
+
+    if (typeof v === 'string') {
+      const bytes = Buffer.from(v);
+      sized(bytes.length, 0xa0, 31, [0xd9, 0xda, 0xdb]);
+      return chunks.push(bytes);
+    }
+
+    if (Array.isArray(v)) {
+      sized(v.length, 0x90, 15, [0, 0xdc, 0xdd]);
+      return v.forEach(write);
+    }
+
+    const entries = Object.entries(v).filter(([, entry]) => entry !== undefined);
+    sized(entries.length, 0x80, 15, [0, 0xde, 0xdf]);
+    entries.forEach(([key, entry]) => {
+      write(key);
+      write(entry);
+    });
+  };
+
+  write(value);
+  return Buffer.concat(chunks);
+};
+
+// head, one chunk per row, and tail of each format
+const WRITERS = {
+  geojson: {
+    head: (metadata) => `{"type":"FeatureCollection","metadata":${JSON.stringify(metadata)},"features":[`,
+    row: (row, index) => (index > 0 ? ',' : '') + JSON.stringify(toFeature(row)),
+    tail: () => ']}'
+  },
+  ndjson: {
+    head: () => '',
+    row: (row) => `${JSON.stringify(row)}\n`,
+    tail: () => ''
+  },
+  csv: {
+    head: (metadata, columns) => `${columns.join(',')}\r\n`,
+    row: (row, index, columns) => {
+      const values = plain(row);
+      return `${columns.map(column => csvValue(values[column])).join(',')}\r\n`;
+    },
+    tail: () => ''
+  },
+  msgpack: {
+    head: () => '',
+    row: (row) => encodeMsgpack(plain(row)),
+    tail: () => ''
+  }
+};
+
+/**
+ * A page of rows in a non-JSON format
+ * @param {string} format - geojson, ndjson, csv or msgpack
+ * @param {Object[]} rows
+ * @param {Object} metadata - Rest of the response, for GeoJSON
+ * @param {string[]} [columns] - CSV columns
+ * @returns {Buffer}
+ */
+export const serializeRows = (format, rows, metadata, columns = POINT_COLUMNS) => {
+  const writer = WRITERS[format];
+  return Buffer.concat([
+    writer.head(metadata, columns),
+    ...rows.map((row, index) => writer.row(row, index, columns)),
+    writer.tail()
+  ].map(chunk => Buffer.from(chunk)));
+};
+
+/**
+ * Transform from rows (e.g. a MongoDB cursor) to a non-JSON format, so exports
+ * are written as they are read instead of built in memory
+ * @param {string} format
+ * @param {Object} metadata
+ * @param {string[]} [columns]
+ * @returns {Transform}
+ */
+export const createExportStream = (format, metadata, columns = POINT_COLUMNS) => {
+  const writer = WRITERS[format];
+  let index = 0;
+
+  const stream = new Transform({
+    writableObjectMode: true,
+    transform(row, encoding, callback) {
+      callback(null, Buffer.from(writer.row(row, index++, columns)));
+    },
+    flush(callback) {
+      callback(null, Buffer.from(writer.tail()));
+    }
+  });
+
+  const head = writer.head(metadata, columns);
+  if (head) stream.push(Buffer.from(head));
+  return stream;
+};
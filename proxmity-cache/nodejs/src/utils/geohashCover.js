@@ -0,0 +1,194 @@
+import Geohash from 'ngeohash';
+
+// Approximate geohash cell size in km (width x height at the equator) per precision
+export const GEOHASH_CELL_KM = {
+  2: [1252, 626],
+  3: [156, 156],
+  4: [39.1, 19.5],
+  5: [4.89, 4.89],
+  6: [1.22, 0.61],
+  7: [0.153, 0.153]
+};
+
+// Precisions used for cell tags; a point belongs to one cell per precision
+export const TAG_PRECISIONS = [2, 3, 4, 5, 6, 7];
+
+const KM_PER_DEGREE = 111.32;
+
+/**
+ * Coarsest-first precision whose cells are at least as small as the radius,
+ * so a circle is covered by a handful of cells
+ * @param {number} radius - km
+ * @returns {number}
+ */
+export const coverPrecision = (radius) => {
+  for (let precision = 7; precision >= 2; precision--) {
+    const [width, height] = GEOHASH_CELL_KM[precision];
+    if (Math.min(width, height) >= radius) return precision;
+  }
+  return 2;
+};
+
+/**
+ * Geohash cells covering the bounding box of a circle
+ * @param {number} latitude
+ * @param {number} longitude
+ * @param {number} radius - km
+ * @param {number} [precision]
+ * @returns {{precision: number, cells: string[]}}
+ */
+export const coverCircle = (latitude, longitude, radius, precision = coverPrecision(radius)) => {
+  const dLat = radius / KM_PER_DEGREE;
+  const dLng = radius / (KM_PER_DEGREE * Math.max(Math.cos(latitude * Math.PI / 180), 0.01));
+
+  const cells = Geohash.bboxes(
+    Math.max(latitude - dLat, -90),
+    Math.max(longitude - dLng, -180),
+    Math.min(latitude + dLat, 90),
+    Math.min(longitude + dLng, 180),
+    precision
+  );
+
+  return { precision, cells };
+};
+
+/**
+ * Every tag-precision cell containing a point
+ * @param {number} latitude
+ * @param {number} longitude
+ * @returns {string[]}
+ */
+export const pointCells = (latitude, longitude) => {
+  const geohash = Geohash.encode(latitude, longitude, Math.max(...TAG_PRECISIONS));
+  return TAG_PRECISIONS.map(precision => geohash.slice(0, precision));
+};
+
+/**
+ * Finest cover of a circle that needs at most `maxCells` cells, for caching cell contents
+ * @param {number} latitude
+ * @param {number} longitude
+ * @param {number} radius - km
+ * @param {{maxCells: number, minPrecision?: number}} options
+ * @returns {{precision: number, cells: string[]}|null} null when even minPrecision needs more cells
+ */
+export const coverCells = (latitude, longitude, radius, { maxCells, minPrecision = 5 }) => {
+  const widthScale = Math.max(Math.cos(latitude * Math.PI / 180), 0.01);
+
+  for (let precision = 7; precision >= minPrecision; precision--) {
+    // Estimate first: computing a fine cover of a large circle is itself expensive
+    const [width, height] = GEOHASH_CELL_KM[precision];
+    const estimate = (Math.ceil(2 * radius / (width * widthScale)) + 1) * (Math.ceil(2 * radius / height) + 1);
+    if (estimate > maxCells * 2) continue;
+
+    const cover = coverCircle(latitude, longitude, radius, precision);
+    if (cover.cells.length <= maxCells) return cover;
+  }
+  return null;
+};
+
+/**
+ * Cell bounds; a point belongs to the cell when minLat <= lat < maxLat and minLng <= lng < maxLng
+ * @param {string} cell - geohash
+ * @returns {{minLat: number, minLng: number, maxLat: number, maxLng: number}}
+ */
+export const cellBounds = (cell) => {
+  const [minLat, minLng, maxLat, maxLng] = Geohash.decode_bbox(cell);
+  return { minLat, minLng, maxLat, maxLng };
+};
+
+// Polygon margin in degrees (~1 m) so spherical edges never drop border points
+export const CELL_MARGIN_DEGREES = 1e-5;
+
+/**
+ * Polygon of a cell grown by a margin, for $geoWithin
+ * @param {string} cell - geohash
+ * @param {number} marginDegrees
+ * @returns {Object} GeoJSON Polygon
+ */
+export const cellPolygon = (cell, marginDegrees) => {
+  const { minLat, minLng, maxLat, maxLng } = cellBounds(cell);
+  const m = marginDegrees;
+  return {
+    type: 'Polygon',
+    coordinates: [[
+      [minLng - m, minLat - m], [maxLng + m, minLat - m], [maxLng + m, maxLat + m],
+      [minLng - m, maxLat + m], [minLng - m, minLat - m]
+    ]]
+  };
+};
+
+/**
+ * Polygon of a lat/lng box grown by a margin, for $geoWithin over areas wider
+ * than a cell. Spherical edges bow away from parallels, so the east-west edges
+ * get a vertex every half degree to keep them within the margin.
+ * @param {{minLat: number, minLng: number, maxLat: number, maxLng: number}} box
+ * @param {number} marginDegrees
+ * @returns {Object} GeoJSON Polygon
+ */
+export const boxPolygon = ({ minLat, minLng, maxLat, maxLng }, marginDegrees) => {
+  const m = marginDegrees;
+  const [south, north] = [Math.max(minLat - m, -89.999), Math.min(maxLat + m, 89.999)];
+  const [west, east] = [Math.max(minLng - m, -180), Math.min(maxLng + m, 180)];
+  const steps = Math.max(1, Math.ceil((east - west) * 2));
+  const lngAt = (i) => west + (east - west) * i / steps;
+
+  return {
+    type: 'Polygon',
+    coordinates: [[
+      ...Array.from({ length: steps + 1 }, (_, i) => [lngAt(i), south]),
+      ...Array.from({ length: steps + 1 }, (_, i) => [lngAt(steps - i), north]),
+      [west, south]
+    ]]
+  };
+};
+
+/**
+ * Size of a cell in degrees. The cells of one precision form a regular grid
+ * starting at (-180, -90).
+ * @param {number} precision
+ * @returns {{width: number, height: number}} Degrees of longitude and latitude
+ */
+export const cellSizeDegrees = (precision) => {
+  const bits = 5 * precision;
+  return { width: 360 / 2 ** Math.ceil(bits / 2), height: 180 / 2 ** Math.floor(bits / 2) };
+};
+
+/**
+ * Number of cells of a precision a box touches
+ * @param {{minLat: number, minLon: number, maxLat: number, maxLon: number}} box
+ * @param {number} precision
+ * @returns {number}
+ */
+export const countBoxCells = ({ minLat, minLon, maxLat, maxLon }, precision) => {
+  const { width, height } = cellSizeDegrees(precision);
+  return (Math.floor(maxLon / width) - Math.floor(minLon / width) + 1) *
+    (Math.floor(maxLat / height) - Math.floor(minLat / height) + 1);
+};
+
+/**
+ * Finest cover of a box that needs at most `maxCells` cells, for tagging an
+ * entry with the area it depends on. Boxes too large for that get the
+ * coarsest tag precision whatever the count.
+ * @param {{minLat: number, minLon: number, maxLat: number, maxLon: number}} box
+ * @param {number} maxCells
+ * @returns {{precision: number, cells: string[]}}
+ */
+export const coverBox = (box, maxCells) => {
+  const minPrecision = Math.min(...TAG_PRECISIONS);
+  let precision = Math.max(...TAG_PRECISIONS);
+  while (precision > minPrecision && countBoxCells(box, precision) > maxCells) precision--;
+
+  return { precision, cells: Geohash.bboxes(box.minLat, box.minLon, box.maxLat, box.maxLon, precision) };
+};
+
+/**
+ * Great-circle distance in km
+ */
+export const distanceKm = (lat1, lng1, lat2, lng2) => {
+  const toRad = (value) => value * Math.PI / 180;
+  const dLat = toRad(lat2 - lat1);
+  const dLng = toRad(lng2 - lng1);
+  const a = Math.sin(dLat / 2) ** 2 +
+    Math.cos(toRad(lat1)) * Math.cos(toRad(lat2)) * Math.sin(dLng / 2) ** 2;
+  return 6371 * 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1 - a));
+};
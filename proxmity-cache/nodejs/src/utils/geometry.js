@@ -0,0 +1,128 @@
+import { createHash } from 'crypto';
+import { boxPolygon } from './geohashCover.js';
+
+// Polygon search input. Geometries are normalized before hashing so that the
+// same area drawn from another vertex, in the other direction or with more
+// decimals than GPS precision resolves to the same cache entry.
+export const GEOMETRY_CONFIG = {
+  maxVertices: parseInt(process.env.WITHIN_MAX_VERTICES) || 2000,
+  decimals: 6, // ~0.1 m
+  bboxMarginDegrees: 0.01 // Wider than the bow of boxPolygon's half-degree edges
+};
+
+const round = (value) => Number(value.toFixed(GEOMETRY_CONFIG.decimals));
+
+// Twice the signed area; positive for counter-clockwise rings
+const signedArea = (ring) => ring.reduce((sum, [x1, y1], i) => {
+  const [x2, y2] = ring[(i + 1) % ring.length];
+  return sum + (x1 * y2 - x2 * y1);
+}, 0);
+
+const comparePositions = ([x1, y1], [x2, y2]) => x1 - x2 || y1 - y2;
+
+/**
+ * Open ring starting at its smallest vertex, counter-clockwise for shells and
+ * clockwise for holes (the GeoJSON right-hand rule), then closed again
+ */
+const normalizeRing = (ring, isHole) => {
+  let open = ring.slice(0, -1).map(([lng, lat]) => [round(lng), round(lat)]);
+  if ((signedArea(open) > 0) === isHole) open.reverse();
+
+  const start = open.reduce((best, position, i) => comparePositions(position, open[best]) < 0 ? i : best, 0);
+  open = [...open.slice(start), ...open.slice(0, start)];
+  return [...open, open[0]];
+};
+
+/**
+ * Search area of a bbox. The edges of a GeoJSON polygon are geodesics, not
+ * parallels, so the polygon only narrows the index scan, grown by a margin,
+ * and the box itself is matched on the latitude and longitude fields.
+ * @param {number[]} bbox - [minLon, minLat, maxLon, maxLat], under 180 degrees wide
+ * @returns {{geometry: Object, box: {minLat: number, minLng: number, maxLat: number, maxLng: number}}}
+ */
+export const bboxArea = ([minLon, minLat, maxLon, maxLat]) => {
+  const box = { minLat, minLng: minLon, maxLat, maxLng: maxLon };
+  return { geometry: boxPolygon(box, GEOMETRY_CONFIG.bboxMarginDegrees), box };
+};
+
+/**
+ * Check a GeoJSON Polygon or MultiPolygon
+ * @param {Object} geometry
+ * @returns {string|null} The problem, or null when valid
+ */
+export const geometryError = (geometry) => {
+  if (!geometry || !['Polygon', 'MultiPolygon'].includes(geometry.type) || !Array.isArray(geometry.coordinates)) {
+    return 'geometry must be a GeoJSON Polygon or MultiPolygon';
+  }
+
+  const polygons = geometry.type === 'Polygon' ? [geometry.coordinates] : geometry.coordinates;
+  let vertices = 0;
+  for (const polygon of polygons) {
+    if (!Array.isArray(polygon) || polygon.length === 0) return 'Every polygon needs at least one ring';
+
+    for (const ring of polygon) {
+      if (!Array.isArray(ring) || ring.length < 4) return 'Every ring needs at least 4 positions';
+
+      const valid = ring.every(position => Array.isArray(position) && position.length >= 2 &&
+        Number.isFinite(position[0]) && Number.isFinite(position[1]) &&
+        Math.abs(position[0]) <= 180 && Math.abs(position[1]) <= 90);
+      if (!valid) return 'Positions must be [longitude, latitude] within [-180, -90, 180, 90]';
+
+      const [first, last] = [ring[0], ring[ring.length - 1]];
+      if (first[0] !== last[0] || first[1] !== last[1]) return 'Every ring must end on its first position';
+      vertices += ring.length;
+    }
+  }
+
+  if (vertices > GEOMETRY_CONFIG.maxVertices) {
+    return `geometry has ${vertices} positions, more than the limit of ${GEOMETRY_CONFIG.maxVertices}`;
+  }
+  return null;
+};
+
+/**
+ * Canonical MultiPolygon of a valid Polygon or MultiPolygon
+ * @param {Object} geometry
+ * @returns {Object} GeoJSON MultiPolygon
+ */
+export const normalizeGeometry = (geometry) => {
+  const polygons = geometry.type === 'Polygon' ? [geometry.coordinates] : geometry.coordinates;
+  const normalized = polygons
+    .map(([shell, ...holes]) => [
+      normalizeRing(shell, false),
+      ...holes.map(hole => normalizeRing(hole, true)).sort((a, b) => comparePositions(a[0], b[0]))
+    ])
+    .sort((a, b) => comparePositions(a[0][0], b[0][0]));
+
+  return { type: 'MultiPolygon', coordinates: normalized };
+};
+
+/**
+ * Short stable hash of a normalized geometry, for cache keys
+ * @param {Object} geometry - From normalizeGeometry
+ * @returns {string}
+ */
+export const geometryHash = (geometry) =>
+  createHash('sha1').update(JSON.stringify(geometry.coordinates)).digest('hex').slice(0, 16);
+
+/**
+ * Bounds of a geometry's shells
+ * @param {Object} geometry - MultiPolygon
+ * @returns {{minLat: number, minLon: number, maxLat: number, maxLon: number}}
+ */
+export const geometryBounds = (geometry) => {
+  const positions = geometry.coordinates.flatMap(([shell]) => shell);
+  return {
+    minLon: Math.min(...positions.map(([lng]) => lng)),
+    minLat: Math.min(...positions.map(([, lat]) => lat)),
+    maxLon: Math.max(...positions.map(([lng]) => lng)),
+    maxLat: Math.max(...positions.map(([, lat]) => lat))
+  };
+};
+
+/**
+ * Whether MongoDB rejected a query's geometry, e.g. a ring with crossing edges
+ * @param {Error} error
+ * @returns {boolean}
+ */
+export const isBadGeometry = (error) => error?.code === 2 || error?.codeName === 'BadValue';
@@ -0,0 +1,97 @@
+/**
+ * Bounded in-memory LRU with per-entry expiry.
+ * Bounded both by entry count and by the serialized size of the values.
+ */
+export class LRUCache {
+  constructor({ maxEntries = 500, maxBytes = 64 * 1024 * 1024 } = {}) {
+    this.maxEntries = maxEntries;
+    this.maxBytes = maxBytes;
+    this.entries = new Map(); // Map keeps insertion order: first key is least recently used
+    this.bytes = 0;
+    this.evictions = 0;
+  }
+
+  /**
+   * @param {string} key
+   * @returns {*} The value, or undefined when missing or expired
+   */
+  get(key) {
+    const entry = this.entries.get(key);
+    if (!entry) return undefined;
+
+    if (entry.expiresAt <= Date.now()) {
+      this.delete(key);
+      return undefined;
+    }
+
+    // Move to the most recently used position
+    this.entries.delete(key);
+    this.entries.set(key, entry);
+    return entry.value;
+  }
+
+  /**
+   * @param {string} key
+   * @param {*} value
+   * @param {number} ttlMs - Time to live in milliseconds
+   * @param {number} size - Size in bytes of the serialized value
+   * @returns {boolean} false when the value alone exceeds maxBytes
+   */
+  set(key, value, ttlMs, size) {
+    this.delete(key);
+    if (size > this.maxBytes || ttlMs <= 0) return false;
+
+    this.entries.set(key, { value, size, expiresAt: Date.now() + ttlMs });
+    this.bytes += size;
+
+    while (this.entries.size > this.maxEntries || this.bytes > this.maxBytes) {
+      const oldestKey = this.entries.keys().next().value;
+      this.delete(oldestKey);
+      this.evictions++;
+    }
+
+    return true;
+  }
+
+  delete(key) {
+    const entry = this.entries.get(key);
+    if (!entry) return false;
+
+    this.entries.delete(key);
+    this.bytes -= entry.size;
+    return true;
+  }
+
+  /**
+   * Delete every key matching a Redis-style glob pattern (`*` and `?`)
+   * @param {string} pattern
+   * @returns {number} Number of deleted entries
+   */
+  deleteMatching(pattern) {
+    const escaped = pattern.replace(/[.+^${}()|[\]\\]/g, '\\$&');
+    const regex = new RegExp(`^${escaped.replace(/\*/g, '.*').replace(/\?/g, '.')}$`);
+
+    let deleted = 0;
+    for (const key of [...this.entries.keys()]) {
+      if (regex.test(key) && this.delete(key)) deleted++;
+    }
+    return deleted;
+  }
+
+  clear() {
+    this.entries.clear();
+    this.bytes = 0;
+  }
+
+  getStats() {
+    return {
+      entries: this.entries.size,
+      bytes: this.bytes,
+      maxEntries: this.maxEntries,
+      maxBytes: this.maxBytes,
+      evictions: this.evictions
+    };
+  }
+}
+
+export default LRUCache;
@@ -0,0 +1,142 @@
+import v8 from 'v8';
+import zlib from 'zlib';
+import { promisify } from 'util';
+
+const gzip = promisify(zlib.gzip);
+const gunzip = promisify(zlib.gunzip);
+const brotliCompress = promisify(zlib.brotliCompress);
+const brotliDecompress = promisify(zlib.brotliDecompress);
+
+// Cached values are stored as a 2-byte header followed by the encoded payload.
+// The header starts with a NUL byte, which never starts a JSON document, so
+// entries written before codecs existed (plain JSON) are still read as such.
+export const CODEC_CONFIG = {
+  codec: process.env.CACHE_CODEC || 'none',
+  thresholdBytes: parseInt(process.env.CACHE_CODEC_THRESHOLD_BYTES) || 1024, // Smaller payloads stay JSON
+  gzipLevel: parseInt(process.env.CACHE_CODEC_GZIP_LEVEL) || zlib.constants.Z_DEFAULT_COMPRESSION,
+  brotliQuality: parseInt(process.env.CACHE_CODEC_BROTLI_QUALITY) || 4 // The default of 11 is far too slow for cache writes
+};
+
+const HEADER_MARKER = 0x00;
+
+// The v8 codec is Node's structured-clone binary format, a compact binary
+// encoding that needs no dependency. Values are normalised through JSON first
+// so that ObjectIds and Dates decode exactly as they would from JSON.
+// Decoding also yields the JSON size, the rawBytes the value was encoded from.
+const fromJSON = (json) => ({ value: JSON.parse(json.toString()), rawBytes: json.length });
+
+const CODECS = {
+  none: {
+    id: 0,
+    encode: async (json) => Buffer.from(json),
+    decode: async (payload) => fromJSON(payload)
+  },
+  gzip: {
+    id: 1,
+    encode: (json) => gzip(json, { level: CODEC_CONFIG.gzipLevel }),
+    decode: async (payload) => fromJSON(await gunzip(payload))
+  },
+  brotli: {
+    id: 2,
+    encode: (json) => brotliCompress(json, {
+      params: {
+        [zlib.constants.BROTLI_PARAM_QUALITY]: CODEC_CONFIG.brotliQuality,
+        [zlib.constants.BROTLI_PARAM_SIZE_HINT]: json.length
+      }
+    }),
+    decode: async (payload) => fromJSON(await brotliDecompress(payload))
+  },
+  v8: {
+    id: 3,
+    encode: async (json) => v8.serialize(JSON.parse(json)),
+    decode: async (payload) => {
+      const value = v8.deserialize(payload);
+      return { value, rawBytes: Buffer.byteLength(JSON.stringify(value)) };
+    }
+  }
+};
+
+export const CODEC_NAMES = Object.keys(CODECS);
+
+if (!CODECS[CODEC_CONFIG.codec]) {
+  throw new Error(`Unknown CACHE_CODEC "${CODEC_CONFIG.codec}", expected one of ${CODEC_NAMES.join(', ')}`);
+}
+
+const CODECS_BY_ID = Object.fromEntries(Object.entries(CODECS).map(([name, codec]) => [codec.id, name]));
+
+// Bytes before and after encoding, per codec, for the compression ratio
+const codecStats = Object.fromEntries(CODEC_NAMES.map(name => [name, { entries: 0, rawBytes: 0, storedBytes: 0 }]));
+
+/**
+ * Encode a value for Redis with a codec header
+ * @param {*} value
+ * @param {{codec?: string, thresholdBytes?: number}} [options] - Defaults from CODEC_CONFIG
+ * @returns {Promise<{payload: Buffer, codec: string, rawBytes: number, storedBytes: number}>}
+ */
+export const encodePayload = async (value, { codec = CODEC_CONFIG.codec, thresholdBytes = CODEC_CONFIG.thresholdBytes } = {}) => {
+  if (!CODECS[codec]) {
+    throw new Error(`Unknown cache codec "${codec}", expected one of ${CODEC_NAMES.join(', ')}`);
+  }
+
+  const json = JSON.stringify(value);
+  const rawBytes = Buffer.byteLength(json);
+  const used = rawBytes < thresholdBytes ? 'none' : codec;
+
+  const encoded = await CODECS[used].encode(json);
+  const payload = Buffer.concat([Buffer.from([HEADER_MARKER, CODECS[used].id]), encoded]);
+
+  const stats = codecStats[used];
+  stats.entries++;
+  stats.rawBytes += rawBytes;
+  stats.storedBytes += payload.length;
+
+  return { payload, codec: used, rawBytes, storedBytes: payload.length };
+};
+
+/**
+ * Decode a stored value along with its size before encoding, the same
+ * rawBytes encodePayload reported for it
+ * @param {Buffer|string} stored
+ * @returns {Promise<{value: *, rawBytes: number}>}
+ */
+export const decodePayloadWithSize = async (stored) => {
+  const buffer = Buffer.isBuffer(stored) ? stored : Buffer.from(stored);
+  if (buffer[0] !== HEADER_MARKER) {
+    return fromJSON(buffer);
+  }
+
+  const name = CODECS_BY_ID[buffer[1]];
+  if (!name) {
+    throw new Error(`Unknown cache codec id ${buffer[1]}`);
+  }
+  return CODECS[name].decode(buffer.subarray(2));
+};
+
+/**
+ * Decode a stored value: a codec entry, or plain JSON from before codecs
+ * @param {Buffer|string} stored
+ * @returns {Promise<*>}
+ */
+export const decodePayload = async (stored) => (await decodePayloadWithSize(stored)).value;
+
+/**
+ * Entries written per codec and the overall compression ratio (raw / stored bytes)
+ * @returns {Object}
+ */
+export const getCodecStats = () => {
+  const totals = Object.values(codecStats).reduce((sum, { rawBytes, storedBytes }) => ({
+    rawBytes: sum.rawBytes + rawBytes,
+    storedBytes: sum.storedBytes + storedBytes
+  }), { rawBytes: 0, storedBytes: 0 });
+
+  return {
+    codec: CODEC_CONFIG.codec,
+    thresholdBytes: CODEC_CONFIG.thresholdBytes,
+    ...totals,
+    ratio: totals.storedBytes ? +(totals.rawBytes / totals.storedBytes).toFixed(2) : null,
+    byCodec: Object.fromEntries(Object.entries(codecStats).map(([name, stats]) => [name, {
+      ...stats,
+      ratio: stats.storedBytes ? +(stats.rawBytes / stats.storedBytes).toFixed(2) : null
+    }]))
+  };
+};
@@ -0,0 +1,47 @@
+import { createRedisClient, hashTag, isCluster, REDIS_CONFIG, scanKeys, unlinkKeys } from '../config/redis.js';
+
+// Check the configured Redis topology (standalone, sentinel or cluster) with
+// the operations the cache relies on: keys spread over slots, SCAN over every
+// node, per-key UNLINK and multi-key commands inside one hash tag.
+// Usage: REDIS_MODE=cluster REDIS_CLUSTER_NODES=127.0.0.1:7000 node src/utils/redis-topology-test.js [keys=100]
+const PREFIX = 'topology-test:';
+
+const check = (name, ok) => {
+  console.log(`${ok ? 'ok  ' : 'FAIL'} ${name}`);
+  if (!ok) process.exitCode = 1;
+};
+
+async function testTopology() {
+  const count = parseInt(process.argv[2]) || 100;
+  const redis = createRedisClient('geolife-topology-test');
+
+  try {
+    await new Promise((resolve, reject) => {
+      redis.once('ready', resolve);
+      redis.once('error', reject);
+    });
+    console.log(`Mode ${REDIS_CONFIG.mode}${isCluster(redis) ? `, ${redis.nodes('master').length} masters` : ''}`);
+
+    const keys = Array.from({ length: count }, (_, i) => `${PREFIX}key:${i}`);
+    await Promise.all(keys.map(key => redis.set(key, '1', 'EX', 60)));
+
+    const scanned = [];
+    for await (const batch of scanKeys(redis, `${PREFIX}key:*`)) scanned.push(...batch);
+    check(`SCAN finds all ${count} keys across nodes`, new Set(scanned).size === count);
+
+    const tag = hashTag(`${PREFIX}swap`);
+    await redis.set(`${tag}:temp`, 'new', 'EX', 60);
+    await redis.multi().rename(`${tag}:temp`, `${tag}:live`).expire(`${tag}:live`, 60).exec();
+    check('MULTI with RENAME inside one hash tag', (await redis.get(`${tag}:live`)) === 'new');
+
+    check(`UNLINK removes all ${count} keys`, (await unlinkKeys(redis, keys)) === count);
+    await redis.unlink(`${tag}:live`);
+  } catch (error) {
+    console.error('Redis topology test failed:', error);
+    process.exitCode = 1;
+  } finally {
+    redis.disconnect();
+  }
+}
+
+testTopology();
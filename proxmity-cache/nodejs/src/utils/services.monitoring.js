@@ -3,6 +3,9 @@ import prometheus from 'prom-client';
 // Create a Registry to register metrics
 const register = new prometheus.Registry();
 
+// Process metrics: CPU, memory, event loop lag, GC
+prometheus.collectDefaultMetrics({ register });
+
 // Define metrics
 const httpRequestDurationMicroseconds = new prometheus.Histogram({
   name: 'http_request_duration_seconds',
@@ -14,11 +17,58 @@ const httpRequestDurationMicroseconds = new prometheus.Histogram({
 const cacheHitCounter = new prometheus.Counter({
   name: 'cache_hits_total',
   help: 'Total number of cache hits',
+  labelNames: ['family', 'dataset', 'tier'], // tier: l0, redis
 });
 
 const cacheMissCounter = new prometheus.Counter({
   name: 'cache_misses_total',
-  help: 'Total number of cache misses',
+  help: 'Total number of cache misses, served by the MongoDB fallback',
+  labelNames: ['family', 'dataset', 'tier'], // tier: mongodb
+});
+
+const redisDuration = new prometheus.Histogram({
+  name: 'redis_command_duration_seconds',
+  help: 'Latency of cache reads and writes against Redis',
+  labelNames: ['operation'],
+  buckets: [0.0005, 0.001, 0.0025, 0.005, 0.01, 0.025, 0.05, 0.1, 0.25],
+});
+
+const mongoDuration = new prometheus.Histogram({
+  name: 'mongodb_query_duration_seconds',
+  help: 'Latency of MongoDB queries run on cache misses',
+  labelNames: ['family', 'dataset'],
+  buckets: [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5],
+});
+
+const payloadSize = new prometheus.Histogram({
+  name: 'cache_payload_bytes',
+  help: 'Size of serialized cache entries',
+  labelNames: ['family', 'dataset'],
+  buckets: prometheus.exponentialBuckets(256, 4, 9), // 256 B .. 16 MB
+});
+
+const geohashPrecision = new prometheus.Histogram({
+  name: 'geohash_precision',
+  help: 'Geohash precision used to cover queries',
+  labelNames: ['family'],
+  buckets: [2, 3, 4, 5, 6, 7, 8],
+});
+
+const cacheLockCounter = new prometheus.Counter({
+  name: 'cache_lock_events_total',
+  help: 'Stampede protection events on cache misses',
+  labelNames: ['event'], // acquired, contended, timeout, coalesced
+});
+
+const degradedMode = new prometheus.Gauge({
+  name: 'degraded_mode',
+  help: '1 while Redis is unavailable and every query is served from MongoDB, uncached',
+});
+
+const dependencyUp = new prometheus.Gauge({
+  name: 'dependency_up',
+  help: 'Whether a dependency passed its last readiness check',
+  labelNames: ['dependency'], // mongodb, redis, indexes
 });
 
 const errorCounter = new prometheus.Counter({
@@ -31,6 +81,13 @@ const errorCounter = new prometheus.Counter({
 register.registerMetric(httpRequestDurationMicroseconds);
 register.registerMetric(cacheHitCounter);
 register.registerMetric(cacheMissCounter);
+register.registerMetric(cacheLockCounter);
+register.registerMetric(redisDuration);
+register.registerMetric(mongoDuration);
+register.registerMetric(payloadSize);
+register.registerMetric(geohashPrecision);
+register.registerMetric(degradedMode);
+register.registerMetric(dependencyUp);
 register.registerMetric(errorCounter);
 
 export const monitoringService = {
@@ -42,18 +99,55 @@ export const monitoringService = {
       .observe(duration);
   },
 
-  recordCacheHit() {
-    cacheHitCounter.inc();
+  recordCacheHit(family, dataset, tier) {
+    cacheHitCounter.labels(family, dataset, tier).inc();
+  },
+
+  recordCacheMiss(family, dataset) {
+    cacheMissCounter.labels(family, dataset, 'mongodb').inc();
   },
 
-  recordCacheMiss() {
-    cacheMissCounter.inc();
+  // Each returns a function that records the elapsed time when called
+  startRedisTimer(operation) {
+    return redisDuration.labels(operation).startTimer();
+  },
+
+  startMongoTimer(family, dataset) {
+    return mongoDuration.labels(family, dataset).startTimer();
+  },
+
+  recordPayloadSize(family, dataset, bytes) {
+    payloadSize.labels(family, dataset).observe(bytes);
+  },
+
+  recordGeohashPrecision(family, precision) {
+    geohashPrecision.labels(family).observe(precision);
+  },
+
+  recordCacheLockEvent(event) {
+    cacheLockCounter.labels(event).inc();
+  },
+
+  recordDegradedMode(degraded) {
+    degradedMode.set(degraded ? 1 : 0);
+  },
+
+  recordDependencyUp(dependency, up) {
+    dependencyUp.labels(dependency).set(up ? 1 : 0);
   },
 
   recordError(type) {
     errorCounter.labels(type).inc();
   },
 
+  async getMetrics() {
+    return register.metrics();
+  },
+
+  getContentType() {
+    return register.contentType;
+  },
+
   // Middleware to track request duration
   requestDurationMiddleware(req, res, next) {
     const start = Date.now();
@@ -1,25 +1,45 @@
-class TemporalDecay {
-    constructor(config = {
-      decayFactor: 0.1,
-      timeThreshold: 3600000, // 1 hour
-      minimumPriority: 0.2
-    }) {
-      this.config = config;
-    }
-  
-    calculatePriority(lastAccessTime, queryCount) {
-      const timeDiff = Date.now() - lastAccessTime.getTime();
-      const timeDecay = Math.exp(-this.config.decayFactor * (timeDiff / this.config.timeThreshold));
-      const queryFactor = Math.log(queryCount + 1);
-      
-      const priority = timeDecay * queryFactor;
-      return Math.max(priority, this.config.minimumPriority);
-    }
-  
-    shouldEvict(priority) {
-      return priority <= this.config.minimumPriority;
-    }
+const envNumber = (name, fallback) =>
+  process.env[name] !== undefined ? parseFloat(process.env[name]) : fallback;
+
+// Decay parameters; each can be overridden from the environment
+export const DECAY_CONFIG = {
+  decayFactor: envNumber('DECAY_FACTOR', 0.1),
+  timeThreshold: envNumber('DECAY_TIME_THRESHOLD_MS', 3600000), // 1 hour
+  minimumPriority: envNumber('DECAY_MIN_PRIORITY', 0.2),
+  extendPriority: envNumber('DECAY_EXTEND_PRIORITY', 2)
+};
+
+/**
+ * Priority of cached data from how recently and how often it was queried:
+ * exponential decay over time since the last access, scaled by log(queries + 1)
+ */
+export class TemporalDecay {
+  constructor(config = DECAY_CONFIG) {
+    this.config = { ...DECAY_CONFIG, ...config };
   }
-  
-  module.exports = TemporalDecay;
-  
\ No newline at end of file
+
+  /**
+   * @param {Date} lastAccessTime
+   * @param {number} queryCount
+   * @returns {number} At least config.minimumPriority
+   */
+  calculatePriority(lastAccessTime, queryCount) {
+    const timeDiff = Date.now() - lastAccessTime.getTime();
+    const timeDecay = Math.exp(-this.config.decayFactor * (timeDiff / this.config.timeThreshold));
+    const queryFactor = Math.log(queryCount + 1);
+
+    const priority = timeDecay * queryFactor;
+    return Math.max(priority, this.config.minimumPriority);
+  }
+
+  shouldEvict(priority) {
+    return priority <= this.config.minimumPriority;
+  }
+
+  // Hot enough to keep past its TTL
+  shouldExtend(priority) {
+    return priority >= this.config.extendPriority;
+  }
+}
+
+export default TemporalDecay;
@@ -0,0 +1,84 @@
+// Time windows are snapped outward to bucket boundaries so that requests
+// close together in time resolve to the same cache entry; the rows are
+// trimmed back to the requested window before paging.
+export const TIME_WINDOW_CONFIG = {
+  bucketSeconds: parseInt(process.env.TIME_BUCKET_SECONDS) || 900, // 15 minutes
+  defaultWindowSeconds: 3600, // ±1 hour around a single timestamp
+  historicalTTL: 86400, // Closed windows never change: 24 hours
+  liveTTL: 60, // Windows that include "now" are still filling up
+  maxRows: parseInt(process.env.TIME_WINDOW_MAX_ROWS) || 5000 // Rows cached per bucketed window and query
+};
+
+/**
+ * Build a window from a timestamp ± delta
+ * @param {Date} timestamp
+ * @param {number} [deltaSeconds]
+ * @returns {{start: Date, end: Date}}
+ */
+export const windowAround = (timestamp, deltaSeconds = TIME_WINDOW_CONFIG.defaultWindowSeconds) => ({
+  start: new Date(timestamp.getTime() - deltaSeconds * 1000),
+  end: new Date(timestamp.getTime() + deltaSeconds * 1000)
+});
+
+/**
+ * Snap a window outward to bucket boundaries
+ * @param {{start: Date, end: Date}} timeWindow
+ * @param {number} [bucketSeconds]
+ * @returns {{start: Date, end: Date, bucketSeconds: number}}
+ */
+export const bucketTimeWindow = ({ start, end }, bucketSeconds = TIME_WINDOW_CONFIG.bucketSeconds) => {
+  const bucketMs = bucketSeconds * 1000;
+  return {
+    start: new Date(Math.floor(start.getTime() / bucketMs) * bucketMs),
+    end: new Date(Math.ceil(end.getTime() / bucketMs) * bucketMs),
+    bucketSeconds
+  };
+};
+
+/**
+ * Whether a row falls inside a window, both ends included
+ * @param {{timestamp: Date|string}} row - Rows read back from the cache hold ISO strings
+ * @param {{start: Date, end: Date}} timeWindow
+ * @returns {boolean}
+ */
+export const inTimeWindow = ({ timestamp }, { start, end }) => {
+  const time = new Date(timestamp).getTime();
+  return time >= start.getTime() && time <= end.getTime();
+};
+
+/**
+ * Cache key fragment for a bucketed window
+ * @param {{start: Date, end: Date}} [timeWindow]
+ * @returns {string}
+ */
+export const timeWindowKey = (timeWindow) => {
+  if (!timeWindow) return 'all';
+  return `${timeWindow.start.getTime() / 1000}-${timeWindow.end.getTime() / 1000}`;
+};
+
+/**
+ * Historical windows get a long TTL, windows reaching "now" a short one
+ * @param {{start: Date, end: Date}} [timeWindow]
+ * @param {number} [now]
+ * @returns {number|undefined} TTL in seconds, undefined for no time filter
+ */
+export const timeWindowTTL = (timeWindow, now = Date.now()) => {
+  if (!timeWindow) return undefined;
+  return timeWindow.end.getTime() >= now
+    ? TIME_WINDOW_CONFIG.liveTTL
+    : TIME_WINDOW_CONFIG.historicalTTL;
+};
+
+/**
+ * Split a bucketed window into its buckets
+ * @param {{start: Date, end: Date, bucketSeconds?: number}} timeWindow - Aligned to bucket boundaries
+ * @returns {Array<{start: Date, end: Date}>}
+ */
+export const timeBuckets = ({ start, end, bucketSeconds = TIME_WINDOW_CONFIG.bucketSeconds }) => {
+  const bucketMs = bucketSeconds * 1000;
+  const buckets = [];
+  for (let time = start.getTime(); time < end.getTime(); time += bucketMs) {
+    buckets.push({ start: new Date(time), end: new Date(time + bucketMs) });
+  }
+  return buckets;
+};
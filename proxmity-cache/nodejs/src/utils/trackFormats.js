@@ -0,0 +1,96 @@
+import { Transform } from 'stream';
+
+// Trajectory formats. A trajectory's points, in time order, become one track
+// split into segments wherever consecutive fixes are further apart in time
+// than the segment gap, so recording pauses don't draw straight lines.
+export const TRACK_FORMATS = {
+  gpx: 'application/gpx+xml',
+  kml: 'application/vnd.google-earth.kml+xml'
+};
+
+const FEET_TO_METERS = 0.3048; // GeoLife altitudes are in feet, GPX and KML use meters
+
+const escapeXml = (text) => String(text)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+const elevation = (point) => (typeof point.altitude === 'number' ? +(point.altitude * FEET_TO_METERS).toFixed(1) : undefined);
+
+// Writers hold per-track state, so each stream gets its own
+const WRITERS = {
+  gpx: (name) => ({
+    head: () => '<?xml version="1.0" encoding="UTF-8"?>\n'
+      + '<gpx version="1.1" creator="proximity-cache" xmlns="http://www.topografix.com/GPX/1/1">\n'
+      + `<trk><name>${escapeXml(name)}</name>\n`,
+    segmentStart: () => '<trkseg>\n',
+    point: (point) => {
+      const ele = elevation(point);
+      return `<trkpt lat="${point.latitude}" lon="${point.longitude}">`
+        + (ele === undefined ? '' : `<ele>${ele}</ele>`)
+        + `<time>${new Date(point.timestamp).toISOString()}</time></trkpt>\n`;
+    },
+    segmentEnd: () => '</trkseg>\n',
+    tail: () => '</trk>\n</gpx>\n'
+  }),
+
+  // One gx:Track per segment. The schema wants every <when> of a track before
+  // its first <gx:coord>, so a segment's coordinates wait for its end.
+  kml: (name) => {
+    let coords = [];
+    return {
+      head: () => '<?xml version="1.0" encoding="UTF-8"?>\n'
+        + '<kml xmlns="http://www.opengis.net/kml/2.2" xmlns:gx="http://www.google.com/kml/ext/2.2">\n'
+        + `<Document><name>${escapeXml(name)}</name>\n`
+        + `<Placemark><name>${escapeXml(name)}</name><gx:MultiTrack><altitudeMode>absolute</altitudeMode><gx:interpolate>0</gx:interpolate>\n`,
+      segmentStart: () => '<gx:Track>\n',
+      point: (point) => {
+        // gx:coord needs an altitude; fixes without one get 0
+        coords.push(`<gx:coord>${point.longitude} ${point.latitude} ${elevation(point) ?? 0}</gx:coord>\n`);
+        return `<when>${new Date(point.timestamp).toISOString()}</when>\n`;
+      },
+      segmentEnd: () => {
+        const chunk = `${coords.join('')}</gx:Track>\n`;
+        coords = [];
+        return chunk;
+      },
+      tail: () => '</gx:MultiTrack></Placemark>\n</Document>\n</kml>\n'
+    };
+  }
+};
+
+/**
+ * Transform from a trajectory's points (e.g. a MongoDB cursor sorted by
+ * timestamp) to a GPX or KML track, written as the points are read
+ * @param {string} format - gpx or kml
+ * @param {Object} options
+ * @param {string} options.name - Track name
+ * @param {number} options.gapSeconds - Time gap that starts a new segment
+ * @returns {Transform}
+ */
+export const createTrackStream = (format, { name, gapSeconds }) => {
+  const writer = WRITERS[format](name);
+  let previous = null;
+
+  const stream = new Transform({
+    writableObjectMode: true,
+    transform(point, encoding, callback) {
+      const time = new Date(point.timestamp).getTime();
+      let chunk = '';
+      if (previous === null) {
+        chunk += writer.segmentStart();
+      } else if (time - previous > gapSeconds * 1000) {
+        chunk += writer.segmentEnd() + writer.segmentStart();
+      }
+      previous = time;
+      callback(null, chunk + writer.point(point));
+    },
+    flush(callback) {
+      callback(null, (previous === null ? '' : writer.segmentEnd()) + writer.tail());
+    }
+  });
+
+  stream.push(writer.head());
+  return stream;
+};
@@ -1,3 +1,7 @@
+import { TIME_WINDOW_CONFIG, windowAround } from './timeWindow.js';
+import { decodeCursor } from './cursor.js';
+import { bboxArea, geometryError, geometryHash, normalizeGeometry } from './geometry.js';
+
 export const validateCoordinates = (latitude, longitude) => {
     const lat = parseFloat(latitude);
     const lon = parseFloat(longitude);
@@ -26,7 +30,69 @@ export const validateCoordinates = (latitude, longitude) => {
   
     return { isValid: true, timestamp: date };
   };
-  
+
+  // Accepts either timestamp (+ optional window in seconds) or an explicit start/end range
+  export const validateTimeWindow = ({ timestamp, window, start, end }) => {
+    if (start || end) {
+      const startDate = new Date(start);
+      const endDate = new Date(end);
+
+      if (isNaN(startDate.getTime()) || isNaN(endDate.getTime())) {
+        return { isValid: false, error: 'Both start and end must be valid timestamps' };
+      }
+
+      if (startDate > endDate) {
+        return { isValid: false, error: 'start must be before end' };
+      }
+
+      return { isValid: true, timeWindow: { start: startDate, end: endDate } };
+    }
+
+    const timeValidation = validateTimeRange(timestamp);
+    if (!timeValidation.isValid) {
+      return timeValidation;
+    }
+
+    const windowSeconds = window === undefined ? TIME_WINDOW_CONFIG.defaultWindowSeconds : parseInt(window);
+    if (isNaN(windowSeconds) || windowSeconds < 0) {
+      return { isValid: false, error: 'window must be a non-negative number of seconds' };
+    }
+
+    return { isValid: true, timeWindow: windowAround(timeValidation.timestamp, windowSeconds) };
+  };
+
+  // Warmup input: a region or the top N requested cells, optionally restricted to a time range
+  export const validateWarmupRequest = ({ region, topCells, timeRange, radius } = {}) => {
+    if (!region && topCells === undefined) {
+      return { isValid: false, error: 'Either region or topCells is required' };
+    }
+
+    if (region && ['minLat', 'minLon', 'maxLat', 'maxLon'].some(field => typeof region[field] !== 'number')) {
+      return { isValid: false, error: 'region needs numeric minLat, minLon, maxLat and maxLon' };
+    }
+
+    if (topCells !== undefined && (!Number.isInteger(topCells) || topCells < 1)) {
+      return { isValid: false, error: 'topCells must be a positive integer' };
+    }
+
+    const radiusKm = radius === undefined ? 1 : parseFloat(radius);
+    if (isNaN(radiusKm) || radiusKm <= 0) {
+      return { isValid: false, error: 'radius must be a positive number of km' };
+    }
+
+    let window;
+    if (timeRange) {
+      const windowValidation = validateTimeWindow({ start: timeRange.start, end: timeRange.end });
+      if (!windowValidation.isValid) return windowValidation;
+      window = windowValidation.timeWindow;
+    }
+
+    return {
+      isValid: true,
+      warmup: { region, topCells: region ? undefined : topCells, timeRange: window, radius: radiusKm }
+    };
+  };
+
   export const validatePagination = (page, limit) => {
     const pageNum = parseInt(page) || 1;
     const limitNum = parseInt(limit) || 100;
@@ -40,4 +106,186 @@ export const validateCoordinates = (latitude, longitude) => {
     }
   
     return { isValid: true, pagination: { page: pageNum, limit: limitNum } };
-  };
\ No newline at end of file
+  };
+
+  // Keyset pagination: no cursor keeps offset paging, an empty cursor starts
+  // from the nearest row, a token continues after the row it encodes
+  export const validateCursor = (cursor, query) => {
+    if (cursor === undefined) {
+      return { isValid: true, keyset: null };
+    }
+
+    if (cursor === '') {
+      return { isValid: true, keyset: { after: null } };
+    }
+
+    const decoded = decodeCursor(String(cursor), query);
+    if (!decoded.isValid) return decoded;
+    return { isValid: true, keyset: { after: decoded.cursor } };
+  };
+
+  // Heatmap input: bbox "minLon,minLat,maxLon,maxLat", optional precision,
+  // from/to range, startHour/endHour time of day (UTC, may wrap midnight) and format
+  export const validateHeatmapRequest = ({ bbox, precision, from, to, startHour, endHour, userId, format = 'json' } = {}) => {
+    const values = typeof bbox === 'string' ? bbox.split(',').map(Number) : [];
+    if (values.length !== 4 || values.some(value => !Number.isFinite(value))) {
+      return { isValid: false, error: 'bbox must be minLon,minLat,maxLon,maxLat' };
+    }
+
+    const [minLon, minLat, maxLon, maxLat] = values;
+    if (minLon < -180 || maxLon > 180 || minLat < -90 || maxLat > 90 || minLon >= maxLon || minLat >= maxLat) {
+      return { isValid: false, error: 'bbox must lie within [-180, -90, 180, 90] with min below max' };
+    }
+
+    const precisionNum = precision === undefined ? undefined : parseInt(precision);
+    if (precisionNum !== undefined && (isNaN(precisionNum) || precisionNum < 1 || precisionNum > 8)) {
+      return { isValid: false, error: 'precision must be between 1 and 8' };
+    }
+
+    let timeWindow;
+    if (from !== undefined || to !== undefined) {
+      const windowValidation = validateTimeWindow({ start: from, end: to });
+      if (!windowValidation.isValid) {
+        return { isValid: false, error: 'Both from and to must be valid timestamps, from before to' };
+      }
+      timeWindow = windowValidation.timeWindow;
+    }
+
+    let hours;
+    if (startHour !== undefined || endHour !== undefined) {
+      const start = parseInt(startHour);
+      const end = parseInt(endHour);
+      if ([start, end].some(hour => isNaN(hour) || hour < 0 || hour > 23) || start === end) {
+        return { isValid: false, error: 'startHour and endHour must be different hours between 0 and 23' };
+      }
+      hours = { start, end };
+    }
+
+    if (!['json', 'geojson'].includes(format)) {
+      return { isValid: false, error: 'format must be json or geojson' };
+    }
+
+    return {
+      isValid: true,
+      heatmap: { bbox: { minLat, minLon, maxLat, maxLon }, precision: precisionNum, timeWindow, hours, userId, format }
+    };
+  };
+
+  // Polygon search input: a GeoJSON Polygon/MultiPolygon or a bbox [minLon, minLat, maxLon, maxLat]
+  export const validateWithinRequest = ({ geometry, bbox } = {}) => {
+    if ((geometry === undefined) === (bbox === undefined)) {
+      return { isValid: false, error: 'Either geometry or bbox is required' };
+    }
+
+    if (bbox !== undefined) {
+      const valid = Array.isArray(bbox) && bbox.length === 4 && bbox.every(Number.isFinite) &&
+        bbox[0] >= -180 && bbox[2] <= 180 && bbox[1] >= -90 && bbox[3] <= 90 &&
+        bbox[0] < bbox[2] && bbox[1] < bbox[3];
+      if (!valid) {
+        return { isValid: false, error: 'bbox must be [minLon, minLat, maxLon, maxLat] with min below max' };
+      }
+      // A polygon that wide no longer tells which side of the globe it covers
+      if (bbox[2] - bbox[0] >= 180) {
+        return { isValid: false, error: 'bbox must span less than 180 degrees of longitude' };
+      }
+
+      const { geometry: polygon, box } = bboxArea(bbox);
+      const normalized = normalizeGeometry(polygon);
+      return { isValid: true, within: { geometry: normalized, hash: `bbox-${geometryHash(normalized)}`, box } };
+    }
+
+    const error = geometryError(geometry);
+    if (error) {
+      return { isValid: false, error };
+    }
+
+    const normalized = normalizeGeometry(geometry);
+    return { isValid: true, within: { geometry: normalized, hash: geometryHash(normalized) } };
+  };
+
+  // k-nearest input: a point, k, and optional userId and from/to range
+  export const validateKnnRequest = ({ latitude, longitude, k, userId, from, to } = {}) => {
+    const lat = parseFloat(latitude);
+    const lon = parseFloat(longitude);
+    if (isNaN(lat) || isNaN(lon) || Math.abs(lat) > 90 || Math.abs(lon) > 180) {
+      return { isValid: false, error: 'latitude and longitude must be within [-90, 90] and [-180, 180]' };
+    }
+
+    const kNum = k === undefined ? 10 : parseInt(k);
+    if (isNaN(kNum) || kNum < 1 || kNum > 1000) {
+      return { isValid: false, error: 'k must be between 1 and 1000' };
+    }
+
+    let timeWindow;
+    if (from !== undefined || to !== undefined) {
+      const windowValidation = validateTimeWindow({ start: from, end: to });
+      if (!windowValidation.isValid) {
+        return { isValid: false, error: 'Both from and to must be valid timestamps, from before to' };
+      }
+      timeWindow = windowValidation.timeWindow;
+    }
+
+    return { isValid: true, knn: { latitude: lat, longitude: lon, k: kNum, userId, timeWindow } };
+  };
+
+  // limit=all asks for every match, streamed in a row format instead of paged
+  export const validateExportLimit = (format, limit, cursor) => {
+    if (limit !== 'all') {
+      return { isValid: true, stream: false };
+    }
+
+    if (format === 'json' || cursor !== undefined) {
+      return { isValid: false, error: 'limit=all needs format geojson, ndjson, csv or msgpack, and no cursor' };
+    }
+
+    return { isValid: true, stream: true };
+  };
+
+  // Bulk track export: gpx or kml, for the trajectories with points between from and to
+  export const validateTrackExportRequest = ({ format = 'gpx', from, to } = {}) => {
+    if (!['gpx', 'kml'].includes(format)) {
+      return { isValid: false, error: 'format must be gpx or kml' };
+    }
+
+    if (from === undefined || to === undefined) {
+      return { isValid: false, error: 'from and to are required' };
+    }
+
+    const windowValidation = validateTimeWindow({ start: from, end: to });
+    if (!windowValidation.isValid) {
+      return { isValid: false, error: 'Both from and to must be valid timestamps, from before to' };
+    }
+
+    return { isValid: true, trackExport: { format, timeWindow: windowValidation.timeWindow } };
+  };
+
+  // Cache inspector page: a cursor from the previous page ("<node>-<scan cursor>"), a page size and filters
+  export const validateInspectRequest = ({ cursor, count, pattern, type, family, geohash } = {}) => {
+    let position;
+    if (cursor !== undefined && cursor !== '') {
+      const match = /^(\d+)-(\d+)$/.exec(cursor);
+      if (!match) {
+        return { isValid: false, error: 'Invalid cursor' };
+      }
+      position = { node: parseInt(match[1]), cursor: match[2] };
+    }
+
+    const countNum = count === undefined ? 100 : parseInt(count);
+    if (isNaN(countNum) || countNum < 1 || countNum > 1000) {
+      return { isValid: false, error: 'count must be between 1 and 1000' };
+    }
+
+    if (type !== undefined && !['string', 'hash', 'list', 'set', 'zset', 'stream'].includes(type)) {
+      return { isValid: false, error: 'type must be string, hash, list, set, zset or stream' };
+    }
+
+    if (family !== undefined && !/^[\w-]+$/.test(family)) {
+      return { isValid: false, error: 'Invalid family' };
+    }
+
+    if (geohash !== undefined && !/^[0-9b-hjkmnp-z]{1,12}$/.test(geohash)) {
+      return { isValid: false, error: 'Invalid geohash' };
+    }
+
+    return { isValid: true, inspect: { position, count: countNum, pattern: pattern || undefined, type, family, geohash } };
+  };
@@ -0,0 +1,130 @@
+import { PassThrough, Transform } from 'stream';
+import { pipeline } from 'stream/promises';
+import zlib from 'zlib';
+
+// Minimal streaming ZIP writer. Entries are deflated as they are read and
+// their CRC and sizes follow in a data descriptor, so neither the entries nor
+// the archive are ever held in memory. No ZIP64: archives stop at 4 GB and
+// 65535 entries.
+const ZIP_LIMIT = 0xffffffff;
+const MAX_ENTRIES = 0xffff;
+const FLAGS = 0x0808; // Sizes in a data descriptor, UTF-8 names
+const DEFLATE = 8;
+const VERSION = 20;
+
+// MS-DOS date and time fields
+const dosDateTime = (date) => ({
+  time: (date.getHours() << 11) | (date.getMinutes() << 5) | Math.floor(date.getSeconds() / 2),
+  date: ((date.getFullYear() - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate()
+});
+
+const localHeader = (entry) => {
+  const header = Buffer.alloc(30);
+  header.writeUInt32LE(0x04034b50, 0);
+  header.writeUInt16LE(VERSION, 4);
+  header.writeUInt16LE(FLAGS, 6);
+  header.writeUInt16LE(DEFLATE, 8);
+  header.writeUInt16LE(entry.time, 10);
+  header.writeUInt16LE(entry.date, 12);
+  // CRC and sizes (14-25) stay zero until the data descriptor
+  header.writeUInt16LE(entry.name.length, 26);
+  return Buffer.concat([header, entry.name]);
+};
+
+const dataDescriptor = (entry) => {
+  const descriptor = Buffer.alloc(16);
+  descriptor.writeUInt32LE(0x08074b50, 0);
+  descriptor.writeUInt32LE(entry.crc, 4);
+  descriptor.writeUInt32LE(entry.compressedSize, 8);
+  descriptor.writeUInt32LE(entry.size, 12);
+  return descriptor;
+};
+
+const centralHeader = (entry) => {
+  const header = Buffer.alloc(46);
+  header.writeUInt32LE(0x02014b50, 0);
+  header.writeUInt16LE(VERSION, 4);
+  header.writeUInt16LE(VERSION, 6);
+  header.writeUInt16LE(FLAGS, 8);
+  header.writeUInt16LE(DEFLATE, 10);
+  header.writeUInt16LE(entry.time, 12);
+  header.writeUInt16LE(entry.date, 14);
+  header.writeUInt32LE(entry.crc, 16);
+  header.writeUInt32LE(entry.compressedSize, 20);
+  header.writeUInt32LE(entry.size, 24);
+  header.writeUInt16LE(entry.name.length, 28);
+  header.writeUInt32LE(entry.offset, 42);
+  return Buffer.concat([header, entry.name]);
+};
+
+const endOfCentralDirectory = (count, size, offset) => {
+  const record = Buffer.alloc(22);
+  record.writeUInt32LE(0x06054b50, 0);
+  record.writeUInt16LE(count, 8);
+  record.writeUInt16LE(count, 10);
+  record.writeUInt32LE(size, 12);
+  record.writeUInt32LE(offset, 16);
+  return record;
+};
+
+/**
+ * Start a ZIP archive. Pipe `output` to the destination, add entries one at
+ * a time, then finalize.
+ * @returns {{output: PassThrough, addEntry: function(string, ...Stream): Promise<void>, finalize: function(): void}}
+ */
+export const createZipStream = () => {
+  const output = new PassThrough();
+  const entries = [];
+  let offset = 0;
+
+  // Headers are small and written between entries, whose data respects backpressure
+  const write = (chunk) => {
+    offset += chunk.length;
+    if (offset > ZIP_LIMIT) throw new Error('ZIP archive exceeds 4 GB');
+    output.write(chunk);
+  };
+
+  return {
+    output,
+
+    /**
+     * Deflate one file into the archive. A failure destroys `output`.
+     * @param {string} name - Path inside the archive
+     * @param {...Stream} sources - Streams producing the contents, piped in order
+     */
+    async addEntry(name, ...sources) {
+      if (entries.length === MAX_ENTRIES) throw new Error(`ZIP archive exceeds ${MAX_ENTRIES} entries`);
+
+      const entry = { name: Buffer.from(name), offset, crc: 0, size: 0, compressedSize: 0, ...dosDateTime(new Date()) };
+      write(localHeader(entry));
+
+      const checksum = new Transform({
+        transform(chunk, encoding, callback) {
+          entry.crc = zlib.crc32(chunk, entry.crc);
+          entry.size += chunk.length;
+          callback(null, chunk);
+        }
+      });
+      const measure = new Transform({
+        transform(chunk, encoding, callback) {
+          entry.compressedSize += chunk.length;
+          offset += chunk.length;
+          callback(offset > ZIP_LIMIT ? new Error('ZIP archive exceeds 4 GB') : null, chunk);
+        }
+      });
+      await pipeline(...sources, checksum, zlib.createDeflateRaw(), measure, output, { end: false });
+
+      if (entry.size > ZIP_LIMIT) throw new Error('ZIP entry exceeds 4 GB');
+      write(dataDescriptor(entry));
+      entries.push(entry);
+    },
+
+    // Write the central directory and end the archive
+    finalize() {
+      const start = offset;
+      entries.forEach(entry => write(centralHeader(entry)));
+      write(endOfCentralDirectory(entries.length, offset - start, start));
+      output.end();
+    }
+  };
+};
@@ -0,0 +1,27 @@
+import mongoose from 'mongoose';
+
+// One document per admin action, made through the API or the API key CLI
+const auditLogSchema = new mongoose.Schema({
+  action: { // e.g. "DELETE /api/v1/properties/clear-cache", "apikey.create"
+    type: String,
+    required: true,
+  },
+  actor: {
+    keyId: mongoose.Schema.Types.ObjectId,
+    name: String, // Key name, or "cli"
+    role: String,
+  },
+  ip: String,
+  params: mongoose.Schema.Types.Mixed,
+  status: Number,
+  at: {
+    type: Date,
+    default: Date.now,
+  },
+});
+
+auditLogSchema.index({ at: -1 });
+
+const AuditLog = mongoose.model('audit-logs', auditLogSchema);
+
+export default AuditLog;
@@ -1,4 +1,6 @@
 import express from "express"
+import { requireRole } from "../middleware/auth.middleware.js"
+import { exportCost, rateLimit, spatialCost } from "../middleware/rateLimiter.js"
 import client from "../connection/redis.connect.js"
 import PropertyModel from "../model/property.model.js"
 import { getCacheHits } from "../services/decay.service.js"
@@ -6,13 +8,50 @@ import {
   addProperty,
   coordinateRangeIndexing,
   findNearbyProperties,
+  findPropertiesWithin,
   getPropertyById,
+  streamNearbyProperties,
+  streamProperties,
 } from "../services/property.services.js"
+import { getGeoIndexStatus } from "../services/geo-index.service.js"
+import { getLockStats } from "../services/stampede.service.js"
+import { semanticCache } from "../services/proximity-cache.service.js"
+import { getCellStats } from "../services/cell-cache.service.js"
+import { getCodecStats } from "../services/codec.service.js"
+import { parseCursor } from "../services/cursor.service.js"
+import { isBadGeometry, parseWithin } from "../services/geometry.service.js"
+import { findNearestProperties, parseNearest } from "../services/knn.service.js"
+import { coverTags, invalidatePoint, invalidateTags } from "../services/cache-tags.service.js"
+import { getCachePolicy, reloadCachePolicy } from "../services/cache-policy.service.js"
+import { getExportPage, negotiateFormat, parseExportLimit, sendError, streamExport } from "../services/export.service.js"
 import { clearAllCache, getCacheHitCount, getTotalCachedDocuments, getTotalDataCached } from "../services/redis.services.js"
 import mongoose from "mongoose"
 
 const router = express.Router()
 
+// Send a page as JSON, or serialized (and, given `cache`, cached) in the negotiated format
+const sendResult = async (res, format, load, cache) => {
+  if (format === "json") {
+    return res.json(await load())
+  }
+
+  const exported = await getExportPage(format, load, cache)
+  res.type(exported.contentType).set(exported.headers).send(exported.body)
+}
+
+/**
+ * @swagger
+ * components:
+ *   parameters:
+ *     Format:
+ *       in: query
+ *       name: format
+ *       schema:
+ *         type: string
+ *         enum: [json, geojson, ndjson, csv, msgpack]
+ *       description: Response format, overriding the Accept header. Non-JSON formats carry the properties only, with totals and paging in X-Total-Count, X-Total-Pages, X-Page, X-Next-Cursor and X-Has-More headers
+ */
+
 /**
  * @swagger
  * components:
@@ -59,6 +98,13 @@ const router = express.Router()
  *         schema:
  *           type: integer
  *         description: Page number
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: string
+ *           enum: [all]
+ *         description: "all streams every property, in a non-JSON format"
+ *       - $ref: '#/components/parameters/Format'
  *     responses:
  *       200:
  *         description: List of properties
@@ -76,25 +122,41 @@ const router = express.Router()
  *                 currentPage:
  *                   type: integer
  */
-router.get("/", async (req, res) => {
+router.get("/", requireRole("reader"), rateLimit({ cost: exportCost }), async (req, res) => {
   const page = Number.parseInt(req.query.page) || 1
   const limit = 100
 
   try {
-    const properties = await PropertyModel.find()
-      .skip((page - 1) * limit)
-      .limit(limit)
+    const { isValid, error, format } = negotiateFormat(req)
+    if (!isValid) {
+      return res.status(400).json({ error })
+    }
 
-    const total = await PropertyModel.countDocuments()
-    const totalPages = Math.ceil(total / limit)
+    const exportLimit = parseExportLimit(format, req.query.limit)
+    if (!exportLimit.isValid) {
+      return res.status(400).json({ error: exportLimit.error })
+    }
 
-    res.json({
-      properties,
-      totalPages,
-      currentPage: page,
+    if (exportLimit.stream) {
+      return await streamExport(format, streamProperties(), res)
+    }
+
+    await sendResult(res, format, async () => {
+      const properties = await PropertyModel.find()
+        .skip((page - 1) * limit)
+        .limit(limit)
+
+      const total = await PropertyModel.countDocuments()
+      const totalPages = Math.ceil(total / limit)
+
+      return {
+        properties,
+        totalPages,
+        currentPage: page,
+      }
     })
   } catch (error) {
-    res.status(500).json({ message: error.message })
+    sendError(res, { message: error.message })
   }
 })
 
@@ -132,13 +194,14 @@ router.get("/", async (req, res) => {
  *         schema:
  *           type: integer
  *         description: Number of items per page
+ *       - $ref: '#/components/parameters/Format'
  *     responses:
  *       200:
  *         description: List of properties within the coordinate range
  *       400:
  *         description: Bad request
  */
-router.get("/coordinate-range-indexing", async (req, res) => {
+router.get("/coordinate-range-indexing", requireRole("reader"), rateLimit({ cost: spatialCost }), async (req, res) => {
   try {
     const { lat, lng, radius, page = 1, limit = 50 } = req.query
 
@@ -146,23 +209,33 @@ router.get("/coordinate-range-indexing", async (req, res) => {
       return res.status(400).json({ error: "Latitude and longitude are required" })
     }
 
+    const { isValid, error, format } = negotiateFormat(req)
+    if (!isValid) {
+      return res.status(400).json({ error })
+    }
+
+    const latitude = Number.parseFloat(lat)
+    const longitude = Number.parseFloat(lng)
+    const radiusKm = Number.parseFloat(radius)
+
     const pagination = {
       page: Number.parseInt(page, 10),
       limit: Number.parseInt(limit, 10),
     }
 
-    const { properties, totalCount, totalPages } = await coordinateRangeIndexing(
-      Number.parseFloat(lat),
-      Number.parseFloat(lng),
-      Number.parseFloat(radius),
-      pagination,
-    )
+    await sendResult(res, format, async () => {
+      const { properties, totalCount, totalPages } = await coordinateRangeIndexing(latitude, longitude, radiusKm, pagination)
 
-    res.json({
-      properties,
-      totalCount,
-      totalPages,
-      currentPage: pagination.page,
+      return {
+        properties,
+        totalCount,
+        totalPages,
+        currentPage: pagination.page,
+      }
+    }, {
+      family: "coordinateRange",
+      query: { latitude, longitude, radius: radiusKm, ...pagination },
+      tags: coverTags(latitude, longitude, radiusKm || 5),
     })
   } catch (error) {
     console.error("Error in GET /coordinate-range-indexing:", error)
@@ -202,45 +275,226 @@ router.get("/coordinate-range-indexing", async (req, res) => {
  *       - in: query
  *         name: limit
  *         schema:
- *           type: integer
- *         description: Number of items per page
+ *           oneOf:
+ *             - type: integer
+ *             - type: string
+ *               enum: [all]
+ *         description: Number of items per page, or all to stream every match, nearest first, in a non-JSON format
+ *       - $ref: '#/components/parameters/Format'
+ *       - in: query
+ *         name: cursor
+ *         schema:
+ *           type: string
+ *         description: Page by cursor instead of page number. Empty for the first page, then the nextCursor of the previous response; such responses carry nextCursor instead of totalCount and totalPages
  *     responses:
  *       200:
  *         description: List of nearby properties
  *       400:
- *         description: Bad request
+ *         description: Bad request, or a cursor issued for another query
  */
-router.get("/nearby", async (req, res) => {
+router.get("/nearby", requireRole("reader"), rateLimit({ cost: spatialCost }), async (req, res) => {
   try {
-    const { lat, lng, radius, page = 1, limit = 50 } = req.query
+    const { lat, lng, radius, page = 1, limit = 50, cursor } = req.query
 
     if (!lat || !lng) {
       return res.status(400).json({ error: "Latitude and longitude are required" })
     }
 
+    const latitude = Number.parseFloat(lat)
+    const longitude = Number.parseFloat(lng)
+    const radiusKm = Number.parseFloat(radius)
+
+    const negotiated = negotiateFormat(req)
+    if (!negotiated.isValid) {
+      return res.status(400).json({ error: negotiated.error })
+    }
+    const { format } = negotiated
+
+    const exportLimit = parseExportLimit(format, limit, cursor)
+    if (!exportLimit.isValid) {
+      return res.status(400).json({ error: exportLimit.error })
+    }
+
+    if (exportLimit.stream) {
+      const query = { latitude, longitude, radius: radiusKm }
+      return await streamExport(format, streamNearbyProperties(latitude, longitude, radiusKm), res, { query })
+    }
+
+    const { isValid, error, keyset } = parseCursor(cursor, { latitude, longitude, radius: radiusKm })
+    if (!isValid) {
+      return res.status(400).json({ error })
+    }
+
     const pagination = {
       page: Number.parseInt(page, 10),
       limit: Number.parseInt(limit, 10),
+      keyset,
+    }
+
+    const cache = {
+      family: "nearby",
+      query: { latitude, longitude, radius: radiusKm, page: pagination.page, limit: pagination.limit, cursor },
+      tags: coverTags(latitude, longitude, radiusKm || 5),
+    }
+
+    if (keyset) {
+      return await sendResult(res, format, async () => {
+        const { properties, nextCursor, hasMore, stale, derived } = await findNearbyProperties(latitude, longitude, radiusKm, pagination)
+        return { properties, nextCursor, hasMore, stale, derived }
+      }, cache)
+    }
+
+    await sendResult(res, format, async () => {
+      const { properties, totalCount, totalPages, stale, derived } = await findNearbyProperties(
+        latitude,
+        longitude,
+        radiusKm,
+        pagination,
+      )
+
+      const hasMore = pagination.page < totalPages // Calculate if there are more pages
+
+      return {
+        properties,
+        totalCount,
+        totalPages,
+        currentPage: pagination.page,
+        hasMore, // Add the new flag
+        stale, // Served past its TTL while a refresh runs
+        derived, // Filtered from a cached result for a larger circle
+      }
+    }, cache)
+  } catch (error) {
+    console.error("Error in GET /nearby:", error)
+    sendError(res, { error: "Internal server error" })
+  }
+})
+
+/**
+ * @swagger
+ * /api/v1/properties/nearest:
+ *   get:
+ *     summary: Get the k properties nearest to a point, however far
+ *     tags: [Properties]
+ *     parameters:
+ *       - in: query
+ *         name: lat
+ *         required: true
+ *         schema:
+ *           type: number
+ *         description: Latitude
+ *       - in: query
+ *         name: lng
+ *         required: true
+ *         schema:
+ *           type: number
+ *         description: Longitude
+ *       - in: query
+ *         name: k
+ *         schema:
+ *           type: integer
+ *           default: 10
+ *         description: Number of properties, up to 1000
+ *       - in: query
+ *         name: filters
+ *         schema:
+ *           type: object
+ *           additionalProperties: true
+ *         style: form
+ *         explode: true
+ *         description: Any other parameter filters on the property field of that name, e.g. room_type
+ *     responses:
+ *       200:
+ *         description: The nearest properties, nearest first, with distance in meters
+ *       400:
+ *         description: Invalid point or k, or an unknown filter
+ */
+router.get("/nearest", requireRole("reader"), rateLimit({ cost: (req) => Math.ceil((Number.parseInt(req.query.k, 10) || 10) / 100) }), async (req, res) => {
+  try {
+    const { isValid, error, knn } = parseNearest(req.query)
+    if (!isValid) {
+      return res.status(400).json({ error })
     }
 
-    const { properties, totalCount, totalPages } = await findNearbyProperties(
-      Number.parseFloat(lat),
-      Number.parseFloat(lng),
-      Number.parseFloat(radius),
-      pagination,
-    )
+    const { properties, k, precision, rings, source } = await findNearestProperties(knn.latitude, knn.longitude, knn.k, knn.filter)
 
-    const hasMore = pagination.page < totalPages // Calculate if there are more pages
+    res.json({ properties, k, count: properties.length, precision, rings, source })
+  } catch (error) {
+    console.error("Error in GET /nearest:", error)
+    res.status(500).json({ error: "Internal server error" })
+  }
+})
+
+/**
+ * @swagger
+ * /api/v1/properties/within:
+ *   post:
+ *     summary: Get properties inside a polygon or bbox
+ *     tags: [Properties]
+ *     parameters:
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *         description: Page number
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *         description: Number of items per page
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               geometry:
+ *                 type: object
+ *                 description: GeoJSON Polygon or MultiPolygon
+ *               bbox:
+ *                 type: array
+ *                 items:
+ *                   type: number
+ *                 description: "[minLng, minLat, maxLng, maxLat], less than 180 degrees wide, instead of geometry"
+ *     responses:
+ *       200:
+ *         description: Page of properties inside the area
+ *       400:
+ *         description: Missing or invalid geometry or bbox, or a geometry MongoDB cannot index
+ */
+router.post("/within", requireRole("reader"), rateLimit({ cost: 5 }), async (req, res) => {
+  try {
+    const { page = 1, limit = 50 } = req.query
+
+    const { isValid, error, within } = parseWithin(req.body)
+    if (!isValid) {
+      return res.status(400).json({ error })
+    }
+
+    const pagination = {
+      page: Number.parseInt(page, 10),
+      limit: Number.parseInt(limit, 10),
+    }
+    if (!(pagination.page >= 1) || !(pagination.limit >= 1 && pagination.limit <= 1000)) {
+      return res.status(400).json({ error: "page must be at least 1 and limit between 1 and 1000" })
+    }
+
+    const { properties, totalCount, totalPages } = await findPropertiesWithin(within.geometry, within.hash, pagination, within.box)
 
     res.json({
       properties,
       totalCount,
       totalPages,
       currentPage: pagination.page,
-      hasMore, // Add the new flag
+      hasMore: pagination.page < totalPages,
     })
   } catch (error) {
-    console.error("Error in GET /nearby:", error)
+    // MongoDB rejects geometries it cannot index, e.g. self-intersecting rings
+    if (isBadGeometry(error)) {
+      return res.status(400).json({ error: `Invalid geometry: ${error.message}` })
+    }
+    console.error("Error in POST /within:", error)
     res.status(500).json({ error: "Internal server error" })
   }
 })
@@ -263,7 +517,7 @@ router.get("/nearby", async (req, res) => {
  *       500:
  *         description: Internal server error
  */
-router.post("/", async (req, res) => {
+router.post("/", requireRole("writer"), rateLimit(), async (req, res) => {
   try {
     const property = await addProperty(req.body)
     res.status(201).json(property)
@@ -294,7 +548,7 @@ router.post("/", async (req, res) => {
  *       500:
  *         description: Internal server error
  */
-router.get("/get-property/:id", async (req, res) => {
+router.get("/get-property/:id", requireRole("reader"), rateLimit(), async (req, res) => {
   try {
     const property = await getPropertyById(req.params.id)
     if (!property) {
@@ -319,7 +573,7 @@ router.get("/get-property/:id", async (req, res) => {
  *       500:
  *         description: Internal server error
  */
-router.put("/migrate-structure", async (req, res) => {
+router.put("/migrate-structure", requireRole("admin"), rateLimit({ scope: "migration", points: 2 }), async (req, res) => {
   try {
     // Step 1: Rename 'location' to 'place'
     await PropertyModel.updateMany({}, { $rename: { location: "place" } })
@@ -381,8 +635,27 @@ router.put("/migrate-structure", async (req, res) => {
  *                 cacheHits:
  *                   type: integer
  *                   description: Number of cache hits
+ *                 semantic:
+ *                   type: object
+ *                   description: Nearby queries answered from a cached larger radius
+ *                   properties:
+ *                     lookups:
+ *                       type: integer
+ *                     hits:
+ *                       type: integer
+ *                     reuseRate:
+ *                       type: number
+ *                 compression:
+ *                   type: object
+ *                   description: Bytes before and after the cache codec (CACHE_CODEC), per codec
+ *                   properties:
+ *                     codec:
+ *                       type: string
+ *                       enum: [none, gzip, brotli, v8]
+ *                     ratio:
+ *                       type: number
  */
-router.get("/cacheStats", async (req, res) => {
+router.get("/cacheStats", requireRole("reader"), rateLimit(), async (req, res) => {
   try {
     const { totalKeys, totalDocuments } = await getTotalCachedDocuments(client);
     res.json({
@@ -390,6 +663,10 @@ router.get("/cacheStats", async (req, res) => {
       totalDataCached: getTotalDataCached(),
       totalKeys,
       totalDocuments,
+      locks: getLockStats(),
+      semantic: semanticCache.getStats(),
+      cells: getCellStats(),
+      compression: getCodecStats(),
     });
   } catch (error) {
     res.status(500).json({ message: "Failed to fetch cache stats", error });
@@ -397,12 +674,58 @@ router.get("/cacheStats", async (req, res) => {
 });
 
 
+/**
+ * @swagger
+ * /api/v1/properties/geo-index/status:
+ *   get:
+ *     summary: Get Redis GEO index status
+ *     tags: [Properties]
+ *     responses:
+ *       200:
+ *         description: Whether the index is built, its size and last rebuild time
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 ready:
+ *                   type: boolean
+ *                 size:
+ *                   type: integer
+ *                 builtAt:
+ *                   type: string
+ *                   format: date-time
+ */
+router.get("/geo-index/status", requireRole("reader"), rateLimit(), async (req, res) => {
+  try {
+    res.json(await getGeoIndexStatus())
+  } catch (error) {
+    res.status(500).json({ message: "Failed to fetch geo index status", error })
+  }
+})
+
 /**
  * @swagger
  * /api/v1/properties/clear-cache:
  *   delete:
  *     summary: Clear Cache
+ *     description: Without a body, clears every cached query. With `tags`, clears only entries registered under those tags (e.g. "cell:dr5ru", "family:nearby"). With `latitude` and `longitude`, clears the cached queries whose area contains that point.
  *     tags: [Properties]
+ *     requestBody:
+ *       required: false
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               tags:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *               latitude:
+ *                 type: number
+ *               longitude:
+ *                 type: number
  *     responses:
  *       200:
  *         description: Cache Clear Status
@@ -414,12 +737,135 @@ router.get("/cacheStats", async (req, res) => {
  *                 message:
  *                   type: string
  *                   example: Cache Cleared Successfully
+ *                 invalidated:
+ *                   type: integer
  */
-router.delete("/clear-cache", async (req, res) => {
-  clearAllCache(client)
-  res.json({
-    message: "Cache Cleared Successfully",
-  })
+router.delete("/clear-cache", requireRole("admin"), rateLimit({ scope: "cache-clear", points: 10 }), async (req, res) => {
+  const { tags, latitude, longitude } = req.body || {}
+
+  try {
+    if (Array.isArray(tags) && tags.length > 0) {
+      const invalidated = await invalidateTags(tags)
+      return res.json({ message: "Cache Cleared Successfully", invalidated })
+    }
+
+    if (latitude !== undefined && longitude !== undefined) {
+      const lat = parseFloat(latitude)
+      const lng = parseFloat(longitude)
+      if (isNaN(lat) || isNaN(lng)) {
+        return res.status(400).json({ message: "Latitude and longitude must be numbers" })
+      }
+      const invalidated = await invalidatePoint(lat, lng)
+      return res.json({ message: "Cache Cleared Successfully", invalidated })
+    }
+
+    await clearAllCache(client)
+    res.json({
+      message: "Cache Cleared Successfully",
+    })
+  } catch (error) {
+    res.status(500).json({ message: "Failed to clear cache", error: error.message })
+  }
+})
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     CachePolicy:
+ *       type: object
+ *       properties:
+ *         file:
+ *           type: string
+ *           description: Policy file in force, config/cache-policy.js unless CACHE_POLICY_FILE is set
+ *         loadedAt:
+ *           type: string
+ *           format: date-time
+ *         defaults:
+ *           $ref: '#/components/schemas/CacheFamilyPolicy'
+ *         families:
+ *           type: object
+ *           description: Effective policy per cache family (nearby, coordinateRange, within, cell, superset, nearest, export)
+ *           additionalProperties:
+ *             $ref: '#/components/schemas/CacheFamilyPolicy'
+ *     CacheFamilyPolicy:
+ *       type: object
+ *       properties:
+ *         enabled:
+ *           type: boolean
+ *         ttl:
+ *           type: integer
+ *           description: Seconds an entry is fresh
+ *           example: 3600
+ *         jitter:
+ *           type: number
+ *           description: Fraction of the TTL added or taken at random
+ *           example: 0.1
+ *         maxBytes:
+ *           type: integer
+ *           nullable: true
+ *           description: Larger values are not cached
+ *         compression:
+ *           type: string
+ *           nullable: true
+ *           enum: [none, gzip, brotli, v8]
+ *           description: null uses CACHE_CODEC
+ *         staleWhileRevalidate:
+ *           type: integer
+ *           description: Seconds an entry is still served after its TTL while it is refreshed
+ */
+
+/**
+ * @swagger
+ * /api/v1/properties/cache-policy:
+ *   get:
+ *     summary: Get the effective caching policy
+ *     description: TTL, jitter, size limit, compression, stale-while-revalidate window and whether caching is enabled, for every cache family.
+ *     tags: [Properties]
+ *     responses:
+ *       200:
+ *         description: The policy in force
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/CachePolicy'
+ */
+router.get("/cache-policy", requireRole("admin"), rateLimit(), (req, res) => {
+  res.json(getCachePolicy())
+})
+
+/**
+ * @swagger
+ * /api/v1/properties/cache-policy/reload:
+ *   post:
+ *     summary: Reload the caching policy
+ *     description: Reads the policy file again on this instance, without a restart. New entries follow the new policy; cached entries keep their TTL. An invalid file is rejected and the current policy stays in force.
+ *     tags: [Properties]
+ *     responses:
+ *       200:
+ *         description: The reloaded policy
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/CachePolicy'
+ *       422:
+ *         description: The policy file is invalid
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 error:
+ *                   type: string
+ *                   example: "Invalid cache policy /app/config/cache-policy.js: families.nearby.ttl must be a positive integer of seconds"
+ */
+router.post("/cache-policy/reload", requireRole("admin"), rateLimit({ scope: "policy-reload", points: 10 }), async (req, res) => {
+  try {
+    res.json(await reloadCachePolicy())
+  } catch (error) {
+    console.error("Error reloading cache policy:", error)
+    res.status(422).json({ error: error.message })
+  }
 })
 
 /**
@@ -498,7 +944,7 @@ router.delete("/clear-cache", async (req, res) => {
  *                   type: string
  *                   example: Internal Server Error
  */
-router.get("/aggregate", async (req, res) => {
+router.get("/aggregate", requireRole("reader"), rateLimit({ cost: 10 }), async (req, res) => {
   try {
     const { constructionYear, roomType, cancellationPolicy, hostIdentityVerified } = req.query;
     console.log(hostIdentityVerified, "hostIdentityVerified");
@@ -566,7 +1012,7 @@ router.get("/aggregate", async (req, res) => {
 
 
 
-router.get("/migrate-to-2dsphere", async (req, res) => {
+router.get("/migrate-to-2dsphere", requireRole("admin"), rateLimit({ scope: "migration", points: 2 }), async (req, res) => {
   try {
     const aggregationPipeline = [
       // Step 1: Convert lat/long to numbers
@@ -0,0 +1,78 @@
+import dotenv from 'dotenv';
+import mongoose from 'mongoose';
+import connectDB from '../connection/mongoDB.connect.js';
+import { audit, createKey, getAuditLog, listKeys, revokeKey } from '../services/auth.service.js';
+
+dotenv.config();
+
+const USAGE = `Usage:
+  node scripts/apiKeys.js create <name> <reader|writer|admin> [quota points per window]
+  node scripts/apiKeys.js revoke <id|prefix>
+  node scripts/apiKeys.js list
+  node scripts/apiKeys.js audit [limit]`;
+
+const CLI_ACTOR = { name: 'cli' };
+
+const commands = {
+    async create(name, role, quota) {
+        if (!name || !role) return false;
+        const { key, apiKey } = await createKey(name, role, quota && parseInt(quota));
+        await audit({ action: 'apikey.create', actor: CLI_ACTOR, params: { id: apiKey._id, name, role, quota: apiKey.quota } });
+        console.log(`Created ${role} key "${name}" (${apiKey._id})`);
+        console.log(`Key: ${key}`);
+        console.log('Store it now: only its hash is kept.');
+        return true;
+    },
+
+    async revoke(idOrPrefix) {
+        if (!idOrPrefix) return false;
+        const apiKey = await revokeKey(idOrPrefix);
+        if (!apiKey) {
+            console.error(`No active key matches "${idOrPrefix}"`);
+            process.exitCode = 1;
+            return true;
+        }
+        await audit({ action: 'apikey.revoke', actor: CLI_ACTOR, params: { id: apiKey._id, name: apiKey.name } });
+        console.log(`Revoked key "${apiKey.name}" (${apiKey._id})`);
+        return true;
+    },
+
+    async list() {
+        const keys = await listKeys();
+        console.table(keys.map(({ _id, name, prefix, role, quota, createdAt, lastUsedAt, revokedAt }) => ({
+            id: String(_id), name, prefix, role, quota, createdAt, lastUsedAt, revokedAt
+        })));
+        return true;
+    },
+
+    async audit(limit) {
+        const entries = await getAuditLog(parseInt(limit) || 50);
+        for (const { at, action, actor, status } of entries) {
+            console.log(`${at.toISOString()} ${actor?.name || '-'} ${action}${status ? ` -> ${status}` : ''}`);
+        }
+        return true;
+    }
+};
+
+const run = async () => {
+    const [command, ...args] = process.argv.slice(2);
+    if (!commands[command]) {
+        console.error(USAGE);
+        process.exit(1);
+    }
+
+    try {
+        await connectDB({ attempts: 1 });
+        const ok = await commands[command](...args);
+        if (!ok) {
+            console.error(USAGE);
+            process.exitCode = 1;
+        }
+        await mongoose.disconnect();
+    } catch (error) {
+        console.error(`Error running "${command}":`, error.message);
+        process.exit(1);
+    }
+};
+
+run();
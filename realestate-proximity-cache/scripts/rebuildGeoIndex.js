@@ -0,0 +1,28 @@
+import dotenv from 'dotenv';
+import mongoose from 'mongoose';
+import connectDB from '../connection/mongoDB.connect.js';
+import client from '../connection/redis.connect.js';
+import { rebuildGeoIndex } from '../services/geo-index.service.js';
+
+dotenv.config();
+
+// Usage: node scripts/rebuildGeoIndex.js
+const run = async () => {
+    try {
+        await connectDB({ attempts: 1 });
+        await client.connect();
+
+        console.log('Rebuilding Redis GEO index from MongoDB...');
+        const { indexed, duration } = await rebuildGeoIndex();
+        console.log(`Indexed ${indexed} properties in ${(duration / 1000).toFixed(1)}s`);
+
+        await mongoose.disconnect();
+        await client.quit();
+        process.exit(0);
+    } catch (error) {
+        console.error('Error rebuilding geo index:', error);
+        process.exit(1);
+    }
+};
+
+run();
@@ -0,0 +1,93 @@
+import { createHash, randomBytes } from 'crypto';
+import mongoose from 'mongoose';
+import ApiKey, { API_KEY_ROLES } from '../model/apiKey.model.js';
+import AuditLog from '../model/auditLog.model.js';
+
+// API key authentication. Roles are ordered: a writer can do what a reader
+// can, an admin what a writer can. AUTH_ENABLED=false turns checks off for
+// local development.
+export const AUTH_CONFIG = {
+    ENABLED: process.env.AUTH_ENABLED !== 'false',
+    KEY_PREFIX: 'pk_',
+    LAST_USED_RESOLUTION_MS: 60 * 1000 // Write lastUsedAt at most once a minute per key
+};
+
+const ROLE_LEVELS = Object.fromEntries(API_KEY_ROLES.map((role, level) => [role, level]));
+
+const hashKey = (key) => createHash('sha256').update(key).digest('hex');
+
+export const hasRole = (role, required) => ROLE_LEVELS[role] >= ROLE_LEVELS[required];
+
+/**
+ * Create a key; the plain key is only ever returned here
+ * @param {string} name
+ * @param {string} role - reader, writer or admin
+ * @param {number} [quota] - Rate limit points per window, instead of the role's default
+ * @returns {Promise<{key: string, apiKey: Object}>}
+ */
+export async function createKey(name, role, quota) {
+    if (!API_KEY_ROLES.includes(role)) {
+        throw new Error(`Unknown role "${role}", expected one of ${API_KEY_ROLES.join(', ')}`);
+    }
+
+    const key = AUTH_CONFIG.KEY_PREFIX + randomBytes(32).toString('base64url');
+    const apiKey = await ApiKey.create({
+        name,
+        role,
+        quota,
+        keyHash: hashKey(key),
+        prefix: key.slice(0, AUTH_CONFIG.KEY_PREFIX.length + 8)
+    });
+
+    return { key, apiKey: apiKey.toObject() };
+}
+
+/**
+ * Revoke a key by id or prefix
+ * @returns {Promise<Object|null>} The revoked key, or null when no active key matches
+ */
+export async function revokeKey(idOrPrefix) {
+    const filter = mongoose.isValidObjectId(idOrPrefix) ? { _id: idOrPrefix } : { prefix: idOrPrefix };
+    return ApiKey.findOneAndUpdate(
+        { ...filter, revokedAt: null },
+        { $set: { revokedAt: new Date() } },
+        { new: true, projection: { keyHash: 0 } }
+    ).lean();
+}
+
+export async function listKeys() {
+    return ApiKey.find({}, { keyHash: 0 }).sort({ createdAt: -1 }).lean();
+}
+
+/**
+ * Active key matching a plain key
+ * @param {string} key
+ * @returns {Promise<Object|null>}
+ */
+export async function findKey(key) {
+    const apiKey = await ApiKey.findOne({ keyHash: hashKey(key), revokedAt: null }, { keyHash: 0 }).lean();
+    if (!apiKey) return null;
+
+    if (!apiKey.lastUsedAt || Date.now() - apiKey.lastUsedAt.getTime() > AUTH_CONFIG.LAST_USED_RESOLUTION_MS) {
+        ApiKey.updateOne({ _id: apiKey._id }, { $set: { lastUsedAt: new Date() } })
+            .catch(error => console.error('API key lastUsedAt update error:', error));
+    }
+    return apiKey;
+}
+
+/**
+ * Record an admin action. Failures are logged, never thrown: the action has already happened.
+ * @param {{action: string, actor: Object, ip?: string, params?: Object, status?: number}} entry
+ */
+export async function audit(entry) {
+    try {
+        await AuditLog.create(entry);
+    } catch (error) {
+        console.error('Audit log error:', error);
+    }
+}
+
+// Most recent audit entries
+export async function getAuditLog(limit = 100) {
+    return AuditLog.find().sort({ at: -1 }).limit(limit).lean();
+}
@@ -0,0 +1,121 @@
+import dotenv from 'dotenv';
+import fs from 'fs/promises';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import vm from 'vm';
+import { CODEC_NAMES } from './codec.service.js';
+import { familyOf } from './metrics.service.js';
+
+dotenv.config();
+
+// Loads config/cache-policy.js, or the file CACHE_POLICY_FILE names, and
+// serves the effective policy of each cache family. A reload that fails
+// validation keeps the current policy.
+const POLICY_FILE = process.env.CACHE_POLICY_FILE
+    ? path.resolve(process.env.CACHE_POLICY_FILE)
+    : fileURLToPath(new URL('../config/cache-policy.js', import.meta.url));
+
+const isSeconds = (value) => Number.isInteger(value) && value >= 0;
+
+// Each check returns an error message, or nothing when the value is valid
+const FIELDS = {
+    enabled: (value) => typeof value !== 'boolean' && 'must be true or false',
+    ttl: (value) => !(isSeconds(value) && value > 0) && 'must be a positive integer of seconds',
+    jitter: (value) => !(typeof value === 'number' && value >= 0 && value < 1) && 'must be a fraction from 0 up to 1',
+    maxBytes: (value) => value !== null && !(Number.isInteger(value) && value > 0) && 'must be a positive integer or null',
+    compression: (value) => value !== null && !CODEC_NAMES.includes(value) && `must be one of ${CODEC_NAMES.join(', ')}, or null`,
+    staleWhileRevalidate: (value) => !isSeconds(value) && 'must be a non-negative integer of seconds'
+};
+
+const isObject = (value) => typeof value === 'object' && value !== null && !Array.isArray(value);
+
+const fieldErrors = (where, fields) => Object.entries(fields).flatMap(([field, value]) => {
+    if (!FIELDS[field]) return [`${where}.${field} is not a policy field`];
+    const error = FIELDS[field](value);
+    return error ? [`${where}.${field} ${error}`] : [];
+});
+
+/**
+ * Every problem with a policy
+ * @param {Object} policy - {defaults, families}
+ * @returns {string[]} Empty when the policy is valid
+ */
+export function validatePolicy(policy) {
+    if (!isObject(policy) || !isObject(policy.defaults) || !isObject(policy.families)) {
+        return ['the policy must be a { defaults, families } object'];
+    }
+
+    const missing = Object.keys(FIELDS).filter(field => !(field in policy.defaults));
+    return [
+        ...missing.map(field => `defaults.${field} is missing`),
+        ...fieldErrors('defaults', policy.defaults),
+        ...Object.entries(policy.families).flatMap(([family, fields]) =>
+            isObject(fields) ? fieldErrors(`families.${family}`, fields) : [`families.${family} must be an object`]
+        )
+    ];
+}
+
+// The file is data, not a module: it is read and evaluated as a script in an
+// empty context each time, and its value is the policy object.
+async function loadPolicy() {
+    const source = await fs.readFile(POLICY_FILE, 'utf8');
+    const policy = vm.runInNewContext(source, {}, { filename: POLICY_FILE, timeout: 1000 });
+    const errors = validatePolicy(policy);
+    if (errors.length > 0) {
+        throw new Error(`Invalid cache policy ${POLICY_FILE}: ${errors.join('; ')}`);
+    }
+
+    const defaults = Object.freeze({ ...policy.defaults });
+    return {
+        defaults,
+        families: Object.fromEntries(Object.entries(policy.families).map(([family, fields]) =>
+            [family, Object.freeze({ ...defaults, ...fields })]
+        )),
+        loadedAt: new Date()
+    };
+}
+
+// Loaded before any cache is used: an invalid policy stops the process at startup
+let current = await loadPolicy();
+
+/**
+ * Effective policy of a family, the defaults for unlisted ones
+ * @param {string} family - e.g. "nearby"
+ * @returns {{enabled: boolean, ttl: number, jitter: number, maxBytes: number|null,
+ *   compression: string|null, staleWhileRevalidate: number}}
+ */
+export function policyFor(family) {
+    return current.families[family] || current.defaults;
+}
+
+// Policy of the family a cache key belongs to, e.g. "nearby" for "geo:..."
+export function policyForKey(key) {
+    return policyFor(familyOf(key));
+}
+
+/**
+ * A TTL with the family's jitter applied
+ * @param {number} ttl - Seconds
+ * @param {{jitter: number}} policy - From policyFor
+ * @returns {number} Seconds, at least 1
+ */
+export function jitterTTL(ttl, { jitter }) {
+    return Math.max(Math.round(ttl * (1 + jitter * (2 * Math.random() - 1))), 1);
+}
+
+// The policy in force, with every family's fields resolved
+export function getCachePolicy() {
+    return { file: POLICY_FILE, ...current };
+}
+
+/**
+ * Read the policy file again. Applies to this instance only; entries already
+ * cached keep the TTL they were written with.
+ * @returns {Promise<Object>} The new policy, as getCachePolicy returns it
+ * @throws {Error} When the file is invalid; the current policy stays
+ */
+export async function reloadCachePolicy() {
+    current = await loadPolicy();
+    console.log('Cache policy reloaded from', POLICY_FILE);
+    return getCachePolicy();
+}
@@ -0,0 +1,134 @@
+import { commandOptions } from 'redis';
+import v8 from 'v8';
+import zlib from 'zlib';
+import { promisify } from 'util';
+
+const gzip = promisify(zlib.gzip);
+const gunzip = promisify(zlib.gunzip);
+const brotliCompress = promisify(zlib.brotliCompress);
+const brotliDecompress = promisify(zlib.brotliDecompress);
+
+// Cache entry codecs: the entry format and configuration of
+// proxmity-cache/nodejs/src/utils/payloadCodec.js, which documents both
+export const CODEC_CONFIG = {
+    codec: process.env.CACHE_CODEC || 'none',
+    thresholdBytes: parseInt(process.env.CACHE_CODEC_THRESHOLD_BYTES) || 1024,
+    gzipLevel: parseInt(process.env.CACHE_CODEC_GZIP_LEVEL) || zlib.constants.Z_DEFAULT_COMPRESSION,
+    brotliQuality: parseInt(process.env.CACHE_CODEC_BROTLI_QUALITY) || 4
+};
+
+const HEADER_MARKER = 0x00;
+
+const CODECS = {
+    none: {
+        id: 0,
+        encode: async (json) => Buffer.from(json),
+        decode: async (payload) => JSON.parse(payload.toString())
+    },
+    gzip: {
+        id: 1,
+        encode: (json) => gzip(json, { level: CODEC_CONFIG.gzipLevel }),
+        decode: async (payload) => JSON.parse((await gunzip(payload)).toString())
+    },
+    brotli: {
+        id: 2,
+        encode: (json) => brotliCompress(json, {
+            params: {
+                [zlib.constants.BROTLI_PARAM_QUALITY]: CODEC_CONFIG.brotliQuality,
+                [zlib.constants.BROTLI_PARAM_SIZE_HINT]: json.length
+            }
+        }),
+        decode: async (payload) => JSON.parse((await brotliDecompress(payload)).toString())
+    },
+    v8: {
+        id: 3,
+        encode: async (json) => v8.serialize(JSON.parse(json)),
+        decode: async (payload) => v8.deserialize(payload)
+    }
+};
+
+export const CODEC_NAMES = Object.keys(CODECS);
+
+if (!CODECS[CODEC_CONFIG.codec]) {
+    throw new Error(`Unknown CACHE_CODEC "${CODEC_CONFIG.codec}", expected one of ${CODEC_NAMES.join(', ')}`);
+}
+
+const CODECS_BY_ID = Object.fromEntries(Object.entries(CODECS).map(([name, codec]) => [codec.id, name]));
+
+const codecStats = Object.fromEntries(CODEC_NAMES.map(name => [name, { entries: 0, rawBytes: 0, storedBytes: 0 }]));
+
+const ratio = ({ rawBytes, storedBytes }) => storedBytes ? +(rawBytes / storedBytes).toFixed(2) : null;
+
+/**
+ * Encode a value for Redis with a codec header
+ * @param {*} value
+ * @param {{codec?: string, thresholdBytes?: number}} [options] - Defaults from CODEC_CONFIG
+ * @returns {Promise<{payload: Buffer, codec: string, rawBytes: number, storedBytes: number}>}
+ */
+export async function encodePayload(value, { codec = CODEC_CONFIG.codec, thresholdBytes = CODEC_CONFIG.thresholdBytes } = {}) {
+    if (!CODECS[codec]) {
+        throw new Error(`Unknown cache codec "${codec}", expected one of ${CODEC_NAMES.join(', ')}`);
+    }
+
+    const json = JSON.stringify(value);
+    const rawBytes = Buffer.byteLength(json);
+    const used = rawBytes < thresholdBytes ? 'none' : codec;
+
+    const encoded = await CODECS[used].encode(json);
+    const payload = Buffer.concat([Buffer.from([HEADER_MARKER, CODECS[used].id]), encoded]);
+
+    const stats = codecStats[used];
+    stats.entries++;
+    stats.rawBytes += rawBytes;
+    stats.storedBytes += payload.length;
+
+    return { payload, codec: used, rawBytes, storedBytes: payload.length };
+}
+
+/**
+ * Decode a stored value: a codec entry, or plain JSON from before codecs
+ * @param {Buffer|string} stored
+ * @returns {Promise<*>}
+ */
+export async function decodePayload(stored) {
+    const buffer = Buffer.isBuffer(stored) ? stored : Buffer.from(stored);
+    if (buffer[0] !== HEADER_MARKER) {
+        return JSON.parse(buffer.toString());
+    }
+
+    const name = CODECS_BY_ID[buffer[1]];
+    if (!name) {
+        throw new Error(`Unknown cache codec id ${buffer[1]}`);
+    }
+    return CODECS[name].decode(buffer.subarray(2));
+}
+
+/**
+ * Read and decode a cache entry
+ * @param {Object} client - node-redis client
+ * @param {string} key
+ * @returns {Promise<*|null>} null when the key does not exist
+ */
+export async function getDecoded(client, key) {
+    const stored = await client.get(commandOptions({ returnBuffers: true }), key);
+    return stored ? decodePayload(stored) : null;
+}
+
+/**
+ * Entries written per codec and the overall compression ratio (raw / stored bytes)
+ * @returns {Object}
+ */
+export function getCodecStats() {
+    const totals = Object.values(codecStats).reduce((sum, { rawBytes, storedBytes }) => ({
+        rawBytes: sum.rawBytes + rawBytes,
+        storedBytes: sum.storedBytes + storedBytes
+    }), { rawBytes: 0, storedBytes: 0 });
+
+    return {
+        codec: CODEC_CONFIG.codec,
+        thresholdBytes: CODEC_CONFIG.thresholdBytes,
+        ...totals,
+        ratio: ratio(totals),
+        byCodec: Object.fromEntries(Object.entries(codecStats).map(([name, stats]) => [name, { ...stats, ratio: ratio(stats) }]))
+    };
+}
@@ -0,0 +1,79 @@
+import { createHash } from 'crypto';
+
+// Keyset pagination over distance-ordered results. A cursor is an opaque token
+// holding the (distance, _id) of the last row served, the source whose
+// distances it compares against, and a fingerprint of the query it belongs to.
+// Rows are ordered by distance, then _id, so equal distances never straddle
+// a page boundary ambiguously.
+
+// Same query, same fingerprint, whatever the key order; undefined filters are left out
+const fingerprint = (query) => createHash('sha1')
+    .update(JSON.stringify(Object.entries(query).filter(([, value]) => value !== undefined && value !== null).sort()))
+    .digest('base64url')
+    .slice(0, 12);
+
+const rowId = (row) => String(row._id ?? row.member);
+
+/**
+ * Order rows by distance, then _id (or GEO member)
+ * @returns {number}
+ */
+export function compareKeyset(a, b) {
+    if (a.distance !== b.distance) return a.distance - b.distance;
+    const idA = rowId(a);
+    const idB = rowId(b);
+    return idA < idB ? -1 : idA > idB ? 1 : 0;
+}
+
+/**
+ * Opaque token for the page after `row`
+ * @param {{distance: number, _id?: *, member?: string}} row - Last row served
+ * @param {string} source - Where the distances come from, e.g. "mongodb"
+ * @param {Object} query - Parameters the next page must be requested with
+ * @returns {string}
+ */
+export function encodeCursor(row, source, query) {
+    return Buffer.from(JSON.stringify([row.distance, rowId(row), source, fingerprint(query)])).toString('base64url');
+}
+
+/**
+ * Read the `cursor` query parameter: absent keeps offset paging, empty starts
+ * from the nearest row, a token continues after the row it encodes
+ * @param {string|undefined} token
+ * @param {Object} query - Same shape as given to encodeCursor
+ * @returns {{isValid: boolean, error?: string, keyset?: {after: {distance: number, _id: string, source: string}|null}|null}}
+ */
+export function parseCursor(token, query) {
+    if (token === undefined) return { isValid: true, keyset: null };
+    if (token === '') return { isValid: true, keyset: { after: null } };
+
+    let parts;
+    try {
+        parts = JSON.parse(Buffer.from(String(token), 'base64url').toString());
+    } catch (error) {
+        parts = null;
+    }
+
+    if (!Array.isArray(parts) || parts.length !== 4 ||
+        !Number.isFinite(parts[0]) || !/^[0-9a-f]{24}$/.test(parts[1]) || typeof parts[2] !== 'string') {
+        return { isValid: false, error: 'Invalid cursor' };
+    }
+
+    const [distance, _id, source, queryFingerprint] = parts;
+    if (queryFingerprint !== fingerprint(query)) {
+        return { isValid: false, error: 'Cursor was issued for a different query' };
+    }
+    return { isValid: true, keyset: { after: { distance, _id, source } } };
+}
+
+/**
+ * Next page of already sorted rows after the cursor
+ * @param {Array<Object>} rows - Ordered by compareKeyset
+ * @param {{distance: number, _id: string}|null} after - null for the first page
+ * @param {number} pageSize
+ * @returns {{rows: Array<Object>, hasMore: boolean}}
+ */
+export function keysetPage(rows, after, pageSize) {
+    const remaining = after ? rows.filter(row => compareKeyset(row, after) > 0) : rows;
+    return { rows: remaining.slice(0, pageSize), hasMore: remaining.length > pageSize };
+}
@@ -0,0 +1,260 @@
+import { createHash } from 'crypto';
+import { Transform } from 'stream';
+import { pipeline } from 'stream/promises';
+import client from '../connection/redis.connect.js';
+import Property from '../model/property.model.js';
+import { DATASET_TAG } from './cache-tags.service.js';
+import { getCache, setCacheWithExpiry } from './redis.services.js';
+
+// Export formats chosen by ?format= or the Accept header. JSON keeps each
+// route's own response; the others carry the properties only, one per
+// feature, line or record, with the rest of the response in X- headers (and,
+// for GeoJSON, in the collection's metadata member). A serialized page is
+// cached next to the JSON entry of the same query under the same cell tags;
+// full exports stream from MongoDB and are not cached.
+export const EXPORT_FORMATS = {
+    json: 'application/json',
+    geojson: 'application/geo+json',
+    ndjson: 'application/x-ndjson',
+    csv: 'text/csv',
+    msgpack: 'application/vnd.msgpack'
+};
+
+const RESPONSE_HEADERS = {
+    totalCount: 'X-Total-Count',
+    totalPages: 'X-Total-Pages',
+    currentPage: 'X-Page',
+    nextCursor: 'X-Next-Cursor',
+    hasMore: 'X-Has-More'
+};
+
+// CSV columns: the plain schema fields, then the coordinates and query distance
+const CSV_COLUMNS = [...new Set([
+    ...Object.keys(Property.schema.paths).filter(path => !path.startsWith('location') && path !== '__v'),
+    'longitude',
+    'latitude',
+    'distance'
+])];
+
+/**
+ * Answer a failed request with a JSON error, or abort the response when an
+ * export already started streaming it, so the client sees it truncated
+ * @param {Object} res - Express response
+ * @param {Object} body - JSON error body
+ * @param {number} [status]
+ */
+export function sendError(res, body, status = 500) {
+    if (res.headersSent) return res.destroy();
+    res.status(status).json(body);
+}
+
+/**
+ * Format of a request: ?format= when given, else the best Accept match, else JSON
+ * @param {Object} req - Express request
+ * @returns {{isValid: boolean, error?: string, format?: string}}
+ */
+export function negotiateFormat(req) {
+    const { format } = req.query;
+    if (format !== undefined) {
+        return EXPORT_FORMATS[format]
+            ? { isValid: true, format }
+            : { isValid: false, error: `format must be one of ${Object.keys(EXPORT_FORMATS).join(', ')}` };
+    }
+
+    const type = req.accepts(Object.values(EXPORT_FORMATS));
+    return { isValid: true, format: Object.keys(EXPORT_FORMATS).find(name => EXPORT_FORMATS[name] === type) || 'json' };
+}
+
+/**
+ * limit=all asks for every match, streamed in a row format instead of paged
+ * @returns {{isValid: boolean, error?: string, stream?: boolean}}
+ */
+export function parseExportLimit(format, limit, cursor) {
+    if (limit !== 'all') return { isValid: true, stream: false };
+
+    if (format === 'json' || cursor !== undefined) {
+        return { isValid: false, error: 'limit=all needs format geojson, ndjson, csv or msgpack, and no cursor' };
+    }
+    return { isValid: true, stream: true };
+}
+
+// Properties as JSON would send them (ObjectIds and Dates become strings), with their coordinates
+const plain = (property) => {
+    const row = JSON.parse(JSON.stringify(property));
+    const [longitude, latitude] = row.location?.coordinates ?? [];
+    return { longitude, latitude, ...row };
+};
+
+const toFeature = (property) => {
+    const { location, ...properties } = plain(property);
+    return {
+        type: 'Feature',
+        id: properties._id,
+        geometry: { type: 'Point', coordinates: [properties.longitude, properties.latitude] },
+        properties
+    };
+};
+
+const csvValue = (value) => {
+    if (value === undefined || value === null) return '';
+    const text = typeof value === 'object' ? JSON.stringify(value) : String(value);
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+// Minimal MessagePack encoder for JSON values
+function encodeMsgpack(value) {
+    const chunks = [];
+    const header = (...bytes) => chunks.push(Buffer.from(bytes));
+    // Type byte for a length: the fix form when it fits, else the 8-, 16- or 32-bit form
+    const sized = (length, fix, fixMax, [code8, code16, code32]) => {
+        if (length <= fixMax) return header(fix | length);
+        if (code8 && length < 0x100) return header(code8, length);
+
+        const buffer = Buffer.alloc(length < 0x10000 ? 3 : 5);
+        if (length < 0x10000) {
+            buffer[0] = code16;
+            buffer.writeUInt16BE(length, 1);
+        } else {
+            buffer[0] = code32;
+            buffer.writeUInt32BE(length, 1);
+        }
+        chunks.push(buffer);
+    };
+
+    const write = (v) => {
+        if (v === null || v === undefined) return header(0xc0);
+        if (typeof v === 'boolean') return header(v ? 0xc3 : 0xc2);
+
+        if (typeof v === 'number') {
+            if (Number.isInteger(v) && v >= -32 && v < 128) return header(v & 0xff);
+            const buffer = Buffer.alloc(9);
+            if (Number.isSafeInteger(v)) {
+                buffer[0] = 0xd3;
+                buffer.writeBigInt64BE(BigInt(v), 1);
+            } else {
+                buffer[0] = 0xcb;
+                buffer.writeDoubleBE(v, 1);
+            }
+            return chunks.push(buffer);
+        }
+
+        if (typeof v === 'string') {
+            const bytes = Buffer.from(v);
+            sized(bytes.length, 0xa0, 31, [0xd9, 0xda, 0xdb]);
+            return chunks.push(bytes);
+        }
+
+        if (Array.isArray(v)) {
+            sized(v.length, 0x90, 15, [0, 0xdc, 0xdd]);
+            return v.forEach(write);
+        }
+
+        const entries = Object.entries(v).filter(([, entry]) => entry !== undefined);
+        sized(entries.length, 0x80, 15, [0, 0xde, 0xdf]);
+        entries.forEach(([key, entry]) => {
+            write(key);
+            write(entry);
+        });
+    };
+
+    write(value);
+    return Buffer.concat(chunks);
+}
+
+// head, one chunk per property, and tail of each format
+const WRITERS = {
+    geojson: {
+        head: (metadata) => `{"type":"FeatureCollection","metadata":${JSON.stringify(metadata)},"features":[`,
+        row: (property, index) => (index > 0 ? ',' : '') + JSON.stringify(toFeature(property)),
+        tail: () => ']}'
+    },
+    ndjson: {
+        head: () => '',
+        row: (property) => `${JSON.stringify(property)}\n`,
+        tail: () => ''
+    },
+    csv: {
+        head: () => `${CSV_COLUMNS.join(',')}\r\n`,
+        row: (property) => {
+            const values = plain(property);
+            return `${CSV_COLUMNS.map(column => csvValue(values[column])).join(',')}\r\n`;
+        },
+        tail: () => ''
+    },
+    msgpack: {
+        head: () => '',
+        row: (property) => encodeMsgpack(plain(property)),
+        tail: () => ''
+    }
+};
+
+function serializeProperties(format, properties, metadata) {
+    const writer = WRITERS[format];
+    return Buffer.concat([
+        writer.head(metadata),
+        ...properties.map((property, index) => writer.row(property, index)),
+        writer.tail()
+    ].map(chunk => Buffer.from(chunk)));
+}
+
+const queryKey = (query) => createHash('sha1')
+    .update(JSON.stringify(Object.entries(query).filter(([, value]) => value !== undefined && value !== null).sort()))
+    .digest('base64url')
+    .slice(0, 16);
+
+/**
+ * One page in a non-JSON format
+ * @param {string} format - geojson, ndjson, csv or msgpack
+ * @param {Function} load - Resolves the JSON response, with its rows in `properties`
+ * @param {{family: string, query: Object, tags: string[]}} [cache] - Cache the serialized page
+ *   under every parameter it depends on, with the cell tags of its JSON entry
+ * @returns {Promise<{contentType: string, headers: Object<string, string>, body: Buffer}>}
+ */
+export async function getExportPage(format, load, cache) {
+    // MessagePack is binary; the cache stores it as base64
+    const encoding = format === 'msgpack' ? 'base64' : 'utf8';
+    const key = cache && `export:${cache.family}:${queryKey(cache.query)}:${format}`;
+
+    let page = key && await getCache(client, key);
+    if (!page) {
+        const { properties, ...metadata } = await load();
+        const headers = Object.fromEntries(Object.entries(RESPONSE_HEADERS)
+            .filter(([field]) => metadata[field] !== undefined && metadata[field] !== null)
+            .map(([field, header]) => [header, String(metadata[field])]));
+        page = { headers, body: serializeProperties(format, properties, metadata).toString(encoding) };
+
+        if (key) {
+            await setCacheWithExpiry(client, key, page, { tags: [DATASET_TAG, 'family:export', ...cache.tags] });
+        }
+    }
+
+    return { contentType: EXPORT_FORMATS[format], headers: page.headers, body: Buffer.from(page.body, encoding) };
+}
+
+/**
+ * Stream every property of a MongoDB cursor to the response in a non-JSON
+ * format, written as it is read instead of built in memory
+ * @param {string} format
+ * @param {import('stream').Readable} cursor
+ * @param {Object} res - Express response
+ * @param {Object} [metadata] - Query description, for GeoJSON
+ */
+export async function streamExport(format, cursor, res, metadata = {}) {
+    const writer = WRITERS[format];
+    let index = 0;
+
+    const serializer = new Transform({
+        writableObjectMode: true,
+        transform(property, encoding, callback) {
+            callback(null, Buffer.from(writer.row(property, index++)));
+        },
+        flush(callback) {
+            callback(null, Buffer.from(writer.tail()));
+        }
+    });
+    const head = writer.head(metadata);
+    if (head) serializer.push(Buffer.from(head));
+
+    res.status(200).type(EXPORT_FORMATS[format]);
+    await pipeline(cursor, serializer, res);
+}
@@ -0,0 +1,171 @@
+import { createHash } from 'crypto';
+
+// Polygon search input. Geometries are normalized before hashing so that the
+// same area drawn from another vertex, in the other direction or with more
+// decimals than coordinates carry resolves to the same cache entry.
+const MAX_VERTICES = parseInt(process.env.WITHIN_MAX_VERTICES) || 2000;
+const DECIMALS = 6; // ~0.1 m
+const BBOX_MARGIN_DEGREES = 0.01; // Wider than the bow of boxPolygon's half-degree edges
+
+const round = (value) => Number(value.toFixed(DECIMALS));
+
+// Twice the signed area; positive for counter-clockwise rings
+const signedArea = (ring) => ring.reduce((sum, [x1, y1], i) => {
+    const [x2, y2] = ring[(i + 1) % ring.length];
+    return sum + (x1 * y2 - x2 * y1);
+}, 0);
+
+const comparePositions = ([x1, y1], [x2, y2]) => x1 - x2 || y1 - y2;
+
+// Short stable hash of a normalized geometry, for cache keys
+const geometryHash = (geometry) =>
+    createHash('sha1').update(JSON.stringify(geometry.coordinates)).digest('hex').slice(0, 16);
+
+/**
+ * Open ring starting at its smallest vertex, counter-clockwise for shells and
+ * clockwise for holes (the GeoJSON right-hand rule), then closed again
+ */
+function normalizeRing(ring, isHole) {
+    let open = ring.slice(0, -1).map(([lng, lat]) => [round(lng), round(lat)]);
+    if ((signedArea(open) > 0) === isHole) open.reverse();
+
+    const start = open.reduce((best, position, i) => comparePositions(position, open[best]) < 0 ? i : best, 0);
+    open = [...open.slice(start), ...open.slice(0, start)];
+    return [...open, open[0]];
+}
+
+/**
+ * Check a GeoJSON Polygon or MultiPolygon
+ * @param {Object} geometry
+ * @returns {string|null} The problem, or null when valid
+ */
+function geometryError(geometry) {
+    if (!geometry || !['Polygon', 'MultiPolygon'].includes(geometry.type) || !Array.isArray(geometry.coordinates)) {
+        return 'geometry must be a GeoJSON Polygon or MultiPolygon';
+    }
+
+    const polygons = geometry.type === 'Polygon' ? [geometry.coordinates] : geometry.coordinates;
+    let vertices = 0;
+    for (const polygon of polygons) {
+        if (!Array.isArray(polygon) || polygon.length === 0) return 'Every polygon needs at least one ring';
+
+        for (const ring of polygon) {
+            if (!Array.isArray(ring) || ring.length < 4) return 'Every ring needs at least 4 positions';
+
+            const valid = ring.every(position => Array.isArray(position) && position.length >= 2 &&
+                Number.isFinite(position[0]) && Number.isFinite(position[1]) &&
+                Math.abs(position[0]) <= 180 && Math.abs(position[1]) <= 90);
+            if (!valid) return 'Positions must be [longitude, latitude] within [-180, -90, 180, 90]';
+
+            const [first, last] = [ring[0], ring[ring.length - 1]];
+            if (first[0] !== last[0] || first[1] !== last[1]) return 'Every ring must end on its first position';
+            vertices += ring.length;
+        }
+    }
+
+    if (vertices > MAX_VERTICES) {
+        return `geometry has ${vertices} positions, more than the limit of ${MAX_VERTICES}`;
+    }
+    return null;
+}
+
+// Canonical MultiPolygon of a valid Polygon or MultiPolygon
+function normalizeGeometry(geometry) {
+    const polygons = geometry.type === 'Polygon' ? [geometry.coordinates] : geometry.coordinates;
+    const normalized = polygons
+        .map(([shell, ...holes]) => [
+            normalizeRing(shell, false),
+            ...holes.map(hole => normalizeRing(hole, true)).sort((a, b) => comparePositions(a[0], b[0]))
+        ])
+        .sort((a, b) => comparePositions(a[0][0], b[0][0]));
+
+    return { type: 'MultiPolygon', coordinates: normalized };
+}
+
+/**
+ * Bounds of a normalized geometry's shells
+ * @param {Object} geometry - MultiPolygon
+ * @returns {{minLat: number, minLng: number, maxLat: number, maxLng: number}}
+ */
+export function geometryBounds(geometry) {
+    const positions = geometry.coordinates.flatMap(([shell]) => shell);
+    return {
+        minLng: Math.min(...positions.map(([lng]) => lng)),
+        minLat: Math.min(...positions.map(([, lat]) => lat)),
+        maxLng: Math.max(...positions.map(([lng]) => lng)),
+        maxLat: Math.max(...positions.map(([, lat]) => lat))
+    };
+}
+
+/**
+ * Polygon of a lat/lng box grown by a margin. Its edges are geodesics, which
+ * bow away from the parallels, so the east-west edges get a vertex every half
+ * degree to keep them within the margin.
+ * @param {{minLat: number, minLng: number, maxLat: number, maxLng: number}} box
+ * @param {number} marginDegrees
+ * @returns {Object} GeoJSON Polygon
+ */
+export function boxPolygon({ minLat, minLng, maxLat, maxLng }, marginDegrees) {
+    const m = marginDegrees;
+    const [south, north] = [Math.max(minLat - m, -89.999), Math.min(maxLat + m, 89.999)];
+    const [west, east] = [Math.max(minLng - m, -180), Math.min(maxLng + m, 180)];
+    const steps = Math.max(1, Math.ceil((east - west) * 2));
+    const lngAt = (i) => west + (east - west) * i / steps;
+
+    return {
+        type: 'Polygon',
+        coordinates: [[
+            ...Array.from({ length: steps + 1 }, (_, i) => [lngAt(i), south]),
+            ...Array.from({ length: steps + 1 }, (_, i) => [lngAt(steps - i), north]),
+            [west, south]
+        ]]
+    };
+}
+
+/**
+ * Whether MongoDB rejected a query's geometry, e.g. a ring with crossing edges
+ * @param {Error} error
+ * @returns {boolean}
+ */
+export const isBadGeometry = (error) => error?.code === 2 || error?.codeName === 'BadValue';
+
+/**
+ * Validate a polygon search body: a GeoJSON Polygon/MultiPolygon or a bbox
+ * [minLng, minLat, maxLng, maxLat]. A bbox is searched as its polygon grown by
+ * a margin, which only narrows the index scan, and the box itself on the
+ * coordinates, since the polygon's edges are geodesics rather than parallels.
+ * @param {{geometry?: Object, bbox?: number[]}} body
+ * @returns {{isValid: boolean, error?: string, within?: {geometry: Object, hash: string, box?: Object}}}
+ */
+export function parseWithin({ geometry, bbox } = {}) {
+    if ((geometry === undefined) === (bbox === undefined)) {
+        return { isValid: false, error: 'Either geometry or bbox is required' };
+    }
+
+    if (bbox !== undefined) {
+        const valid = Array.isArray(bbox) && bbox.length === 4 && bbox.every(Number.isFinite) &&
+            bbox[0] >= -180 && bbox[2] <= 180 && bbox[1] >= -90 && bbox[3] <= 90 &&
+            bbox[0] < bbox[2] && bbox[1] < bbox[3];
+        if (!valid) {
+            return { isValid: false, error: 'bbox must be [minLng, minLat, maxLng, maxLat] with min below max' };
+        }
+
+        // A polygon that wide no longer tells which side of the globe it covers
+        if (bbox[2] - bbox[0] >= 180) {
+            return { isValid: false, error: 'bbox must span less than 180 degrees of longitude' };
+        }
+
+        const [minLng, minLat, maxLng, maxLat] = bbox;
+        const box = { minLat, minLng, maxLat, maxLng };
+        const normalized = normalizeGeometry(boxPolygon(box, BBOX_MARGIN_DEGREES));
+        return { isValid: true, within: { geometry: normalized, hash: `bbox-${geometryHash(normalized)}`, box } };
+    }
+
+    const error = geometryError(geometry);
+    if (error) {
+        return { isValid: false, error };
+    }
+
+    const normalized = normalizeGeometry(geometry);
+    return { isValid: true, within: { geometry: normalized, hash: geometryHash(normalized) } };
+}
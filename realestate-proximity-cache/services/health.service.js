@@ -0,0 +1,150 @@
+import mongoose from 'mongoose';
+import { isRedisReady, pingRedis } from '../connection/redis.connect.js';
+import Property from '../model/property.model.js';
+import { recordDegradedMode, recordDependencyUp } from './metrics.service.js';
+
+// Liveness and readiness of the service, and its degraded mode: while Redis is
+// unreachable every query is served from MongoDB, uncached, instead of failing.
+// Writes made meanwhile queue their cache work (see onRedisRecovery), which
+// runs once Redis is back.
+const HEALTH_CONFIG = {
+    CHECK_TIMEOUT_MS: parseInt(process.env.HEALTH_CHECK_TIMEOUT_MS) || 2000,
+    MONITOR_INTERVAL_MS: parseInt(process.env.HEALTH_MONITOR_INTERVAL_MS) || 5000
+};
+
+const MONGO_STATES = ['disconnected', 'connected', 'connecting', 'disconnecting'];
+
+const recoveryHandlers = [];
+let degradedSince = null;
+let monitor = null;
+
+// Whether Redis is unusable right now; cache reads miss and writes are skipped
+export const isDegraded = () => !isRedisReady();
+
+/**
+ * Run `handler` each time Redis comes back after an outage
+ * @param {Function} handler - May be async; its errors are logged
+ */
+export function onRedisRecovery(handler) {
+    recoveryHandlers.push(handler);
+}
+
+const withTimeout = (promise, what) => {
+    let timer;
+    const timeout = new Promise((_, reject) => {
+        timer = setTimeout(() => reject(new Error(`${what} timed out`)), HEALTH_CONFIG.CHECK_TIMEOUT_MS);
+    });
+    return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+};
+
+// Run one check, timing it; a thrown error fails the check with its message
+async function runCheck(name, check) {
+    const startedAt = Date.now();
+    try {
+        const details = await withTimeout(check(), name);
+        return { ok: true, latencyMs: Date.now() - startedAt, ...details };
+    } catch (error) {
+        return { ok: false, latencyMs: Date.now() - startedAt, error: error.message };
+    }
+}
+
+async function checkMongo() {
+    const { readyState } = mongoose.connection;
+    if (readyState !== 1) throw new Error(`MongoDB is ${MONGO_STATES[readyState] || 'unavailable'}`);
+    await mongoose.connection.db.admin().ping();
+}
+
+async function checkRedis() {
+    if (!isRedisReady()) throw new Error('Redis is not connected');
+    await pingRedis();
+}
+
+// Index key, named the way MongoDB names indexes by default, e.g. "location_2dsphere"
+const indexName = (fields) => Object.entries(fields).map(([field, type]) => `${field}_${type}`).join('_');
+
+// Every index the schema declares must exist: geo queries fail without the 2dsphere one
+async function checkIndexes() {
+    const existing = new Set((await Property.collection.indexes()).map(index => indexName(index.key)));
+    const missing = Property.schema.indexes()
+        .map(([fields]) => indexName(fields))
+        .filter(name => !existing.has(name));
+    if (missing.length > 0) throw new Error(`Missing indexes on ${Property.collection.name}: ${missing.join(', ')}`);
+    return { collection: Property.collection.name };
+}
+
+/**
+ * Readiness of the service. MongoDB and its indexes are required; without
+ * Redis the service is degraded but still serves every query.
+ * @returns {Promise<{status: 'ready'|'degraded'|'unavailable', degraded: boolean,
+ *   degradedSince: Date|null, checks: Object}>}
+ */
+export async function checkReadiness() {
+    const mongodb = await runCheck('MongoDB ping', checkMongo);
+    const [redis, indexes] = await Promise.all([
+        runCheck('Redis ping', checkRedis),
+        mongodb.ok ? runCheck('Index check', checkIndexes) : { ok: false, error: 'MongoDB is unavailable' }
+    ]);
+
+    recordDependencyUp('mongodb', mongodb.ok);
+    recordDependencyUp('redis', redis.ok);
+    recordDependencyUp('indexes', indexes.ok);
+
+    const degraded = isDegraded() || !redis.ok;
+    let status = 'ready';
+    if (!mongodb.ok || !indexes.ok) status = 'unavailable';
+    else if (degraded) status = 'degraded';
+
+    return {
+        status,
+        degraded,
+        degradedSince: degraded ? degradedSince : null,
+        checks: { mongodb, redis, indexes }
+    };
+}
+
+// Log entering and leaving degraded mode, and run the recovery handlers on leaving it
+async function updateDegradedMode() {
+    const degraded = isDegraded();
+    recordDegradedMode(degraded);
+
+    if (degraded && !degradedSince) {
+        degradedSince = new Date();
+        console.warn('Redis unavailable: degraded mode, serving from MongoDB without caching');
+    } else if (!degraded && degradedSince) {
+        console.log(`Redis available again after ${Math.round((Date.now() - degradedSince) / 1000)}s: leaving degraded mode`);
+        degradedSince = null;
+        for (const handler of recoveryHandlers) {
+            try {
+                await handler();
+            } catch (error) {
+                console.error('Redis recovery handler failed:', error);
+            }
+        }
+    }
+}
+
+/**
+ * Follow the Redis connection and keep the degraded mode and dependency
+ * metrics current. Call once at startup.
+ */
+export function startHealthMonitor() {
+    if (monitor) return;
+
+    // A tick replaying a long backlog of invalidations is not overlapped by the next one
+    let ticking = false;
+    const tick = async () => {
+        if (ticking) return;
+        ticking = true;
+        try {
+            await updateDegradedMode();
+            await checkReadiness();
+        } catch (error) {
+            console.error('Health monitor error:', error);
+        } finally {
+            ticking = false;
+        }
+    };
+    tick();
+    monitor = setInterval(tick, HEALTH_CONFIG.MONITOR_INTERVAL_MS);
+    monitor.unref();
+}
@@ -1,5 +1,10 @@
-import client from '../connection/redis.connect.js';
+import client, { hashTag } from '../connection/redis.connect.js';
 import Geohash from 'ngeohash';
+import { DATASET_TAG, coverTags, onKeysInvalidated } from './cache-tags.service.js';
+import { policyFor } from './cache-policy.service.js';
+import { getDecoded } from './codec.service.js';
+import { isDegraded } from './health.service.js';
+import { setCacheWithExpiry } from './redis.services.js';
 
 // Geohash precision levels for different radiuses
 const GEOHASH_PRECISION = {
@@ -32,38 +37,24 @@ export const organizeCache = {
     }
 };
 
-// Radius-based cache invalidation
+// Radius helpers; invalidation goes through cache-tags.service.js
 export const radiusCache = {
-    // Invalidate cache in radius
-    async invalidateRadius(lat, lng, radius) {
-        const precision = organizeCache.getPrecision(radius);
-        const geohash = Geohash.encode(lat, lng, precision);
-        const neighbors = Geohash.neighbors(geohash);
-        
-        // Include center and neighbors
-        const cellsToInvalidate = [geohash, ...neighbors];
-        
-        for (const cell of cellsToInvalidate) {
-            const pattern = `geo:${cell}:*`;
-            const keys = await client.keys(pattern);
-            if (keys.length > 0) {
-                await client.del(keys);
-            }
-        }
-    },
-
-    // Check if point falls within cached radius
-    isPointInRadius(centerLat, centerLng, pointLat, pointLng, radius) {
+    // Great-circle distance between two points in km
+    distanceKm(lat1, lng1, lat2, lng2) {
         const R = 6371; // Earth's radius in km
-        const dLat = (pointLat - centerLat) * Math.PI / 180;
-        const dLon = (pointLng - centerLng) * Math.PI / 180;
+        const dLat = (lat2 - lat1) * Math.PI / 180;
+        const dLon = (lng2 - lng1) * Math.PI / 180;
         const a = 
             Math.sin(dLat/2) * Math.sin(dLat/2) +
-            Math.cos(centerLat * Math.PI / 180) * Math.cos(pointLat * Math.PI / 180) * 
+            Math.cos(lat1 * Math.PI / 180) * Math.cos(lat2 * Math.PI / 180) * 
             Math.sin(dLon/2) * Math.sin(dLon/2);
         const c = 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1-a));
-        const d = R * c;
-        return d <= radius;
+        return R * c;
+    },
+
+    // Check if point falls within cached radius
+    isPointInRadius(centerLat, centerLng, pointLat, pointLng, radius) {
+        return this.distanceKm(centerLat, centerLng, pointLat, pointLng) <= radius;
     }
 };
 
@@ -72,38 +63,177 @@ export const cacheOptimizer = {
     hitCounter: new Map(),
     missCounter: new Map(),
 
-    async trackHit(geohash) {
-        this.hitCounter.set(geohash, (this.hitCounter.get(geohash) || 0) + 1);
-        await this.optimizeIfNeeded(geohash);
+    async trackHit(key) {
+        this.hitCounter.set(key, (this.hitCounter.get(key) || 0) + 1);
+        await this.optimizeIfNeeded(key);
     },
 
-    async trackMiss(geohash) {
-        this.missCounter.set(geohash, (this.missCounter.get(geohash) || 0) + 1);
-        await this.optimizeIfNeeded(geohash);
+    async trackMiss(key) {
+        this.missCounter.set(key, (this.missCounter.get(key) || 0) + 1);
+        await this.optimizeIfNeeded(key);
     },
 
-    async optimizeIfNeeded(geohash) {
-        const hits = this.hitCounter.get(geohash) || 0;
-        const misses = this.missCounter.get(geohash) || 0;
+    async optimizeIfNeeded(key) {
+        const hits = this.hitCounter.get(key) || 0;
+        const misses = this.missCounter.get(key) || 0;
         const total = hits + misses;
 
         if (total >= 100) { // Analyze every 100 requests
             const hitRatio = hits / total;
             
             if (hitRatio < 0.5) { // If hit ratio is low, adjust cache strategy
-                await this.adjustCacheStrategy(geohash, hitRatio);
+                await this.adjustCacheStrategy(key, hitRatio);
             }
 
             // Reset counters
-            this.hitCounter.set(geohash, 0);
-            this.missCounter.set(geohash, 0);
+            this.hitCounter.set(key, 0);
+            this.missCounter.set(key, 0);
+        }
+    },
+
+    async adjustCacheStrategy(key, hitRatio) {
+        if (hitRatio < 0.3 && !isDegraded()) {
+            // Cut the entry's remaining TTL to half the family's TTL
+            const reducedTTL = Math.floor(policyFor('nearby').ttl / 2);
+            if (await client.ttl(key) > reducedTTL) {
+                await client.expire(key, reducedTTL);
+            }
+        }
+    }
+};
+
+// Semantic cache: complete result sets of small-enough radius queries, found by
+// containment so a query inside a cached circle is answered without MongoDB.
+// Circles are registered in one GEO set per radius class, under the largest
+// class not above their radius: any member of a class within (class - radius)
+// km of a query then contains it, so the COUNT never hides a containing circle.
+const SEMANTIC_CONFIG = {
+    MAX_ITEMS: parseInt(process.env.SUPERSET_MAX_ITEMS) || 2000,
+    MAX_RADIUS_KM: parseFloat(process.env.SUPERSET_MAX_RADIUS_KM) || 50,
+    RADIUS_CLASSES_KM: [0.5, 1, 2, 3, 5, 7.5, 10, 15, 20, 30, 50],
+    CANDIDATES: 5,
+    PRUNE_BATCH: 100
+};
+
+// One hash tag, so the registries and the expiry index share a cluster slot
+const registryKey = (radiusClass) => `${hashTag('semantic')}:nearby:${radiusClass}`;
+const EXPIRY_KEY = `${hashTag('semantic')}:expiry`;
+
+const supersetKey = (lat, lng, radius) => `superset:${lat}:${lng}:${radius}`;
+const isSupersetKey = (key) => key.startsWith('superset:');
+
+// Largest radius class not above the radius; undefined below the smallest
+const radiusClass = (radius) => SEMANTIC_CONFIG.RADIUS_CLASSES_KM.filter(bound => bound <= radius).pop();
+
+// Drop superset keys from their registry and the expiry index
+async function unregister(keys) {
+    if (keys.length === 0) return;
+
+    const multi = client.multi();
+    for (const key of keys) {
+        const bound = radiusClass(parseFloat(key.split(':').pop()));
+        if (bound !== undefined) multi.zRem(registryKey(bound), key);
+    }
+    await multi.zRem(EXPIRY_KEY, keys).exec();
+}
+
+// Registry members whose entry has expired, a batch at a time
+async function pruneExpired() {
+    const expired = await client.zRangeByScore(EXPIRY_KEY, 0, Date.now(), {
+        LIMIT: { offset: 0, count: SEMANTIC_CONFIG.PRUNE_BATCH }
+    });
+    await unregister(expired);
+    return expired.length;
+}
+
+onKeysInvalidated(keys => unregister(keys.filter(isSupersetKey)));
+
+export const semanticCache = {
+    stats: { lookups: 0, hits: 0, misses: 0, stored: 0, expired: 0 },
+
+    // Largest result set worth keeping whole
+    maxItems: SEMANTIC_CONFIG.MAX_ITEMS,
+
+    /**
+     * Keep the complete result set of a radius query for later containment lookups
+     * @param {Array} properties - Every property within the radius, each with `distance` in meters
+     */
+    async store(lat, lng, radius, properties) {
+        // Redis GEO only accepts latitudes inside the Web Mercator range
+        const bound = radiusClass(radius);
+        if (bound === undefined || radius > SEMANTIC_CONFIG.MAX_RADIUS_KM ||
+            properties.length > SEMANTIC_CONFIG.MAX_ITEMS || Math.abs(lat) > 85.05112878) {
+            return false;
         }
+
+        const key = supersetKey(lat, lng, radius);
+        const stored = await setCacheWithExpiry(client, key, {
+            center: { latitude: lat, longitude: lng },
+            radius,
+            properties
+        }, { tags: [DATASET_TAG, 'family:superset', ...coverTags(lat, lng, radius)] });
+        if (!stored) return false;
+
+        // The expiry index drops the member once its entry is gone
+        const ttl = await client.ttl(key);
+        await client.multi()
+            .geoAdd(registryKey(bound), { longitude: lng, latitude: lat, member: key })
+            .zAdd(EXPIRY_KEY, { score: Date.now() + ttl * 1000, value: key })
+            .exec();
+        this.stats.expired += await pruneExpired();
+        this.stats.stored++;
+        return true;
     },
 
-    async adjustCacheStrategy(geohash, hitRatio) {
-        if (hitRatio < 0.3) {
-            // Reduce cache TTL for this region
-            await client.expire(`geo:${geohash}:*`, 1800); // 30 minutes
+    /**
+     * Find a cached result set whose circle fully contains the requested one.
+     * Smaller radius classes are tried first, as their circles need the least filtering.
+     * @returns {Promise<{center: Object, radius: number, properties: Array}|null>}
+     */
+    async findSuperset(lat, lng, radius) {
+        this.stats.lookups++;
+        if (radius > SEMANTIC_CONFIG.MAX_RADIUS_KM || !policyFor('superset').enabled || isDegraded()) {
+            this.stats.misses++;
+            return null;
+        }
+
+        // Every member found contains the query; the classes are searched together
+        const classes = SEMANTIC_CONFIG.RADIUS_CLASSES_KM
+            .filter(bound => bound >= radius && bound <= SEMANTIC_CONFIG.MAX_RADIUS_KM);
+        const search = (bound) => client.geoSearch(
+            registryKey(bound),
+            { longitude: lng, latitude: lat },
+            { radius: bound - radius, unit: 'km' },
+            { SORT: 'ASC', COUNT: SEMANTIC_CONFIG.CANDIDATES }
+        );
+        const found = await Promise.all(classes.map(search));
+
+        for (let i = 0; i < classes.length; i++) {
+            let candidates = found[i];
+            while (candidates.length > 0) {
+                for (const member of candidates) {
+                    const superset = await getDecoded(client, member);
+                    if (superset) {
+                        this.stats.hits++;
+                        return superset;
+                    }
+                }
+
+                // Expired before the expiry index caught up: drop them and look again
+                this.stats.expired += candidates.length;
+                await unregister(candidates);
+                candidates = await search(classes[i]);
+            }
         }
+
+        this.stats.misses++;
+        return null;
+    },
+
+    getStats() {
+        return {
+            ...this.stats,
+            reuseRate: this.stats.lookups > 0 ? this.stats.hits / this.stats.lookups : 0
+        };
     }
-};
\ No newline at end of file
+};
@@ -0,0 +1,36 @@
+// Caching policy of every cache family, named as on the metrics (see
+// KEY_FAMILIES in services/metrics.service.js); families not listed here use
+// the defaults. The policy is validated at startup and can be edited and
+// reloaded without a restart (POST /api/v1/properties/cache-policy/reload).
+// CACHE_POLICY_FILE points at another file of the same shape. The file is
+// evaluated as a script, not imported: its value is the object below.
+//
+//   enabled              - false bypasses the cache: every request queries MongoDB
+//   ttl                  - Seconds an entry is fresh. Nearby entries scale it by
+//                          their temporal score, from half to double
+//   jitter               - Fraction of the TTL added or taken at random, so that
+//                          entries written together do not expire together
+//   maxBytes             - Larger values (as JSON) are returned but not cached; null for no limit
+//   compression          - Codec of Redis entries: none, gzip, brotli or v8; null for CACHE_CODEC
+//   staleWhileRevalidate - Seconds an entry is still served after its TTL while
+//                          a background refresh runs (nearby only)
+({
+    defaults: {
+        enabled: true,
+        ttl: 3600,
+        jitter: 0,
+        maxBytes: null,
+        compression: null,
+        staleWhileRevalidate: 0
+    },
+
+    families: {
+        nearby: { staleWhileRevalidate: 300 },
+        coordinateRange: {},
+        within: {},
+        cell: {}, // Cell-composed mode (CACHE_MODE=cells)
+        superset: { ttl: 600 }, // Complete result sets for containment lookups
+        nearest: {},
+        export: {} // Non-JSON pages, next to the JSON entries of the same query
+    }
+});
@@ -3,17 +3,32 @@ import mongoose from 'mongoose';
 
 dotenv.config();
 
-const connectDB = async () => {
-    try {
-        const mongoUri = process.env.MONGO_URI;
-        if (!mongoUri) {
-            throw new Error('MONGO_URI is not defined in the environment variables');
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * Connect to MongoDB, retrying with a growing delay. The service keeps running
+ * meanwhile: /readyz reports MongoDB as down until the connection succeeds.
+ * @param {{attempts?: number}} [options] - Scripts pass 1 to fail at once
+ * @throws {Error} When MONGO_URI is missing, or every attempt failed
+ */
+const connectDB = async ({ attempts = Infinity } = {}) => {
+    const mongoUri = process.env.MONGO_URI;
+    if (!mongoUri) {
+        throw new Error('MONGO_URI is not defined in the environment variables');
+    }
+
+    for (let attempt = 1; ; attempt++) {
+        try {
+            await mongoose.connect(mongoUri);
+            console.log('MongoDB connected successfully');
+            return;
+        } catch (error) {
+            if (attempt >= attempts) throw error;
+
+            const retryIn = Math.min(attempt * 1000, 10000);
+            console.error(`MongoDB connection failed (attempt ${attempt}), retrying in ${retryIn / 1000}s:`, error.message);
+            await sleep(retryIn);
         }
-        await mongoose.connect(mongoUri);
-        console.log('MongoDB connected successfully');
-    } catch (error) {
-        console.error('MongoDB connection failed:', error.message);
-        process.exit(1);
     }
 };
 
@@ -1,19 +1,218 @@
-import redis from 'redis';
+import dotenv from 'dotenv';
+import { createClient, createCluster } from 'redis';
 
-// Create a Redis client
-const client = redis.createClient({
-    host: 'localhost', 
-    port: 6379 
-});
+dotenv.config();
+
+// The one Redis connection of the service, configured by REDIS_MODE:
+//   standalone - REDIS_URL, or REDIS_HOST / REDIS_PORT / REDIS_DB
+//   sentinel   - REDIS_SENTINELS and REDIS_SENTINEL_NAME (the monitored master)
+//   cluster    - REDIS_CLUSTER_NODES, any subset of the nodes
+// Node lists are "host:port,host:port". REDIS_PASSWORD applies to every mode.
+const parseNodes = (list) => (list || '')
+    .split(',')
+    .map(node => node.trim())
+    .filter(Boolean)
+    .map(node => {
+        const [host, port] = node.split(':');
+        return { host, port: parseInt(port) || 6379 };
+    });
+
+export const REDIS_CONFIG = {
+    MODE: process.env.REDIS_MODE || 'standalone',
+    URL: process.env.REDIS_URL,
+    HOST: process.env.REDIS_HOST || 'localhost',
+    PORT: parseInt(process.env.REDIS_PORT) || 6379,
+    DB: parseInt(process.env.REDIS_DB) || 0,
+    PASSWORD: process.env.REDIS_PASSWORD,
+    SENTINELS: parseNodes(process.env.REDIS_SENTINELS),
+    SENTINEL_NAME: process.env.REDIS_SENTINEL_NAME || 'mymaster',
+    SENTINEL_PASSWORD: process.env.REDIS_SENTINEL_PASSWORD,
+    CLUSTER_NODES: parseNodes(process.env.REDIS_CLUSTER_NODES)
+};
+
+const reconnectStrategy = (retries) => Math.min(retries * 50, 2000);
+
+// Commands sent while the connection is down fail at once instead of queueing
+// until it is back; callers check isRedisReady() and serve from MongoDB meanwhile
+const clientOptions = { disableOfflineQueue: true };
+
+// Ask the sentinels, in order, where the master currently is
+async function resolveSentinelMaster() {
+    for (const { host, port } of REDIS_CONFIG.SENTINELS) {
+        const sentinel = createClient({
+            socket: { host, port, reconnectStrategy: false },
+            password: REDIS_CONFIG.SENTINEL_PASSWORD
+        });
+        sentinel.on('error', () => {}); // Reported below as an unreachable sentinel
+        try {
+            await sentinel.connect();
+            const address = await sentinel.sendCommand(['SENTINEL', 'get-master-addr-by-name', REDIS_CONFIG.SENTINEL_NAME]);
+            if (address) return { host: address[0], port: parseInt(address[1]) };
+        } catch (error) {
+            console.error(`Redis sentinel ${host}:${port} unreachable:`, error.message);
+        } finally {
+            if (sentinel.isOpen) await sentinel.disconnect();
+        }
+    }
+    throw new Error(`No sentinel knows master "${REDIS_CONFIG.SENTINEL_NAME}"`);
+}
+
+// node-redis v4 has no Sentinel support: connect to the master the sentinels
+// report, and reconnect when they announce a failover. The client reads its
+// socket options on every (re)connect, so updating them redirects it.
+function createSentinelClient() {
+    const socket = { host: REDIS_CONFIG.HOST, port: REDIS_CONFIG.PORT, reconnectStrategy };
+    const client = createClient({ ...clientOptions, socket, password: REDIS_CONFIG.PASSWORD, database: REDIS_CONFIG.DB });
+
+    const connect = client.connect.bind(client);
+    client.connect = async () => {
+        Object.assign(socket, await resolveSentinelMaster());
+        await connect();
+        // Not awaited: a failing sentinel must not hold up the service
+        watchFailovers(socket, async () => {
+            await client.disconnect();
+            await connect();
+        }).catch(err => console.error('Redis sentinel subscription error:', err));
+        return client;
+    };
+    return client;
+}
+
+async function watchFailovers(socket, reconnect) {
+    const { host, port } = REDIS_CONFIG.SENTINELS[0];
+    const subscriber = createClient({ socket: { host, port, reconnectStrategy }, password: REDIS_CONFIG.SENTINEL_PASSWORD });
+    subscriber.on('error', (err) => console.error('Redis sentinel subscription error:', err));
+    await subscriber.connect();
+
+    // Message: "<master name> <old host> <old port> <new host> <new port>"
+    await subscriber.subscribe('+switch-master', async (message) => {
+        const [name, , , newHost, newPort] = message.split(' ');
+        if (name !== REDIS_CONFIG.SENTINEL_NAME) return;
+
+        console.log(`Redis master failed over to ${newHost}:${newPort}`);
+        Object.assign(socket, { host: newHost, port: parseInt(newPort) });
+        try {
+            await reconnect();
+        } catch (err) {
+            console.error('Redis failover reconnect error:', err);
+        }
+    });
+}
+
+function createRedisClient() {
+    switch (REDIS_CONFIG.MODE) {
+        case 'standalone':
+            return REDIS_CONFIG.URL
+                ? createClient({ ...clientOptions, url: REDIS_CONFIG.URL, socket: { reconnectStrategy } })
+                : createClient({
+                    ...clientOptions,
+                    socket: { host: REDIS_CONFIG.HOST, port: REDIS_CONFIG.PORT, reconnectStrategy },
+                    password: REDIS_CONFIG.PASSWORD,
+                    database: REDIS_CONFIG.DB
+                });
+        case 'sentinel':
+            if (REDIS_CONFIG.SENTINELS.length === 0) {
+                throw new Error('REDIS_MODE=sentinel needs REDIS_SENTINELS');
+            }
+            return createSentinelClient();
+        case 'cluster':
+            if (REDIS_CONFIG.CLUSTER_NODES.length === 0) {
+                throw new Error('REDIS_MODE=cluster needs REDIS_CLUSTER_NODES');
+            }
+            return createCluster({
+                rootNodes: REDIS_CONFIG.CLUSTER_NODES.map(({ host, port }) => ({ url: `redis://${host}:${port}` })),
+                defaults: { ...clientOptions, password: REDIS_CONFIG.PASSWORD, socket: { reconnectStrategy } }
+            });
+        default:
+            throw new Error(`Unknown REDIS_MODE "${REDIS_CONFIG.MODE}", expected standalone, sentinel or cluster`);
+    }
+}
+
+const client = createRedisClient();
+export const isCluster = REDIS_CONFIG.MODE === 'cluster';
 
 // Handle connection events
-client.on('connect', () => {
-    console.log('Connected to Redis server');
+client.on('ready', () => {
+    console.log(`Connected to Redis server (${REDIS_CONFIG.MODE})`);
 });
 
 client.on('error', (err) => {
     console.error('Redis connection error:', err);
 });
 
+// A cluster has no isReady; it is usable once its slots are discovered
+export const isRedisReady = () => isCluster ? client.isOpen : client.isReady;
+
+/**
+ * Connect the client without holding up the service: the client retries
+ * dropped connections itself, and a failed first connection (e.g. no sentinel
+ * answering) is retried here. Until it succeeds the service runs degraded.
+ * @returns {Promise<Object>} The connected client
+ */
+export async function connectRedis() {
+    for (let attempt = 1; ; attempt++) {
+        try {
+            if (!client.isOpen) await client.connect();
+            return client;
+        } catch (error) {
+            const retryIn = Math.min(attempt * 1000, 10000);
+            console.error(`Redis connection failed (attempt ${attempt}), retrying in ${retryIn / 1000}s:`, error.message);
+            await new Promise(resolve => setTimeout(resolve, retryIn));
+        }
+    }
+}
+
+/**
+ * PING Redis; on a cluster, every master
+ * @returns {Promise<void>}
+ */
+export async function pingRedis() {
+    if (!isCluster) {
+        await client.ping();
+        return;
+    }
+
+    await Promise.all(client.masters.map(async master => (await client.nodeClient(master)).ping()));
+}
+
+/**
+ * Wrap part of a key in a hash tag, so that every key sharing the tag maps to
+ * the same cluster slot and multi-key commands (RENAME, MULTI) work
+ * @param {string} name - e.g. "properties_geo" becomes "{properties_geo}"
+ * @returns {string}
+ */
+export const hashTag = (name) => `{${name}}`;
+
+/**
+ * SCAN every key; on a cluster, every master is scanned
+ * @param {{MATCH?: string, COUNT?: number}} [options]
+ * @returns {AsyncGenerator<string>}
+ */
+export async function* scanKeys(options = { COUNT: 500 }) {
+    if (!isCluster) {
+        yield* client.scanIterator(options);
+        return;
+    }
+
+    for (const master of client.masters) {
+        const node = await client.nodeClient(master);
+        yield* node.scanIterator(options);
+    }
+}
+
+/**
+ * UNLINK keys that may live in different slots
+ * @param {string[]} keys
+ * @returns {Promise<number>} Number of keys removed
+ */
+export async function unlinkKeys(keys) {
+    if (keys.length === 0) return 0;
+    if (!isCluster) return client.unlink(keys);
+
+    // A cluster rejects multi-key commands across slots: one UNLINK per key
+    const results = await Promise.all(keys.map(key => client.unlink(key)));
+    return results.reduce((sum, removed) => sum + removed, 0);
+}
+
 // Export the client for use in other parts of your application
-export default client;
\ No newline at end of file
+export default client;
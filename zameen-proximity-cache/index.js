@@ -2,17 +2,20 @@ import express from "express";
 import dotenv from 'dotenv';
 import propertyRoutes from './route/property.route.js';
 import connectDB from './connection/mongoDB.connect.js';
-import client from './connection/redis.connect.js';
+import { connectRedis } from './connection/redis.connect.js';
 import swaggerUi from 'swagger-ui-express';
 import swaggerJsDoc from 'swagger-jsdoc';
+import { getMetrics, getMetricsContentType, requestDurationMiddleware } from './services/metrics.service.js';
+import { requireRole } from './middleware/auth.middleware.js';
+import { rateLimit } from './middleware/rateLimiter.js';
+import { checkReadiness, startHealthMonitor } from './services/health.service.js';
 
+dotenv.config();
 const app = express();
 
-connectDB();
-client.connect()
-dotenv.config();
 // Middleware for parsing JSON bodies
 app.use(express.json());
+app.use(requestDurationMiddleware);
 
 // Basic route
 app.get('/', (req, res) => {
@@ -21,6 +24,28 @@ app.get('/', (req, res) => {
 
 app.use('/api/v1/properties', propertyRoutes);
 
+// Liveness: the process is up and answering, whatever its dependencies
+app.get('/healthz', (req, res) => {
+    res.json({ status: 'ok', uptime: process.uptime() });
+});
+
+// Readiness: MongoDB and its indexes are required. Without Redis the service
+// is degraded, still serving from MongoDB, and stays in rotation.
+app.get('/readyz', async (req, res) => {
+    const readiness = await checkReadiness();
+    res.status(readiness.status === 'unavailable' ? 503 : 200).json(readiness);
+});
+
+// Prometheus scrape endpoint; a reader key is enough for the scraper
+app.get('/metrics', requireRole('reader'), rateLimit(), async (req, res) => {
+    try {
+        res.set('Content-Type', getMetricsContentType());
+        res.send(await getMetrics());
+    } catch (error) {
+        res.status(500).json({ message: 'Failed to collect metrics', error: error.message });
+    }
+});
+
 // Define port
 const PORT = process.env.PORT || 3000;
 
@@ -38,6 +63,13 @@ const swaggerOptions = {
                 url: 'http://localhost:3001',
             },
         ],
+        // Keys are created with scripts/apiKeys.js
+        components: {
+            securitySchemes: {
+                ApiKeyAuth: { type: 'apiKey', in: 'header', name: 'X-API-Key' },
+            },
+        },
+        security: [{ ApiKeyAuth: [] }],
     },
     apis: ['./route/property.route.js'], 
 };
@@ -47,7 +79,15 @@ const swaggerOptions = {
   app.use('/swagger', swaggerUi.serve, swaggerUi.setup(swaggerDocs));
 
 
-// Start server
+// Start server. It listens before MongoDB and Redis are connected, so /healthz
+// answers while they retry; /readyz tells when traffic can be served.
 app.listen(PORT, () => {
     console.log(`Server is running on port ${PORT}`);
-});
\ No newline at end of file
+});
+
+connectDB().catch((error) => {
+    console.error('MongoDB configuration error:', error.message);
+    process.exit(1);
+});
+connectRedis();
+startHealthMonitor();
\ No newline at end of file
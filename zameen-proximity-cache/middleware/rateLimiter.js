@@ -0,0 +1,141 @@
+import client, { isRedisReady } from '../connection/redis.connect.js';
+
+// Fixed-window rate limiting shared by every instance through Redis. Each
+// request spends `cost` points from the caller's quota for the window: the
+// quota of its API key, else the default of its role; anonymous callers
+// (AUTH_ENABLED=false) are limited per IP.
+export const RATE_LIMIT_CONFIG = {
+    WINDOW_SECONDS: parseInt(process.env.RATE_LIMIT_WINDOW_SECONDS) || 60,
+    ROLE_QUOTAS: {
+        reader: parseInt(process.env.RATE_LIMIT_READER_POINTS) || 600,
+        writer: parseInt(process.env.RATE_LIMIT_WRITER_POINTS) || 1200,
+        admin: parseInt(process.env.RATE_LIMIT_ADMIN_POINTS) || 3000
+    },
+    ANONYMOUS_QUOTA: parseInt(process.env.RATE_LIMIT_ANONYMOUS_POINTS) || 300,
+    // When Redis is unreachable: "memory" limits per instance, "open" lets requests through, "closed" rejects them
+    FALLBACK: process.env.RATE_LIMIT_FALLBACK || 'memory',
+    REDIS_TIMEOUT_MS: parseInt(process.env.RATE_LIMIT_REDIS_TIMEOUT_MS) || 100,
+    // Spatial cost: one point per started RADIUS_UNIT_KM times one per started LIMIT_UNIT results
+    RADIUS_UNIT_KM: 5,
+    LIMIT_UNIT: 100,
+    EXPORT_ROWS: parseInt(process.env.RATE_LIMIT_EXPORT_ROWS) || 10000 // Rows a limit=all export is charged as
+};
+
+const KEY_PREFIX = 'ratelimit:';
+
+// Spend ARGV[1] points if the window (KEYS[1]) stays within ARGV[3]; returns {points used, allowed}
+const SPEND_SCRIPT = `
+local cost = tonumber(ARGV[1])
+local used = tonumber(redis.call("get", KEYS[1]) or "0")
+if used + cost > tonumber(ARGV[3]) then
+    return {used, 0}
+end
+used = redis.call("incrby", KEYS[1], cost)
+if used == cost then
+    redis.call("pexpire", KEYS[1], ARGV[2])
+end
+return {used, 1}`;
+
+// Per-instance window used by the "memory" fallback
+const memoryWindow = { index: null, used: new Map() };
+
+const spendInMemory = (key, cost, points, currentWindow) => {
+    if (memoryWindow.index !== currentWindow) {
+        memoryWindow.index = currentWindow;
+        memoryWindow.used.clear();
+    }
+
+    const used = memoryWindow.used.get(key) || 0;
+    if (used + cost > points) return { used, allowed: false };
+    memoryWindow.used.set(key, used + cost);
+    return { used: used + cost, allowed: true };
+};
+
+const spendInRedis = async (key, cost, points, windowMs) => {
+    if (!isRedisReady()) throw new Error('Redis client is not ready');
+
+    let timer;
+    const timeout = new Promise((_, reject) => {
+        timer = setTimeout(() => reject(new Error('Redis rate limit call timed out')), RATE_LIMIT_CONFIG.REDIS_TIMEOUT_MS);
+    });
+
+    try {
+        const [used, allowed] = await Promise.race([
+            client.eval(SPEND_SCRIPT, { keys: [key], arguments: [String(cost), String(windowMs), String(points)] }),
+            timeout
+        ]);
+        return { used, allowed: allowed === 1 };
+    } finally {
+        clearTimeout(timer);
+    }
+};
+
+/**
+ * Cost of a radius query: grows with the radius (km) and the page size
+ * @param {Object} req - Reads req.query.radius and req.query.limit
+ * @returns {number}
+ */
+export const spatialCost = (req) => {
+    const radius = parseFloat(req.query.radius) || 1;
+    const limit = req.query.limit === 'all' ? RATE_LIMIT_CONFIG.EXPORT_ROWS : parseInt(req.query.limit) || 100;
+    return Math.ceil(radius / RATE_LIMIT_CONFIG.RADIUS_UNIT_KM) * Math.ceil(limit / RATE_LIMIT_CONFIG.LIMIT_UNIT);
+};
+
+// Cost of a listing: one point per page, more for a limit=all export
+export const exportCost = (req) =>
+    req.query.limit === 'all' ? Math.ceil(RATE_LIMIT_CONFIG.EXPORT_ROWS / RATE_LIMIT_CONFIG.LIMIT_UNIT) : 1;
+
+/**
+ * Rate limit a route. Use after requireRole so the caller's API key is known.
+ * @param {Object} [options]
+ * @param {number|function(Object): number} [options.cost] - Points per request, or a function of the request
+ * @param {string} [options.scope] - Give the route its own window instead of the caller's shared one
+ * @param {number} [options.points] - Quota of that scoped window, overriding key and role quotas
+ */
+export const rateLimit = ({ cost = 1, scope = 'all', points } = {}) => {
+    return async (req, res, next) => {
+        const windowSeconds = RATE_LIMIT_CONFIG.WINDOW_SECONDS;
+        const windowMs = windowSeconds * 1000;
+        const now = Date.now();
+        const currentWindow = Math.floor(now / windowMs);
+        const resetSeconds = Math.ceil(((currentWindow + 1) * windowMs - now) / 1000);
+
+        const identity = req.apiKey ? `key:${req.apiKey._id}` : `ip:${req.ip}`;
+        const quota = points
+            || req.apiKey?.quota
+            || (req.apiKey ? RATE_LIMIT_CONFIG.ROLE_QUOTAS[req.apiKey.role] : RATE_LIMIT_CONFIG.ANONYMOUS_QUOTA);
+        // A request can never cost more than the whole quota, or it could never pass
+        const requestCost = Math.min(Math.max(typeof cost === 'function' ? cost(req) : cost, 1), quota);
+        const key = `${KEY_PREFIX}${scope}:${identity}:${currentWindow}`;
+
+        let result;
+        try {
+            result = await spendInRedis(key, requestCost, quota, windowMs);
+        } catch (error) {
+            if (RATE_LIMIT_CONFIG.FALLBACK === 'open') return next();
+            if (RATE_LIMIT_CONFIG.FALLBACK === 'closed') {
+                console.error('Rate limiter unavailable, rejecting request:', error.message);
+                return res.status(503).json({ error: 'Rate limiting is unavailable. Please try again later.' });
+            }
+            result = spendInMemory(key, requestCost, quota, currentWindow);
+        }
+
+        res.set({
+            'RateLimit-Policy': `${quota};w=${windowSeconds}`,
+            'RateLimit-Limit': String(quota),
+            'RateLimit-Remaining': String(Math.max(quota - result.used, 0)),
+            'RateLimit-Reset': String(resetSeconds)
+        });
+
+        if (!result.allowed) {
+            res.set('Retry-After', String(resetSeconds));
+            return res.status(429).json({
+                error: 'Too many requests. Please try again later.',
+                cost: requestCost,
+                nextValidRequestTime: new Date((currentWindow + 1) * windowMs).toISOString()
+            });
+        }
+
+        next();
+    };
+};
@@ -0,0 +1,37 @@
+import mongoose from 'mongoose';
+
+export const API_KEY_ROLES = ['reader', 'writer', 'admin'];
+
+// Only the SHA-256 hash of a key is stored; the key itself is shown once at creation
+const apiKeySchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+  },
+  keyHash: {
+    type: String,
+    required: true,
+    unique: true,
+  },
+  prefix: { // First characters of the key, to recognise it in listings
+    type: String,
+    required: true,
+  },
+  role: {
+    type: String,
+    enum: API_KEY_ROLES,
+    required: true,
+  },
+  quota: { // Rate limit points per window; the role's default when unset
+    type: Number,
+    min: 1,
+  },
+  lastUsedAt: Date,
+  revokedAt: Date,
+}, {
+  timestamps: true,
+});
+
+const ApiKey = mongoose.model('api-keys', apiKeySchema);
+
+export default ApiKey;
@@ -0,0 +1,43 @@
+import client, { hashTag, isCluster, REDIS_CONFIG, scanKeys, unlinkKeys } from '../connection/redis.connect.js';
+
+// Check the configured Redis topology (standalone, sentinel or cluster) with
+// the operations the cache relies on: keys spread over slots, SCAN over every
+// master, per-key UNLINK and multi-key commands inside one hash tag.
+// Usage: REDIS_MODE=cluster REDIS_CLUSTER_NODES=127.0.0.1:7000 node scripts/checkRedisTopology.js [keys=100]
+const PREFIX = 'topology-test:';
+
+const check = (name, ok) => {
+    console.log(`${ok ? 'ok  ' : 'FAIL'} ${name}`);
+    if (!ok) process.exitCode = 1;
+};
+
+const run = async () => {
+    const count = parseInt(process.argv[2]) || 100;
+
+    try {
+        await client.connect();
+        console.log(`Mode ${REDIS_CONFIG.MODE}${isCluster ? `, ${client.masters.length} masters` : ''}`);
+
+        const keys = Array.from({ length: count }, (_, i) => `${PREFIX}key:${i}`);
+        await Promise.all(keys.map(key => client.set(key, '1', { EX: 60 })));
+
+        const scanned = [];
+        for await (const key of scanKeys({ MATCH: `${PREFIX}key:*`, COUNT: 500 })) scanned.push(key);
+        check(`SCAN finds all ${count} keys across masters`, new Set(scanned).size === count);
+
+        const tag = hashTag(`${PREFIX}swap`);
+        await client.set(`${tag}:temp`, 'new', { EX: 60 });
+        await client.multi().rename(`${tag}:temp`, `${tag}:live`).expire(`${tag}:live`, 60).exec();
+        check('MULTI with RENAME inside one hash tag', (await client.get(`${tag}:live`)) === 'new');
+
+        check(`UNLINK removes all ${count} keys`, (await unlinkKeys(keys)) === count);
+        await client.unlink(`${tag}:live`);
+    } catch (error) {
+        console.error('Redis topology check failed:', error);
+        process.exitCode = 1;
+    } finally {
+        if (client.isOpen) await client.disconnect();
+    }
+};
+
+run();
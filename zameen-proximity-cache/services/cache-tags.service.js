@@ -0,0 +1,169 @@
+import client, { unlinkKeys } from '../connection/redis.connect.js';
+import Geohash from 'ngeohash';
+import { isDegraded, onRedisRecovery } from './health.service.js';
+
+// Tag-based invalidation: every cache write registers its key in the tag sets
+// of its dataset, its family and the geohash cells its query covers, so a new
+// property invalidates exactly the cached queries whose area contains it.
+export const DATASET_TAG = 'dataset:properties';
+
+// Approximate geohash cell size in km (width x height at the equator) per precision
+const GEOHASH_CELL_KM = {
+    2: [1252, 626],
+    3: [156, 156],
+    4: [39.1, 19.5],
+    5: [4.89, 4.89],
+    6: [1.22, 0.61],
+    7: [0.153, 0.153]
+};
+const TAG_PRECISIONS = [2, 3, 4, 5, 6, 7];
+const KM_PER_DEGREE = 111.32;
+const INVALIDATE_BATCH_SIZE = 500;
+
+// Tags invalidated in degraded mode. Entries cached before the outage may be
+// stale by then: they are invalidated once Redis is back.
+const pendingTags = new Set();
+
+const invalidationHandlers = [];
+
+// Add the cache key (ARGV[1]) to the tag set, extending the set's TTL to ARGV[2] when shorter.
+// One tag per call: tag sets live in different cluster slots.
+const TAG_KEY_SCRIPT = `
+local ttl = tonumber(ARGV[2])
+redis.call("sadd", KEYS[1], ARGV[1])
+if redis.call("ttl", KEYS[1]) < ttl then
+    redis.call("expire", KEYS[1], ttl)
+end
+return 1`;
+
+const tagSetKey = (tag) => `tag:${tag}`;
+
+// Finest precision whose cells are at least as large as the radius
+const coverPrecision = (radius) => {
+    for (let precision = 7; precision >= 2; precision--) {
+        const [width, height] = GEOHASH_CELL_KM[precision];
+        if (Math.min(width, height) >= radius) return precision;
+    }
+    return 2;
+};
+
+/**
+ * Cell tags covering the bounding box of a circle
+ * @param {number} latitude
+ * @param {number} longitude
+ * @param {number} radius - km
+ * @returns {string[]}
+ */
+export const coverTags = (latitude, longitude, radius) => {
+    const dLat = radius / KM_PER_DEGREE;
+    const dLng = radius / (KM_PER_DEGREE * Math.max(Math.cos(latitude * Math.PI / 180), 0.01));
+
+    const cells = Geohash.bboxes(
+        Math.max(latitude - dLat, -90),
+        Math.max(longitude - dLng, -180),
+        Math.min(latitude + dLat, 90),
+        Math.min(longitude + dLng, 180),
+        coverPrecision(radius)
+    );
+
+    return cells.map(cell => `cell:${cell}`);
+};
+
+// Cells of a precision spanned by a box, counted on the geohash grid without listing them
+const countBoxCells = ({ minLat, minLng, maxLat, maxLng }, precision) => {
+    const width = 360 / 2 ** Math.ceil(precision * 5 / 2);
+    const height = 180 / 2 ** Math.floor(precision * 5 / 2);
+    return (Math.floor((maxLng + 180) / width) - Math.floor((minLng + 180) / width) + 1) *
+        (Math.floor((maxLat + 90) / height) - Math.floor((minLat + 90) / height) + 1);
+};
+
+/**
+ * Cell tags covering a box, at the finest precision needing at most
+ * `maxCells` cells; boxes too large for that get precision 2 cells
+ * @param {{minLat: number, minLng: number, maxLat: number, maxLng: number}} box
+ * @param {number} [maxCells]
+ * @returns {string[]}
+ */
+export const boxTags = (box, maxCells = 64) => {
+    let precision = Math.max(...TAG_PRECISIONS);
+    while (precision > Math.min(...TAG_PRECISIONS) && countBoxCells(box, precision) > maxCells) precision--;
+
+    return Geohash.bboxes(box.minLat, box.minLng, box.maxLat, box.maxLng, precision).map(cell => `cell:${cell}`);
+};
+
+// Cell tags of every precision containing a point
+export const pointTags = (latitude, longitude) => {
+    const geohash = Geohash.encode(latitude, longitude, Math.max(...TAG_PRECISIONS));
+    return TAG_PRECISIONS.map(precision => `cell:${geohash.slice(0, precision)}`);
+};
+
+/**
+ * Register a cache key under tags
+ * @param {string} key
+ * @param {string[]} tags
+ * @param {number} ttl - Seconds the key lives; tag sets live at least as long
+ */
+export async function tagKey(key, tags, ttl) {
+    await Promise.all(tags.map(tag => client.eval(TAG_KEY_SCRIPT, {
+        keys: [tagSetKey(tag)],
+        arguments: [key, String(ttl)]
+    })));
+}
+
+/**
+ * Run `handler` with the keys each tag invalidation deletes, e.g. to drop
+ * them from an index kept beside the cache
+ * @param {Function} handler - Receives an array of keys; may be async
+ */
+export function onKeysInvalidated(handler) {
+    invalidationHandlers.push(handler);
+}
+
+/**
+ * Delete every cache entry registered under any of the tags. In degraded mode
+ * the tags are queued and nothing is deleted yet.
+ * @param {string[]} tags
+ * @returns {Promise<number>} Number of deleted entries
+ */
+export async function invalidateTags(tags) {
+    if (isDegraded()) {
+        tags.forEach(tag => pendingTags.add(tag));
+        return 0;
+    }
+
+    const seen = new Set();
+    let deleted = 0;
+
+    for (const tag of tags) {
+        const setKey = tagSetKey(tag);
+        let cursor = 0;
+        do {
+            const reply = await client.sScan(setKey, cursor, { COUNT: INVALIDATE_BATCH_SIZE });
+            cursor = reply.cursor;
+            // Members may already be gone through another tag or expiry; only count real deletes
+            const fresh = reply.members.filter(key => !seen.has(key));
+            if (fresh.length > 0) {
+                fresh.forEach(key => seen.add(key));
+                deleted += await unlinkKeys(fresh);
+                await client.zRem('temporal_scores', fresh);
+                for (const handler of invalidationHandlers) await handler(fresh);
+            }
+        } while (cursor !== 0);
+        await client.unlink(setKey);
+    }
+
+    return deleted;
+}
+
+onRedisRecovery(async () => {
+    if (pendingTags.size === 0) return;
+    const tags = [...pendingTags];
+    pendingTags.clear();
+    const deleted = await invalidateTags(tags);
+    console.log(`Replayed ${tags.length} tag invalidations queued while Redis was down (${deleted} entries)`);
+});
+
+// Invalidate the cached queries whose area contains the point
+export async function invalidatePoint(latitude, longitude) {
+    return invalidateTags(pointTags(latitude, longitude));
+}
@@ -0,0 +1,148 @@
+import Geohash from 'ngeohash';
+import client from '../connection/redis.connect.js';
+import Property from '../model/property.model.js';
+import { DATASET_TAG } from './cache-tags.service.js';
+import { recordCacheMiss, recordGeohashPrecision, startMongoTimer } from './metrics.service.js';
+import { getCache, setCacheWithExpiry } from './redis.services.js';
+import { withStampedeProtection } from './stampede.service.js';
+
+// Cell-composed mode (CACHE_MODE=cells): the properties of each geohash cell
+// are cached on their own and range results are assembled from the covering
+// cells, so nearby queries share entries instead of each caching its own page
+const CELL_CONFIG = {
+    ENABLED: process.env.CACHE_MODE === 'cells',
+    MAX_CELLS: parseInt(process.env.CELL_CACHE_MAX_CELLS) || 64,
+    MAX_PROPERTIES: parseInt(process.env.CELL_CACHE_MAX_PROPERTIES) || 2000,
+    MIN_PRECISION: 4
+};
+
+// Approximate geohash cell size in km (width x height at the equator) per precision
+const GEOHASH_CELL_KM = {
+    4: [39.1, 19.5],
+    5: [4.89, 4.89],
+    6: [1.22, 0.61],
+    7: [0.153, 0.153]
+};
+const KM_PER_DEGREE = 111.32;
+// Polygon margin in degrees (~1 m) so spherical edges never drop border properties
+const CELL_MARGIN_DEGREES = 1e-5;
+
+const cellStats = { queries: 0, fallbacks: 0, cellHits: 0, cellLoads: 0 };
+
+export const isCellModeEnabled = () => CELL_CONFIG.ENABLED;
+
+export const getCellStats = () => ({ enabled: CELL_CONFIG.ENABLED, ...cellStats });
+
+// Finest cover of the box with at most MAX_CELLS cells, or null
+const coverBox = (minLat, minLng, maxLat, maxLng) => {
+    const heightKm = (maxLat - minLat) * KM_PER_DEGREE;
+    const widthKm = (maxLng - minLng) * KM_PER_DEGREE * Math.max(Math.cos(minLat * Math.PI / 180), 0.01);
+
+    for (let precision = 7; precision >= CELL_CONFIG.MIN_PRECISION; precision--) {
+        // Estimate first: computing a fine cover of a large box is itself expensive
+        const [cellWidth, cellHeight] = GEOHASH_CELL_KM[precision];
+        const estimate = (Math.ceil(widthKm / cellWidth) + 1) * (Math.ceil(heightKm / cellHeight) + 1);
+        if (estimate > CELL_CONFIG.MAX_CELLS * 4) continue;
+
+        const cells = Geohash.bboxes(minLat, minLng, maxLat, maxLng, precision);
+        if (cells.length <= CELL_CONFIG.MAX_CELLS) {
+            recordGeohashPrecision('cell', precision);
+            return cells;
+        }
+    }
+    return null;
+};
+
+// Properties of one cell; dense cells are cached as overflowed so queries over them skip cell mode
+async function loadCell(cell) {
+    const [minLat, minLng, maxLat, maxLng] = Geohash.decode_bbox(cell);
+    const m = CELL_MARGIN_DEGREES;
+
+    // The 2dsphere index narrows the scan; the half-open ranges make cells disjoint
+    const properties = await Property.find({
+        location: {
+            $geoWithin: {
+                $geometry: {
+                    type: 'Polygon',
+                    coordinates: [[
+                        [minLng - m, minLat - m], [maxLng + m, minLat - m], [maxLng + m, maxLat + m],
+                        [minLng - m, maxLat + m], [minLng - m, minLat - m]
+                    ]]
+                }
+            }
+        },
+        'location.coordinates.0': { $gte: minLng, $lt: maxLng },
+        'location.coordinates.1': { $gte: minLat, $lt: maxLat }
+    })
+        .limit(CELL_CONFIG.MAX_PROPERTIES + 1)
+        .lean();
+
+    return properties.length > CELL_CONFIG.MAX_PROPERTIES ? { overflow: true } : { properties };
+}
+
+async function getCell(cell) {
+    const key = `cell:${cell}`;
+    const cached = await getCache(client, key);
+    if (cached) {
+        cellStats.cellHits++;
+        return cached;
+    }
+
+    return withStampedeProtection(key, {
+        readCache: () => getCache(client, key),
+        compute: async () => {
+            cellStats.cellLoads++;
+            recordCacheMiss(key);
+            const endMongoTimer = startMongoTimer('cell');
+            const content = await loadCell(cell);
+            endMongoTimer();
+            await setCacheWithExpiry(client, key, content, { tags: [DATASET_TAG, 'family:cell', `cell:${cell}`] });
+            return content;
+        }
+    });
+}
+
+/**
+ * Assemble a page of the properties inside a lat/lng box from cached cells,
+ * loading only the missing cells. Results are ordered by distance from `center`.
+ * @param {{minLat: number, minLng: number, maxLat: number, maxLng: number}} box
+ * @param {{latitude: number, longitude: number}} center
+ * @param {{page: number, limit: number}} pagination
+ * @returns {Promise<Object|null>} null when the box needs too many cells or a cell is too dense
+ */
+export async function findInBoxFromCells({ minLat, minLng, maxLat, maxLng }, center, { page, limit }) {
+    const cells = coverBox(minLat, minLng, maxLat, maxLng);
+    if (!cells) {
+        cellStats.fallbacks++;
+        return null;
+    }
+
+    const contents = await Promise.all(cells.map(getCell));
+    if (contents.some(content => !content || content.overflow)) {
+        cellStats.fallbacks++;
+        return null;
+    }
+    cellStats.queries++;
+
+    const matches = contents
+        .flatMap(content => content.properties)
+        .filter(property => {
+            const [lng, lat] = property.location.coordinates;
+            return lat >= minLat && lat <= maxLat && lng >= minLng && lng <= maxLng;
+        })
+        .map(property => {
+            const [lng, lat] = property.location.coordinates;
+            const dLat = (lat - center.latitude) * KM_PER_DEGREE;
+            const dLng = (lng - center.longitude) * KM_PER_DEGREE * Math.cos(center.latitude * Math.PI / 180);
+            return { ...property, distance: Math.sqrt(dLat * dLat + dLng * dLng) * 1000 };
+        })
+        .sort((a, b) => a.distance - b.distance);
+
+    const skip = (page - 1) * limit;
+    return {
+        properties: matches.slice(skip, skip + limit),
+        totalCount: matches.length,
+        totalPages: Math.ceil(matches.length / limit),
+        cells: cells.length
+    };
+}
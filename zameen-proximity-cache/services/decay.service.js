@@ -1,4 +1,9 @@
 import client from '../connection/redis.connect.js';
+import { tagKey } from './cache-tags.service.js';
+import { jitterTTL, policyForKey } from './cache-policy.service.js';
+import { CODEC_CONFIG, encodePayload, getDecoded } from './codec.service.js';
+import { isDegraded } from './health.service.js';
+import { recordCacheHit, recordPayloadSize, startRedisTimer } from './metrics.service.js';
 
 // Temporal decay configuration
 const DECAY_CONFIG = {
@@ -53,8 +58,8 @@ export const calculateTemporalScore = (dateAdded, propertyAttributes = {}) => {
     return score;
 };
 
-// Calculate dynamic TTL based on temporal score
-export const calculateDynamicTTL = (score, baseTime = 3600) => {
+// Calculate dynamic TTL based on temporal score, around the family's policy TTL
+export const calculateDynamicTTL = (score, baseTime) => {
     const minTTL = baseTime * 0.5;  // Minimum TTL (half of base time)
     const maxTTL = baseTime * 2;    // Maximum TTL (double of base time)
     return Math.floor(minTTL + (maxTTL - minTTL) * score);
@@ -77,21 +82,39 @@ export const sortByTemporalScore = (properties) => {
     });
 };
 
-// Cache management with temporal awareness
-export const setCacheWithTemporalDecay = async (key, value, dateAdded, propertyAttributes = {}) => {
+// Cache management with temporal awareness, under the family's policy
+// (config/cache-policy.js). With a stale-while-revalidate window the entry lives
+// in Redis for ttl + window and counts as stale after ttl. `tags` register the
+// key for tag-based invalidation; `staleWhileRevalidate` and `codec` override the policy.
+export const setCacheWithTemporalDecay = async (key, value, dateAdded, propertyAttributes = {}, { staleWhileRevalidate, tags = [], codec } = {}) => {
+    const policy = policyForKey(key);
+    if (!policy.enabled || isDegraded()) return false;
+
     try {
         const score = calculateTemporalScore(dateAdded, propertyAttributes);
-        const ttl = calculateDynamicTTL(score);
-
-        await client.setEx(key, ttl, JSON.stringify({
+        const ttl = jitterTTL(calculateDynamicTTL(score, policy.ttl), policy);
+        const staleWindow = staleWhileRevalidate ?? policy.staleWhileRevalidate;
+        const now = Date.now();
+        const { payload, rawBytes } = await encodePayload({
             data: value,
             score,
-            timestamp: Date.now(),
+            timestamp: now,
+            softExpiresAt: now + ttl * 1000,
             metadata: {
                 dateAdded,
                 ...propertyAttributes
             }
-        }));
+        }, { codec: codec ?? policy.compression ?? CODEC_CONFIG.codec });
+        recordPayloadSize(key, rawBytes);
+        if (policy.maxBytes !== null && rawBytes > policy.maxBytes) {
+            console.log(`Not caching ${key}: ${rawBytes} bytes is above its family's limit of ${policy.maxBytes}`);
+            return false;
+        }
+
+        const endTimer = startRedisTimer('set');
+        await client.setEx(key, ttl + staleWindow, payload);
+        await tagKey(key, tags, ttl + staleWindow);
+        endTimer();
 
         // Store temporal score in sorted set for ranking
         await client.zAdd('temporal_scores', {
@@ -108,11 +131,22 @@ export const setCacheWithTemporalDecay = async (key, value, dateAdded, propertyA
 
 // Get cache with temporal validation
 export const getCacheWithTemporalCheck = async (key) => {
+    const entry = await getCacheEntryWithTemporalCheck(key);
+    return entry ? entry.data : null;
+};
+
+// Same as getCacheWithTemporalCheck, but also reports whether the entry is past its soft TTL
+export const getCacheEntryWithTemporalCheck = async (key) => {
+    // A disabled family always misses, as does everything in degraded mode
+    if (!policyForKey(key).enabled || isDegraded()) return null;
+
     try {
-        const value = await client.get(key);
-        if (!value) return null;
+        const endTimer = startRedisTimer('get');
+        const parsed = await getDecoded(client, key);
+        endTimer();
+        if (!parsed) return null;
         cacheHits++;
-        const parsed = JSON.parse(value);
+        recordCacheHit(key);
         const currentScore = calculateTemporalScore(
             parsed.metadata.dateAdded,
             parsed.metadata
@@ -125,7 +159,9 @@ export const getCacheWithTemporalCheck = async (key) => {
             return null;
         }
 
-        return parsed.data;
+        // Entries written without a soft TTL are never stale
+        const stale = parsed.softExpiresAt !== undefined && parsed.softExpiresAt <= Date.now();
+        return { data: parsed.data, stale };
     } catch (error) {
         console.error('Error in getCacheWithTemporalCheck:', error);
         return null;
@@ -159,13 +195,12 @@ export const updateTemporalScores = async () => {
         const keys = await client.zRange('temporal_scores', 0, -1);
 
         for (const key of keys) {
-            const value = await client.get(key);
-            if (!value) {
+            const parsed = await getDecoded(client, key);
+            if (!parsed) {
                 await client.zRem('temporal_scores', key);
                 continue;
             }
 
-            const parsed = JSON.parse(value);
             const newScore = calculateTemporalScore(
                 parsed.metadata.dateAdded,
                 parsed.metadata
@@ -198,8 +233,8 @@ export const getTopRankedProperties = async (limit = 10) => {
 
         const properties = await Promise.all(
             topKeys.map(async key => {
-                const value = await client.get(key);
-                return value ? JSON.parse(value).data : null;
+                const entry = await getDecoded(client, key);
+                return entry ? entry.data : null;
             })
         );
 
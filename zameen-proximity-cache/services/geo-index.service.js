@@ -0,0 +1,196 @@
+import { randomUUID } from 'crypto';
+import { GeoReplyWith } from 'redis';
+import client, { hashTag } from '../connection/redis.connect.js';
+import Property from '../model/property.model.js';
+import { compareKeyset, keysetPage } from './cursor.service.js';
+import { isDegraded, onRedisRecovery } from './health.service.js';
+
+// Redis GEO index over properties, keyed by MongoDB _id. The hash tag keeps its
+// meta and rebuild keys in its cluster slot, so the swap stays one MULTI.
+export const PROPERTY_GEO_KEY = hashTag('properties_geo');
+const PROPERTY_GEO_META_KEY = `${PROPERTY_GEO_KEY}:meta`;
+const REBUILD_BATCH_SIZE = 5000;
+
+const toGeoPoint = (property) => ({
+    longitude: property.location?.coordinates?.[0],
+    latitude: property.location?.coordinates?.[1],
+    member: property._id.toString()
+});
+
+// Redis only accepts coordinates inside the Web Mercator range
+const isIndexable = ({ longitude, latitude }) =>
+    Number.isFinite(longitude) && Number.isFinite(latitude) &&
+    Math.abs(longitude) <= 180 && Math.abs(latitude) <= 85.05112878;
+
+// Properties added in degraded mode, indexed once Redis is back
+const pendingPoints = new Map();
+
+onRedisRecovery(async () => {
+    if (pendingPoints.size === 0) return;
+    const points = [...pendingPoints.values()];
+    pendingPoints.clear();
+    await client.geoAdd(PROPERTY_GEO_KEY, points);
+    console.log(`Geo index caught up with ${points.length} properties added while Redis was down`);
+});
+
+// Whether a full rebuild has populated the index; until then, and in degraded
+// mode, callers fall back to MongoDB
+export async function isGeoIndexReady() {
+    if (isDegraded()) return false;
+    try {
+        return (await client.hGet(PROPERTY_GEO_META_KEY, 'builtAt')) != null;
+    } catch (error) {
+        console.error('Geo index status error:', error);
+        return false;
+    }
+}
+
+export async function getGeoIndexStatus() {
+    const meta = await client.hGetAll(PROPERTY_GEO_META_KEY);
+    const size = await client.zCard(PROPERTY_GEO_KEY);
+    return { ready: Boolean(meta.builtAt), size, ...meta };
+}
+
+// Incrementally index a newly added property; in degraded mode it is queued
+export async function indexProperty(property) {
+    const point = toGeoPoint(property);
+    if (!isIndexable(point)) return false;
+
+    if (isDegraded()) {
+        pendingPoints.set(point.member, point);
+        return true;
+    }
+    await client.geoAdd(PROPERTY_GEO_KEY, point);
+    return true;
+}
+
+export async function removeFromGeoIndex(...ids) {
+    if (ids.length === 0) return 0;
+    return client.zRem(PROPERTY_GEO_KEY, ids.map(id => id.toString()));
+}
+
+// Rebuild the index from MongoDB into a temporary key, then swap it in atomically
+export async function rebuildGeoIndex() {
+    const startedAt = Date.now();
+    const tempKey = `${PROPERTY_GEO_KEY}:rebuild:${startedAt}`;
+    let indexed = 0;
+    let batch = [];
+
+    const flush = async () => {
+        const points = batch.map(toGeoPoint).filter(isIndexable);
+        if (points.length > 0) {
+            await client.geoAdd(tempKey, points);
+            indexed += points.length;
+        }
+        batch = [];
+    };
+
+    const cursor = Property.find({}, { location: 1 })
+        .lean()
+        .cursor({ batchSize: REBUILD_BATCH_SIZE });
+
+    for await (const property of cursor) {
+        batch.push(property);
+        if (batch.length >= REBUILD_BATCH_SIZE) await flush();
+    }
+    await flush();
+
+    const multi = client.multi();
+    if (indexed > 0) {
+        multi.rename(tempKey, PROPERTY_GEO_KEY);
+    } else {
+        multi.del(PROPERTY_GEO_KEY);
+    }
+    multi.hSet(PROPERTY_GEO_META_KEY, {
+        builtAt: new Date().toISOString(),
+        indexed: String(indexed)
+    });
+    await multi.exec();
+
+    return { indexed, duration: Date.now() - startedAt };
+}
+
+// BYRADIUS or BYBOX in meters, from a shape in km
+const toGeoShape = (shape) => shape.radius !== undefined
+    ? { radius: shape.radius * 1000, unit: 'm' }
+    : { width: shape.width * 1000, height: shape.height * 1000, unit: 'm' };
+
+/**
+ * The `count` members nearest to the point in a shape, ordered by distance
+ * then member (compareKeyset). GEOSEARCH COUNT cuts members tied at the last
+ * distance arbitrarily, so the COUNT is doubled until the farthest member
+ * fetched lies beyond the last one kept.
+ * @param {number} latitude
+ * @param {number} longitude
+ * @param {{radius?: number, width?: number, height?: number}} shape - BYRADIUS or BYBOX, in km
+ * @param {number} count
+ * @returns {Promise<Array<{member: string, distance: number}>>} distance in meters
+ */
+export async function searchGeoIndex(latitude, longitude, shape, count) {
+    if (count < 1) return [];
+
+    for (let fetch = count; ; fetch *= 2) {
+        const results = await client.geoSearchWith(
+            PROPERTY_GEO_KEY,
+            { longitude, latitude },
+            toGeoShape(shape),
+            [GeoReplyWith.DISTANCE],
+            { SORT: 'ASC', COUNT: fetch }
+        );
+        const hits = results
+            .map(({ member, distance }) => ({ member, distance: parseFloat(distance) }))
+            .sort(compareKeyset);
+        if (hits.length < fetch || hits[count - 1].distance < hits[hits.length - 1].distance) {
+            return hits.slice(0, count);
+        }
+    }
+}
+
+/**
+ * Number of members in a shape, without sending them back: GEOSEARCHSTORE
+ * into a scratch key in the index's slot, dropped in the same transaction
+ * @param {{radius?: number, width?: number, height?: number}} shape - In km
+ * @returns {Promise<number>}
+ */
+export async function countGeoIndex(latitude, longitude, shape) {
+    const scratchKey = `${PROPERTY_GEO_KEY}:count:${randomUUID()}`;
+    const [count] = await client.multi()
+        .geoSearchStore(scratchKey, PROPERTY_GEO_KEY, { longitude, latitude }, toGeoShape(shape))
+        .unlink(scratchKey)
+        .exec();
+    return count;
+}
+
+/**
+ * Keyset page of the members within `radius` km: those after the cursor's
+ * (distance, _id). Only the members up to the cursor's distance and the page
+ * itself are fetched.
+ * @param {{distance: number, _id: string}|null} after - null for the first page
+ * @returns {Promise<{rows: Array<{member: string, distance: number}>, hasMore: boolean}>}
+ */
+export async function searchGeoIndexAfter(latitude, longitude, radius, after, limit) {
+    // WITHDIST rounds distances, so the cursor's own distance is widened a little
+    const position = after
+        ? await countGeoIndex(latitude, longitude, { radius: Math.min(after.distance + 0.001, radius * 1000) / 1000 })
+        : 0;
+    const hits = await searchGeoIndex(latitude, longitude, { radius }, position + limit + 1);
+    return keysetPage(hits, after, limit);
+}
+
+// Load full documents for a page of hits in one query, keeping GEOSEARCH order
+export async function loadPropertiesByIds(hits) {
+    if (hits.length === 0) return [];
+
+    const properties = await Property.find({ _id: { $in: hits.map(hit => hit.member) } }).lean();
+    const byId = new Map(properties.map(property => [property._id.toString(), property]));
+
+    // Members whose document was deleted are dropped from the index lazily
+    const stale = hits.filter(hit => !byId.has(hit.member)).map(hit => hit.member);
+    if (stale.length > 0) {
+        removeFromGeoIndex(...stale).catch(error => console.error('Geo index cleanup error:', error));
+    }
+
+    return hits
+        .filter(hit => byId.has(hit.member))
+        .map(hit => ({ ...byId.get(hit.member), distance: hit.distance }));
+}
@@ -0,0 +1,229 @@
+import Geohash from 'ngeohash';
+import client from '../connection/redis.connect.js';
+import Property from '../model/property.model.js';
+import { DATASET_TAG } from './cache-tags.service.js';
+import { boxPolygon } from './geometry.service.js';
+import { recordCacheMiss, recordGeohashPrecision, startMongoTimer } from './metrics.service.js';
+import { radiusCache } from './proximity-cache.service.js';
+import { getCache, setCacheWithExpiry } from './redis.services.js';
+import { withStampedeProtection } from './stampede.service.js';
+
+// k-nearest search without a radius. Around the geohash cell holding the query
+// point, rings of neighbour cells are loaded until k properties are the
+// nearest for any point of that cell. Those candidates are cached under the
+// cell, so every query inside it is answered by ranking them. Cells start fine
+// and get coarser when the rings run out before reaching k properties.
+const KNN_CONFIG = {
+    PRECISIONS: [7, 6, 5, 4, 3, 2], // Cell tags exist for precisions 2 to 7 only
+    MAX_RINGS: 3,
+    MAX_K: 1000,
+    MAX_CANDIDATES: parseInt(process.env.KNN_MAX_CANDIDATES) || 5000, // Denser blocks go to $geoNear
+    BLOCK_MARGIN_DEGREES: 0.01
+};
+
+const FILTERABLE_TYPES = ['String', 'Number', 'Boolean'];
+
+const EARTH_RADIUS_KM = 6371;
+const toRad = (degrees) => degrees * Math.PI / 180;
+
+const cellSizeDegrees = (precision) => ({
+    width: 360 / 2 ** Math.ceil(precision * 5 / 2),
+    height: 180 / 2 ** Math.floor(precision * 5 / 2)
+});
+
+const cellBounds = (cell) => {
+    const [minLat, minLng, maxLat, maxLng] = Geohash.decode_bbox(cell);
+    return { minLat, minLng, maxLat, maxLng };
+};
+
+// Cells within `rings` of a cell, as a box. Blocks stop at the poles.
+const blockAround = (cell, rings, { width, height }) => {
+    const { minLat, minLng, maxLat, maxLng } = cellBounds(cell);
+    return {
+        minLat: Math.max(minLat - rings * height, -90),
+        minLng: minLng - rings * width,
+        maxLat: Math.min(maxLat + rings * height, 90),
+        maxLng: maxLng + rings * width
+    };
+};
+
+const inBox = ({ minLat, minLng, maxLat, maxLng }) => ({
+    'location.coordinates.0': { $gte: minLng, $lt: maxLng },
+    'location.coordinates.1': { $gte: minLat, $lt: maxLat }
+});
+
+/**
+ * Distance in km that any point of the cell is at least from the edge of the
+ * block `rings` around it: the rings' height, or their width measured at the
+ * cell's latitude farthest from the equator
+ */
+const coverageKm = (cell, rings, { width, height }) => {
+    const { minLat, maxLat } = cellBounds(cell);
+    const poleward = toRad(Math.max(Math.abs(minLat), Math.abs(maxLat)));
+    const across = Math.asin(Math.sin(toRad(Math.min(rings * width, 90))) * Math.cos(poleward));
+    return EARTH_RADIUS_KM * Math.min(toRad(rings * height), across);
+};
+
+// Farthest any point of the cell is from its center
+const halfDiagonalKm = (cell) => {
+    const { minLat, minLng, maxLat, maxLng } = cellBounds(cell);
+    const { latitude, longitude } = Geohash.decode(cell);
+    return Math.max(...[[minLat, minLng], [minLat, maxLng], [maxLat, minLng], [maxLat, maxLng]]
+        .map(([lat, lng]) => radiusCache.distanceKm(latitude, longitude, lat, lng)));
+};
+
+/**
+ * Load rings around a cell until they hold k properties that are the nearest
+ * for any point of the cell. A property at most `coverage - halfDiagonal` from
+ * the center is within `coverage` of every point of the cell, and the block
+ * reaches at least that far in every direction; so once k properties qualify,
+ * the nearest k of any query point lie within `coverage + halfDiagonal` of
+ * the center, and only those are kept.
+ * @returns {Promise<{found: boolean, dense?: boolean, rings?: number, candidates?: Object[]}>}
+ */
+async function searchRings(cell, k, filter) {
+    const size = cellSizeDegrees(cell.length);
+    const { latitude, longitude } = Geohash.decode(cell);
+    const halfDiagonal = halfDiagonalKm(cell);
+    const candidates = [];
+
+    for (let rings = 1; rings <= KNN_CONFIG.MAX_RINGS; rings++) {
+        const block = blockAround(cell, rings, size);
+        // Blocks do not wrap around the antimeridian
+        if (block.minLng < -180 || block.maxLng > 180) return { found: false };
+
+        const properties = await Property.find({
+            location: { $geoWithin: { $geometry: boxPolygon(block, KNN_CONFIG.BLOCK_MARGIN_DEGREES) } },
+            ...inBox(block),
+            ...(rings > 1 && { $nor: [inBox(blockAround(cell, rings - 1, size))] }),
+            ...filter
+        })
+            .limit(KNN_CONFIG.MAX_CANDIDATES - candidates.length + 1)
+            .lean();
+
+        candidates.push(...properties.map(property => {
+            const [lng, lat] = property.location.coordinates;
+            return { ...property, centerKm: radiusCache.distanceKm(latitude, longitude, lat, lng) };
+        }));
+        if (candidates.length > KNN_CONFIG.MAX_CANDIDATES) return { found: false, dense: true };
+
+        const coverage = coverageKm(cell, rings, size);
+        const qualifying = candidates.filter(property => property.centerKm + halfDiagonal <= coverage).length;
+        if (qualifying >= k) {
+            return {
+                found: true,
+                rings,
+                candidates: candidates
+                    .filter(property => property.centerKm <= coverage + halfDiagonal)
+                    .map(({ centerKm, ...property }) => property)
+            };
+        }
+    }
+
+    return { found: false };
+}
+
+// Ring search result for a cell, cached and tagged with every cell its rings may cover
+async function getRings(cell, k, filter) {
+    const key = `knn:${cell}:${k}:${JSON.stringify(filter)}`;
+    const cached = await getCache(client, key);
+    if (cached) return cached;
+
+    return withStampedeProtection(key, {
+        readCache: () => getCache(client, key),
+        compute: async () => {
+            recordCacheMiss(key);
+            const endMongoTimer = startMongoTimer('nearest');
+            const content = await searchRings(cell, k, filter);
+            endMongoTimer();
+
+            const { minLat, minLng, maxLat, maxLng } = blockAround(cell, KNN_CONFIG.MAX_RINGS, cellSizeDegrees(cell.length));
+            const cells = Geohash.bboxes(minLat, Math.max(minLng, -180), maxLat, Math.min(maxLng, 180), cell.length);
+            await setCacheWithExpiry(client, key, content, {
+                tags: [DATASET_TAG, 'family:nearest', ...cells.map(tag => `cell:${tag}`)]
+            });
+            return content;
+        }
+    });
+}
+
+/**
+ * Validate a k-nearest query: lat, lng, k (default 10) and equality filters
+ * on the property's plain String, Number and Boolean fields
+ * @param {Object} query - Request query
+ * @returns {{isValid: boolean, error?: string, knn?: {latitude: number, longitude: number, k: number, filter: Object}}}
+ */
+export function parseNearest({ lat, lng, k, ...filters } = {}) {
+    const latitude = Number.parseFloat(lat);
+    const longitude = Number.parseFloat(lng);
+    if (isNaN(latitude) || isNaN(longitude) || Math.abs(latitude) > 90 || Math.abs(longitude) > 180) {
+        return { isValid: false, error: 'lat and lng must be within [-90, 90] and [-180, 180]' };
+    }
+
+    const kNum = k === undefined ? 10 : Number.parseInt(k, 10);
+    if (isNaN(kNum) || kNum < 1 || kNum > KNN_CONFIG.MAX_K) {
+        return { isValid: false, error: `k must be between 1 and ${KNN_CONFIG.MAX_K}` };
+    }
+
+    // Sorted so the same filters always make the same cache key
+    const filter = {};
+    for (const field of Object.keys(filters).sort()) {
+        const path = Property.schema.path(field);
+        if (!path || !FILTERABLE_TYPES.includes(path.instance) || field === 'location') {
+            return { isValid: false, error: `Unknown filter: ${field}` };
+        }
+        try {
+            filter[field] = path.cast(filters[field]);
+        } catch (error) {
+            return { isValid: false, error: `Invalid value for ${field}` };
+        }
+    }
+
+    return { isValid: true, knn: { latitude, longitude, k: kNum, filter } };
+}
+
+/**
+ * The k properties nearest to a point, however far, nearest first
+ * @param {Object} filter - Equality filters from parseNearest
+ * @returns {Promise<{properties: Object[], k: number, precision?: number, rings?: number, source: string}>}
+ */
+export async function findNearestProperties(latitude, longitude, k, filter = {}) {
+    try {
+        for (const precision of KNN_CONFIG.PRECISIONS) {
+            const cell = Geohash.encode(latitude, longitude, precision);
+            const entry = await getRings(cell, k, filter);
+
+            if (entry.dense) break;
+            if (!entry.found) continue;
+
+            recordGeohashPrecision('nearest', precision);
+            const properties = entry.candidates
+                .map(property => {
+                    const [lng, lat] = property.location.coordinates;
+                    return { ...property, distance: radiusCache.distanceKm(latitude, longitude, lat, lng) * 1000 };
+                })
+                .sort((a, b) => a.distance - b.distance || (String(a._id) < String(b._id) ? -1 : 1))
+                .slice(0, k);
+            return { properties, k, precision, rings: entry.rings, source: 'rings' };
+        }
+
+        // Too dense to cache by cell, or too sparse for the coarsest rings
+        const endMongoTimer = startMongoTimer('nearest');
+        const properties = await Property.aggregate([
+            {
+                $geoNear: {
+                    near: { type: 'Point', coordinates: [longitude, latitude] },
+                    distanceField: 'distance',
+                    query: filter,
+                    spherical: true
+                }
+            },
+            { $limit: k }
+        ]);
+        endMongoTimer();
+        return { properties, k, source: 'mongodb' };
+    } catch (error) {
+        console.error('Error finding nearest properties:', error);
+        throw error;
+    }
+}
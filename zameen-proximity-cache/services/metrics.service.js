@@ -0,0 +1,133 @@
+import prometheus from 'prom-client';
+import Property from '../model/property.model.js';
+
+// Prometheus metrics for the property caches, exposed on GET /metrics
+const register = new prometheus.Registry();
+
+// Process metrics: CPU, memory, event loop lag, GC
+prometheus.collectDefaultMetrics({ register });
+
+// Dataset label, e.g. "usa-datasets" or "zameen-prices"
+const DATASET = Property.modelName;
+
+// Cache family of a key from its prefix
+const KEY_FAMILIES = {
+    geo: 'nearby',
+    location: 'coordinateRange',
+    cell: 'cell',
+    superset: 'superset',
+    within: 'within',
+    knn: 'nearest',
+    export: 'export'
+};
+export const familyOf = (key) => KEY_FAMILIES[key.split(':')[0]] || 'other';
+
+const httpDuration = new prometheus.Histogram({
+    name: 'http_request_duration_seconds',
+    help: 'Duration of HTTP requests in seconds',
+    labelNames: ['method', 'route', 'status_code'],
+    buckets: [0.01, 0.05, 0.1, 0.5, 1, 2, 5],
+    registers: [register]
+});
+
+const cacheHits = new prometheus.Counter({
+    name: 'cache_hits_total',
+    help: 'Total number of cache hits',
+    labelNames: ['family', 'dataset', 'tier'], // tier: redis, superset
+    registers: [register]
+});
+
+const cacheMisses = new prometheus.Counter({
+    name: 'cache_misses_total',
+    help: 'Total number of cache misses, served by the MongoDB fallback',
+    labelNames: ['family', 'dataset', 'tier'], // tier: mongodb
+    registers: [register]
+});
+
+const redisDuration = new prometheus.Histogram({
+    name: 'redis_command_duration_seconds',
+    help: 'Latency of cache reads and writes against Redis',
+    labelNames: ['operation'],
+    buckets: [0.0005, 0.001, 0.0025, 0.005, 0.01, 0.025, 0.05, 0.1, 0.25],
+    registers: [register]
+});
+
+const mongoDuration = new prometheus.Histogram({
+    name: 'mongodb_query_duration_seconds',
+    help: 'Latency of MongoDB queries run on cache misses',
+    labelNames: ['family', 'dataset'],
+    buckets: [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5],
+    registers: [register]
+});
+
+const payloadSize = new prometheus.Histogram({
+    name: 'cache_payload_bytes',
+    help: 'Size of serialized cache entries',
+    labelNames: ['family', 'dataset'],
+    buckets: prometheus.exponentialBuckets(256, 4, 9), // 256 B .. 16 MB
+    registers: [register]
+});
+
+const geohashPrecision = new prometheus.Histogram({
+    name: 'geohash_precision',
+    help: 'Geohash precision used to key or cover queries',
+    labelNames: ['family'],
+    buckets: [2, 3, 4, 5, 6, 7, 8],
+    registers: [register]
+});
+
+const cacheLockEvents = new prometheus.Counter({
+    name: 'cache_lock_events_total',
+    help: 'Stampede protection events on cache misses',
+    labelNames: ['event', 'family', 'dataset'], // event: acquired, contended, timeout, coalesced
+    registers: [register]
+});
+
+const degradedMode = new prometheus.Gauge({
+    name: 'degraded_mode',
+    help: '1 while Redis is unavailable and every query is served from MongoDB, uncached',
+    registers: [register]
+});
+
+const dependencyUp = new prometheus.Gauge({
+    name: 'dependency_up',
+    help: 'Whether a dependency passed its last readiness check',
+    labelNames: ['dependency'], // mongodb, redis, indexes
+    registers: [register]
+});
+
+export const recordCacheHit = (key, tier = 'redis') => cacheHits.labels(familyOf(key), DATASET, tier).inc();
+
+export const recordCacheMiss = (key) => cacheMisses.labels(familyOf(key), DATASET, 'mongodb').inc();
+
+// Each timer returns a function that records the elapsed time when called
+export const startRedisTimer = (operation) => redisDuration.labels(operation).startTimer();
+
+export const startMongoTimer = (family) => mongoDuration.labels(family, DATASET).startTimer();
+
+export const recordPayloadSize = (key, bytes) => payloadSize.labels(familyOf(key), DATASET).observe(bytes);
+
+export const recordGeohashPrecision = (family, precision) => geohashPrecision.labels(family).observe(precision);
+
+export const recordLockEvent = (event, key) => cacheLockEvents.labels(event, familyOf(key), DATASET).inc();
+
+export const recordDegradedMode = (degraded) => degradedMode.set(degraded ? 1 : 0);
+
+export const recordDependencyUp = (dependency, up) => dependencyUp.labels(dependency).set(up ? 1 : 0);
+
+// Express middleware timing every request
+export const requestDurationMiddleware = (req, res, next) => {
+    const endTimer = httpDuration.startTimer();
+    res.on('finish', () => {
+        endTimer({
+            method: req.method,
+            route: req.route?.path || req.path,
+            status_code: res.statusCode
+        });
+    });
+    next();
+};
+
+export const getMetrics = () => register.metrics();
+
+export const getMetricsContentType = () => register.contentType;
@@ -1,120 +1,403 @@
+import mongoose from 'mongoose';
 import Property from '../model/property.model.js';
 import client from '../connection/redis.connect.js';
-import { organizeCache, radiusCache, cacheOptimizer } from './proximity-cache.service.js';
+import Geohash from 'ngeohash';
+import { organizeCache, radiusCache, cacheOptimizer, semanticCache } from './proximity-cache.service.js';
 import {
     calculateTemporalScore,
     setCacheWithTemporalDecay,
-    getCacheWithTemporalCheck
+    getCacheWithTemporalCheck,
+    getCacheEntryWithTemporalCheck
 } from './decay.service.js';
-import { generateLocationKey } from './redis.services.js';
+import { generateLocationKey, getCache, setCacheWithExpiry } from './redis.services.js';
+import {
+    indexProperty,
+    isGeoIndexReady,
+    countGeoIndex,
+    loadPropertiesByIds,
+    searchGeoIndex,
+    searchGeoIndexAfter
+} from './geo-index.service.js';
+import { withStampedeProtection } from './stampede.service.js';
+import { DATASET_TAG, boxTags, coverTags, invalidatePoint } from './cache-tags.service.js';
+import { findInBoxFromCells, isCellModeEnabled } from './cell-cache.service.js';
+import { compareKeyset, encodeCursor, keysetPage } from './cursor.service.js';
+import { geometryBounds } from './geometry.service.js';
+import { recordCacheHit, recordCacheMiss, recordGeohashPrecision, startMongoTimer } from './metrics.service.js';
+
+// Tags for an entry answering a query around (latitude, longitude)
+const queryTags = (family, latitude, longitude, radius) => [
+    DATASET_TAG,
+    `family:${family}`,
+    ...coverTags(latitude, longitude, radius)
+];
+
+// Radius query served from the Redis GEO index, falling back to $geoNear until it is built.
+// When the whole result fits in `fullSetLimit`, every match is loaded and returned as `all`.
+async function queryNearby(latitude, longitude, radius, { skip, limit, fullSetLimit = 0 }) {
+    if (await isGeoIndexReady()) {
+        // Only the members up to the end of the page are fetched, unless the whole set is wanted
+        const totalCount = await countGeoIndex(latitude, longitude, { radius });
+        if (totalCount <= fullSetLimit) {
+            const all = await loadPropertiesByIds(await searchGeoIndex(latitude, longitude, { radius }, totalCount));
+            return { properties: all.slice(skip, skip + limit), totalCount, all };
+        }
+        const hits = await searchGeoIndex(latitude, longitude, { radius }, skip + limit);
+        const properties = await loadPropertiesByIds(hits.slice(skip));
+        return { properties, totalCount };
+    }
+
+    const geoNear = {
+        $geoNear: {
+            near: { type: 'Point', coordinates: [longitude, latitude] },
+            distanceField: 'distance',
+            maxDistance: radius * 1000,
+            spherical: true,
+            key: 'location',
+        }
+    };
+
+    const totalCountResults = await Property.aggregate([geoNear, { $count: 'totalCount' }]);
+    const totalCount = totalCountResults.length > 0 ? totalCountResults[0].totalCount : 0;
+
+    if (totalCount <= fullSetLimit) {
+        const all = await Property.aggregate([geoNear]);
+        return { properties: all.slice(skip, skip + limit), totalCount, all };
+    }
+
+    const properties = await Property.aggregate([geoNear, { $skip: skip }, { $limit: limit }]);
+    return { properties, totalCount };
+}
+
+// Apply temporal decay and proximity scoring to a page, best first
+const rankProperties = (properties) => properties
+    .map(property => ({
+        ...property,
+        score: calculateTemporalScore(property.date_added) *
+            (1 / (1 + property.distance / 1000)) // Distance factor
+    }))
+    .sort((a, b) => b.score - a.score);
+
+// Query, score and cache a page of nearby properties, then warm the neighbouring cells
+async function computeNearbyProperties(cacheKey, latitude, longitude, radius, { page, limit }) {
+    const skip = (page - 1) * limit;
+    recordCacheMiss(cacheKey);
+    const endMongoTimer = startMongoTimer('nearby');
+    const { properties, totalCount, all } = await queryNearby(latitude, longitude, radius, {
+        skip,
+        limit,
+        fullSetLimit: semanticCache.maxItems
+    });
+    endMongoTimer();
+    const totalPages = Math.ceil(totalCount / limit);
+
+    // Keep the complete set so smaller queries inside this circle can be derived from it
+    if (all) {
+        await semanticCache.store(latitude, longitude, radius, all);
+    }
+
+    const result = {
+        properties: rankProperties(properties),
+        totalCount,
+        totalPages,
+        currentPage: page,
+        metadata: {
+            queryTimestamp: new Date(),
+            coordinates: { latitude, longitude },
+            radius
+        }
+    };
+
+    // Cache with temporal decay
+    await setCacheWithTemporalDecay(cacheKey, result, new Date(), {}, {
+        tags: queryTags('nearby', latitude, longitude, radius)
+    });
+
+    // Warm cache for neighboring cells
+    const neighbors = await organizeCache.getNeighbors(latitude, longitude, radius);
+    for (const neighbor of neighbors) {
+        const neighborKey = `geo:${neighbor}:${radius}`;
+        const center = Geohash.decode(neighbor);
+        const endNeighborTimer = startMongoTimer('neighbors');
+        const { properties: neighborProperties } = await queryNearby(
+            center.latitude,
+            center.longitude,
+            radius,
+            { skip: 0, limit: 10 } // Limited set for cache warming
+        );
+        endNeighborTimer();
+
+        if (neighborProperties.length > 0) {
+            await setCacheWithTemporalDecay(neighborKey, {
+                properties: neighborProperties,
+                metadata: { queryTimestamp: new Date() }
+            }, new Date(), {}, {
+                staleWhileRevalidate: 0, // Warmed entries are partial; refresh them with a full query
+                tags: queryTags('neighbors', center.latitude, center.longitude, radius)
+            });
+        }
+    }
+
+    return result;
+}
+
+// Filter a containing result set down to the requested circle, then page and rank it like a fresh query
+function deriveFromSuperset(superset, latitude, longitude, radius, { page, limit }) {
+    const matches = superset.properties
+        .map(property => {
+            const [lng, lat] = property.location.coordinates;
+            return { ...property, distance: radiusCache.distanceKm(latitude, longitude, lat, lng) * 1000 };
+        })
+        .filter(property => property.distance <= radius * 1000)
+        .sort((a, b) => a.distance - b.distance);
+
+    const skip = (page - 1) * limit;
+    return {
+        properties: rankProperties(matches.slice(skip, skip + limit)),
+        totalCount: matches.length,
+        totalPages: Math.ceil(matches.length / limit),
+        currentPage: page,
+        metadata: {
+            queryTimestamp: new Date(),
+            coordinates: { latitude, longitude },
+            radius,
+            derivedFrom: { coordinates: superset.center, radius: superset.radius }
+        },
+        derived: true
+    };
+}
+
+// Keyset page of a radius query: the rows after the cursor's (distance, _id),
+// read from the source that issued the cursor so that distances compare
+async function queryNearbyAfter(latitude, longitude, radius, after, limit) {
+    const source = after?.source;
+
+    if (!source || source === 'superset') {
+        const superset = await semanticCache.findSuperset(latitude, longitude, radius);
+        if (superset) {
+            const matches = superset.properties
+                .map(property => {
+                    const [lng, lat] = property.location.coordinates;
+                    return { ...property, distance: radiusCache.distanceKm(latitude, longitude, lat, lng) * 1000 };
+                })
+                .filter(property => property.distance <= radius * 1000)
+                .sort(compareKeyset);
+            return { ...keysetPage(matches, after, limit), source: 'superset' };
+        }
+    }
+
+    if ((!source || source === 'geo-index') && await isGeoIndexReady()) {
+        const { rows, hasMore } = await searchGeoIndexAfter(latitude, longitude, radius, after, limit);
+        return { rows: await loadPropertiesByIds(rows), hasMore, source: 'geo-index' };
+    }
+
+    const geoNear = {
+        near: { type: 'Point', coordinates: [longitude, latitude] },
+        distanceField: 'distance',
+        maxDistance: radius * 1000,
+        spherical: true,
+        key: 'location',
+    };
+    return { ...await geoNearAfter(geoNear, after, limit), source: 'mongodb' };
+}
+
+// Keyset page straight off $geoNear's distance order, without a blocking
+// $sort: minDistance resumes the index scan at the cursor and $limit stops it
+// after the page. $limit may cut rows tied at the page's last distance
+// arbitrarily, so a page ending in a tie fetches that distance's rows again
+// (minDistance = maxDistance) in _id order.
+async function geoNearAfter(geoNear, after, limit) {
+    const afterCursor = after ? [{
+        $match: {
+            $or: [
+                { distance: { $gt: after.distance } },
+                { distance: after.distance, _id: { $gt: new mongoose.Types.ObjectId(after._id) } }
+            ]
+        }
+    }] : [];
+
+    let rows = await Property.aggregate([
+        { $geoNear: { ...geoNear, ...(after && { minDistance: after.distance }) } },
+        ...afterCursor,
+        { $limit: limit + 1 }
+    ]);
+
+    if (rows.length > limit && rows[limit - 1].distance === rows[limit].distance) {
+        const boundary = rows[limit].distance;
+        const closer = rows.filter(row => row.distance < boundary);
+        const tied = await Property.aggregate([
+            { $geoNear: { ...geoNear, minDistance: boundary, maxDistance: boundary } },
+            ...afterCursor,
+            { $sort: { _id: 1 } },
+            { $limit: limit + 1 - closer.length }
+        ]);
+        rows = [...closer, ...tied];
+    }
+
+    rows.sort(compareKeyset);
+    return { rows: rows.slice(0, limit), hasMore: rows.length > limit };
+}
+
+// Nearby properties paged by cursor. Each page is cached under the row it
+// starts after, so a client paging through reads consistent entries.
+async function findNearbyPropertiesAfter(latitude, longitude, radius, after, limit) {
+    const position = after ? `${after.distance}:${after._id}:${after.source}` : 'first';
+    const cacheKey = `geo:cursor:${latitude}:${longitude}:${radius}:${position}:${limit}`;
+
+    const cached = await getCache(client, cacheKey);
+    if (cached) {
+        return { ...cached, stale: false };
+    }
+
+    recordCacheMiss(cacheKey);
+    const endMongoTimer = startMongoTimer('nearby');
+    const { rows, hasMore, source } = await queryNearbyAfter(latitude, longitude, radius, after, limit);
+    endMongoTimer();
 
-export async function findNearbyProperties(latitude, longitude, radius = 5, { page = 1, limit = 50 }) {
+    const result = {
+        // The cursor comes from the distance order, before ranking reorders the page
+        properties: rankProperties(rows),
+        nextCursor: hasMore ? encodeCursor(rows[rows.length - 1], source, { latitude, longitude, radius }) : null,
+        hasMore,
+        metadata: {
+            queryTimestamp: new Date(),
+            coordinates: { latitude, longitude },
+            radius,
+            source
+        },
+        derived: source === 'superset'
+    };
+
+    await setCacheWithExpiry(client, cacheKey, result, { tags: queryTags('nearby', latitude, longitude, radius) });
+
+    return { ...result, stale: false };
+}
+
+/**
+ * Properties within `radius` km, paged by `page` or, with `keyset`, after a cursor
+ * @param {{page?: number, limit?: number, keyset?: {after: Object|null}|null}} pagination - keyset from parseCursor
+ */
+export async function findNearbyProperties(latitude, longitude, radius = 5, { page = 1, limit = 50, keyset }) {
     try {
+        if (keyset) {
+            return await findNearbyPropertiesAfter(latitude, longitude, radius, keyset.after, limit);
+        }
+
         // Generate cache key using geohash
         const cacheKey = await organizeCache.generateKey(latitude, longitude, radius);
+        recordGeohashPrecision('nearby', organizeCache.getPrecision(radius));
+
+        // Concurrent misses and refreshes on this key share one computation
+        const recompute = () => withStampedeProtection(cacheKey, {
+            readCache: () => getCacheWithTemporalCheck(cacheKey),
+            compute: () => computeNearbyProperties(cacheKey, latitude, longitude, radius, { page, limit })
+        });
 
         // Try to get from cache with temporal validation
-        const cachedResult = await getCacheWithTemporalCheck(cacheKey);
-        if (cachedResult) {
-            console.log('Cache hit!');
+        const cachedEntry = await getCacheEntryWithTemporalCheck(cacheKey);
+        if (cachedEntry) {
+            console.log(cachedEntry.stale ? 'Stale cache hit, revalidating in background' : 'Cache hit!');
             await cacheOptimizer.trackHit(cacheKey);
-            return cachedResult;
+            if (cachedEntry.stale) {
+                recompute().catch(error => console.error('Background revalidation failed:', error));
+            }
+            return { ...cachedEntry.data, stale: cachedEntry.stale, derived: false };
         }
 
-        console.log('Cache miss, querying MongoDB...');
         await cacheOptimizer.trackMiss(cacheKey);
 
-        const skip = (page - 1) * limit;
-
-        // Get total count with geospatial query
-        const totalCountResults = await Property.aggregate([
-            {
-                $geoNear: {
-                    near: { type: 'Point', coordinates: [longitude, latitude] },
-                    distanceField: 'distance',
-                    maxDistance: radius * 1000,
-                    spherical: true,
-                    key: 'location',
-                }
-            },
-            { $count: 'totalCount' }
-        ]);
+        // A cached circle containing this one already holds every match
+        const superset = await semanticCache.findSuperset(latitude, longitude, radius);
+        if (superset) {
+            console.log('Cache miss, derived from a cached larger radius');
+            recordCacheHit(cacheKey, 'superset');
+            return { ...deriveFromSuperset(superset, latitude, longitude, radius, { page, limit }), stale: false };
+        }
 
-        const totalCount = totalCountResults.length > 0 ? totalCountResults[0].totalCount : 0;
-        const totalPages = Math.ceil(totalCount / limit);
+        console.log('Cache miss, querying MongoDB...');
+        return { ...(await recompute()), stale: false, derived: false };
+    } catch (error) {
+        console.error('Error finding nearby properties:', error);
+        throw error;
+    }
+}
 
-        // Get properties with temporal and proximity scoring
-        let properties = await Property.aggregate([
-            {
-                $geoNear: {
-                    near: { type: 'Point', coordinates: [longitude, latitude] },
-                    distanceField: 'distance',
-                    maxDistance: radius * 1000,
-                    spherical: true,
-                    key: 'location',
-                }
-            },
-            { $skip: skip },
-            { $limit: limit }
-        ]);
+/**
+ * Properties inside a polygon, in pages ordered by _id. Entries are keyed by
+ * the geometry hash, so the same area drawn differently shares them, and
+ * tagged with the cells covering its bounds, so a property added inside the
+ * area invalidates them.
+ * @param {Object} geometry - Normalized MultiPolygon from parseWithin
+ * @param {string} hash - Geometry hash from parseWithin
+ * @param {{minLat: number, minLng: number, maxLat: number, maxLng: number}} [box] - For a bbox, whose geometry only narrows the scan
+ */
+export async function findPropertiesWithin(geometry, hash, { page = 1, limit = 50 }, box) {
+    try {
+        const cacheKey = `within:${hash}:${page}:${limit}`;
+        const cachedResult = await getCache(client, cacheKey);
 
-        // Apply temporal decay and proximity scoring
-        properties = properties.map(property => ({
-            ...property,
-            score: calculateTemporalScore(property.date_added) *
-                (1 / (1 + property.distance / 1000)) // Distance factor
-        }));
-
-        // Sort by combined score
-        properties.sort((a, b) => b.score - a.score);
-
-        const result = {
-            properties,
-            totalCount,
-            totalPages,
-            currentPage: page,
-            metadata: {
-                queryTimestamp: new Date(),
-                coordinates: { latitude, longitude },
-                radius
-            }
+        if (cachedResult) {
+            console.log('Cache hit!');
+            return cachedResult;
+        }
+
+        console.log('Cache miss, querying MongoDB...');
+        recordCacheMiss(cacheKey);
+        const endMongoTimer = startMongoTimer('within');
+
+        const query = {
+            location: { $geoWithin: { $geometry: geometry } },
+            ...(box && {
+                'location.coordinates.0': { $gte: box.minLng, $lte: box.maxLng },
+                'location.coordinates.1': { $gte: box.minLat, $lte: box.maxLat }
+            })
         };
+        const totalCount = await Property.countDocuments(query);
+        const properties = await Property.find(query)
+            .sort({ _id: 1 })
+            .skip((page - 1) * limit)
+            .limit(limit)
+            .lean();
+        endMongoTimer();
 
-        // Cache with temporal decay
-        await setCacheWithTemporalDecay(cacheKey, result, new Date());
-
-        // Warm cache for neighboring cells
-        const neighbors = await organizeCache.getNeighbors(latitude, longitude, radius);
-        for (const neighbor of neighbors) {
-            const neighborKey = `geo:${neighbor}:${radius}`;
-            const neighborProperties = await Property.aggregate([
-                {
-                    $geoNear: {
-                        near: { type: 'Point', coordinates: [longitude, latitude] },
-                        distanceField: 'distance',
-                        maxDistance: radius * 1000,
-                        spherical: true,
-                        key: 'location',
-                    }
-                },
-                { $limit: 10 } // Limited set for cache warming
-            ]);
-
-            if (neighborProperties.length > 0) {
-                await setCacheWithTemporalDecay(neighborKey, {
-                    properties: neighborProperties,
-                    metadata: { queryTimestamp: new Date() }
-                }, new Date());
-            }
-        }
+        const result = { properties, totalCount, totalPages: Math.ceil(totalCount / limit), page, limit, hash };
+
+        await setCacheWithExpiry(client, cacheKey, result, {
+            tags: [DATASET_TAG, 'family:within', ...boxTags(geometryBounds(geometry))]
+        });
 
         return result;
     } catch (error) {
-        console.error('Error finding nearby properties:', error);
+        console.error('Error finding properties within area:', error);
         throw error;
     }
 }
 
+/**
+ * Cursor over every property in _id order, for limit=all exports
+ * @returns {import('stream').Readable}
+ */
+export function streamProperties() {
+    return Property.find().sort({ _id: 1 }).lean().cursor();
+}
+
+/**
+ * Cursor over every property within `radius` km, nearest first with distance
+ * in meters, for limit=all exports
+ * @returns {import('stream').Readable}
+ */
+export function streamNearbyProperties(latitude, longitude, radius) {
+    return Property.aggregate([{
+        $geoNear: {
+            near: { type: 'Point', coordinates: [longitude, latitude] },
+            distanceField: 'distance',
+            maxDistance: (radius || 5) * 1000,
+            spherical: true,
+            key: 'location',
+        }
+    }]).cursor();
+}
+
 // Add property with cache invalidation
 export async function addProperty(propertyData) {
     try {
@@ -127,13 +410,10 @@ export async function addProperty(propertyData) {
         });
 
         await property.save();
+        await indexProperty(property);
 
-        // Invalidate cache in the affected radius
-        await radiusCache.invalidateRadius(
-            propertyData.latitude,
-            propertyData.longitude,
-            10 // Invalidate cache in 10km radius
-        );
+        // Invalidate the cached queries whose area contains the new property
+        await invalidatePoint(propertyData.latitude, propertyData.longitude);
 
         return property;
     } catch (error) {
@@ -155,6 +435,17 @@ export async function getPropertyById(id) {
 
 export async function coordinateRangeIndexing(latitude, longitude, radius = 5, { page, limit }) {
     try {
+        // Compose from per-cell entries so nearby ranges share cached cells
+        if (isCellModeEnabled()) {
+            const delta = radius * 0.009;
+            const composed = await findInBoxFromCells(
+                { minLat: latitude - delta, minLng: longitude - delta, maxLat: latitude + delta, maxLng: longitude + delta },
+                { latitude, longitude },
+                { page, limit }
+            );
+            if (composed) return composed;
+        }
+
         // Check cache first
         const cacheKey = generateLocationKey(latitude, longitude, radius, page, limit);
         const cachedResult = await getCache(client, cacheKey);
@@ -165,34 +456,45 @@ export async function coordinateRangeIndexing(latitude, longitude, radius = 5, {
         }
 
         console.log('Cache miss, querying MongoDB...');
+        recordCacheMiss(cacheKey);
+        const endMongoTimer = startMongoTimer('coordinateRange');
 
-        // Query MongoDB for total count and paginated results
-        const query = {
-            latitude: {
-                $gte: latitude - radius * 0.009,
-                $lte: latitude + radius * 0.009,
-            },
-            longitude: {
-                $gte: longitude - radius * 0.009,
-                $lte: longitude + radius * 0.009,
-            },
-        };
+        let properties;
+        let totalCount;
 
-        const totalCount = await Property.countDocuments(query);
+        if (await isGeoIndexReady()) {
+            // Box of ±radius km around the point
+            const box = { width: radius * 2, height: radius * 2 };
+            totalCount = await countGeoIndex(latitude, longitude, box);
+            const hits = await searchGeoIndex(latitude, longitude, box, page * limit);
+            properties = await loadPropertiesByIds(hits.slice((page - 1) * limit));
+        } else {
+            // Query MongoDB for total count and paginated results
+            const query = {
+                latitude: {
+                    $gte: latitude - radius * 0.009,
+                    $lte: latitude + radius * 0.009,
+                },
+                longitude: {
+                    $gte: longitude - radius * 0.009,
+                    $lte: longitude + radius * 0.009,
+                },
+            };
 
-        const properties = await Property.find(query)
-            .skip((page - 1) * limit)
-            .limit(limit);
+            totalCount = await Property.countDocuments(query);
+
+            properties = await Property.find(query)
+                .skip((page - 1) * limit)
+                .limit(limit);
+        }
 
         const totalPages = Math.ceil(totalCount / limit);
+        endMongoTimer();
 
         // Cache the paginated results
-        await setCacheWithExpiry(client, cacheKey, { properties, totalCount, totalPages });
-
-        // Store in Redis Geo set for future radius queries
-        for (const property of properties) {
-            await geoAdd(client, 'properties_geo', property.longitude, property.latitude, property.property_id.toString());
-        }
+        await setCacheWithExpiry(client, cacheKey, { properties, totalCount, totalPages }, {
+            tags: queryTags('coordinateRange', latitude, longitude, radius)
+        });
 
         return { properties, totalCount, totalPages };
     } catch (error) {
@@ -1,20 +1,62 @@
+import { scanKeys } from "../connection/redis.connect.js";
+import { DATASET_TAG, invalidateTags, tagKey } from "./cache-tags.service.js";
+import { jitterTTL, policyForKey } from "./cache-policy.service.js";
+import { CODEC_CONFIG, encodePayload, getDecoded } from "./codec.service.js";
+import { isDegraded } from "./health.service.js";
+import { recordCacheHit, recordPayloadSize, startRedisTimer } from "./metrics.service.js";
+
 let cacheHits = 0;
 let totalDataCached = 0; // Tracks the total data cached in bytes
 
-// Sets a cache entry with an expiry time and updates total cached data size
-export async function setCacheWithExpiry(client, key, value, expiry = 3600) {
-  const dataString = JSON.stringify(value);
-  totalDataCached += Buffer.byteLength(dataString, "utf8"); // Increment total cached data size
-  await client.setEx(key, expiry, dataString);
+// Sets a cache entry under its family's policy (config/cache-policy.js), registers it
+// under `tags` and updates total cached data size. `expiry` and `codec` override the
+// family's TTL and compression. Returns false when the family is disabled or the
+// value is above its maxBytes, and nothing was stored. In degraded mode nothing is
+// stored either, and a Redis error is logged instead of failing the request.
+export async function setCacheWithExpiry(client, key, value, { expiry, codec, tags = [] } = {}) {
+  const policy = policyForKey(key);
+  if (!policy.enabled || isDegraded()) return false;
+
+  const { payload, rawBytes } = await encodePayload(value, { codec: codec ?? policy.compression ?? CODEC_CONFIG.codec });
+  recordPayloadSize(key, rawBytes);
+  if (policy.maxBytes !== null && rawBytes > policy.maxBytes) {
+    console.log(`Not caching ${key}: ${rawBytes} bytes is above its family's limit of ${policy.maxBytes}`);
+    return false;
+  }
+
+  const ttl = jitterTTL(expiry ?? policy.ttl, policy);
+  try {
+    const endTimer = startRedisTimer("set");
+    await client.setEx(key, ttl, payload);
+    endTimer();
+    totalDataCached += rawBytes; // Increment total cached data size
+    await tagKey(key, tags, ttl);
+    return true;
+  } catch (error) {
+    console.error(`Error caching ${key}:`, error.message);
+    return false;
+  }
 }
 
-// Retrieves a cache entry and tracks cache hits
+// Retrieves a cache entry and tracks cache hits. A disabled family, degraded mode
+// and Redis errors all miss, so the caller queries MongoDB.
 export async function getCache(client, key) {
-  const value = await client.get(key);
+  if (!policyForKey(key).enabled || isDegraded()) return null;
+
+  let value;
+  try {
+    const endTimer = startRedisTimer("get");
+    value = await getDecoded(client, key);
+    endTimer();
+  } catch (error) {
+    console.error(`Error reading cache ${key}:`, error.message);
+    return null;
+  }
   if (value) {
     cacheHits++; // Increment cache hit counter
+    recordCacheHit(key);
     console.log(`Cache hit for key: ${key} | Total Hits: ${cacheHits}`);
-    return JSON.parse(value);
+    return value;
   } else {
     console.log(`Cache miss for key: ${key}`);
   }
@@ -24,17 +66,18 @@ export async function getCache(client, key) {
 // Retrieves all cached data and calculates the total document count
 export async function getTotalCachedDocuments(client) {
   try {
-    const keys = await client.keys("*"); // Get all keys
+    let totalKeys = 0;
     let totalDocuments = 0;
 
-    for (const key of keys) {
+    // SCAN walks the keyspace incrementally instead of blocking Redis like KEYS, on every cluster master
+    for await (const key of scanKeys({ COUNT: 500 })) {
+      totalKeys++;
       const keyType = await client.type(key); // Get the type of the key
 
       if (keyType === "string") {
         // Only process string-type keys
-        const value = await client.get(key);
-        if (value) {
-          const parsedValue = JSON.parse(value);
+        const parsedValue = await getDecoded(client, key);
+        if (parsedValue) {
           if (Array.isArray(parsedValue)) {
             totalDocuments += parsedValue.length; // Count array length as documents
           } else {
@@ -47,7 +90,7 @@ export async function getTotalCachedDocuments(client) {
     }
 
     return {
-      totalKeys: keys.length,
+      totalKeys,
       totalDocuments,
     };
   } catch (error) {
@@ -67,12 +110,14 @@ export function getTotalDataCached() {
   return totalDataCached; // Return the total cached data size in bytes
 }
 
-// Clears all keys from the Redis cache and resets counters
+// Clears every cached query and resets counters. Only tagged entries are
+// removed, so the GEO index and other non-cache keys survive.
 export async function clearAllCache(client) {
   try {
-    await client.sendCommand(["FLUSHALL"]); // Clear all keys
+    const cleared = await invalidateTags([DATASET_TAG]);
+    await client.del("temporal_scores");
     totalDataCached = 0; // Reset the total data cached
-    console.log("All cache cleared successfully.");
+    console.log(`All cache cleared successfully (${cleared} entries).`);
   } catch (error) {
     console.error("Error while clearing all cache:", error);
     throw new Error("Failed to clear all cache");
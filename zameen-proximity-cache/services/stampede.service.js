@@ -0,0 +1,81 @@
+import { randomUUID } from 'crypto';
+import client from '../connection/redis.connect.js';
+import { isDegraded } from './health.service.js';
+import { recordLockEvent } from './metrics.service.js';
+
+// Stampede protection for cache misses: concurrent misses on a key in this
+// process share one computation, and a short Redis lock elects one instance
+// to recompute while the others wait for its result.
+const LOCK_CONFIG = {
+    TTL_MS: parseInt(process.env.CACHE_LOCK_TTL_MS) || 10000,
+    WAIT_MS: parseInt(process.env.CACHE_LOCK_WAIT_MS) || 2000,
+    POLL_MS: 50
+};
+
+// Delete the lock only when it still holds our token
+const RELEASE_LOCK_SCRIPT = `
+if redis.call("get", KEYS[1]) == ARGV[1] then
+    return redis.call("del", KEYS[1])
+end
+return 0`;
+
+const inFlight = new Map();
+const lockStats = { acquired: 0, contended: 0, timeout: 0, coalesced: 0 };
+
+const countLockEvent = (event, key) => {
+    lockStats[event]++;
+    recordLockEvent(event, key);
+};
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+const computeWithLock = async (key, { readCache, compute }) => {
+    // No lock without Redis: each instance computes, still once per key
+    if (isDegraded()) return compute();
+
+    const lockKey = `lock:${key}`;
+    const token = randomUUID();
+
+    const acquired = await client.set(lockKey, token, { PX: LOCK_CONFIG.TTL_MS, NX: true });
+    if (acquired) {
+        countLockEvent('acquired', key);
+        try {
+            return await compute();
+        } finally {
+            await client.eval(RELEASE_LOCK_SCRIPT, { keys: [lockKey], arguments: [token] })
+                .catch(error => console.error('Cache lock release error:', error));
+        }
+    }
+
+    countLockEvent('contended', key);
+    const deadline = Date.now() + LOCK_CONFIG.WAIT_MS;
+    while (Date.now() < deadline) {
+        await sleep(LOCK_CONFIG.POLL_MS);
+        const cached = await readCache();
+        if (cached) return cached;
+    }
+
+    // The lock holder is slow or died: stop waiting and compute ourselves
+    countLockEvent('timeout', key);
+    return compute();
+};
+
+/**
+ * Run `compute` at most once per key across concurrent callers and instances
+ * @param {string} key - Cache key being filled
+ * @param {Object} handlers
+ * @param {Function} handlers.readCache - Returns the cached value or null; polled while waiting
+ * @param {Function} handlers.compute - Computes the value and writes it to the cache
+ */
+export const withStampedeProtection = (key, handlers) => {
+    if (inFlight.has(key)) {
+        countLockEvent('coalesced', key);
+        return inFlight.get(key);
+    }
+
+    const promise = computeWithLock(key, handlers).finally(() => inFlight.delete(key));
+    inFlight.set(key, promise);
+    return promise;
+};
+
+export const getLockStats = () => ({ ...lockStats });